@@ -1,5 +1,10 @@
-import React, { Suspense, useEffect, useState } from "react";
+import React, { Suspense, useEffect, useRef, useState } from "react";
 import "./App.css";
+import { IdentityScope } from "./auth/AuthContext.jsx";
+import NetworkInspector from "./components/NetworkInspector.jsx";
+import { useNetworkLog } from "./inspector/useNetworkLog.js";
+import { TESTER_TABS, navigate } from "./router/hashRouter.js";
+import { useHashRoute } from "./router/useHashRoute.js";
 
 // Lazy-load testers
 const VetChatTester    = React.lazy(() => import("./testers/VetChatTester"));
@@ -11,19 +16,30 @@ const TABS = [
 ];
 
 export default function App() {
-  const [tab, setTab] = useState(() => {
-    const qs = new URLSearchParams(window.location.search);
-    return qs.get("tab") || localStorage.getItem("tester_tab") || "chat";
-  });
+  const route = useHashRoute();
+  const tab = route.tab || "chat";
+  const [inspectorOpen, setInspectorOpen] = useState(false);
+  const lastRoutesRef = useRef({}); // per tab, so switching back restores the same view
 
+  // Bare URL: honour an old ?tab= link or the last used tab
   useEffect(() => {
+    if (route.tab) return;
+    const legacy = new URLSearchParams(window.location.search).get("tab") || localStorage.getItem("tester_tab");
+    navigate({ tab: TESTER_TABS.includes(legacy) ? legacy : "chat" }, { replace: true });
+  }, [route.tab]);
+
+  useEffect(() => {
+    if (!route.tab) return;
+    lastRoutesRef.current[route.tab] = route;
     try {
-      localStorage.setItem("tester_tab", tab);
+      localStorage.setItem("tester_tab", route.tab);
       const url = new URL(window.location.href);
-      url.searchParams.set("tab", tab);
-      window.history.replaceState({}, "", url);
+      if (url.searchParams.has("tab")) {
+        url.searchParams.delete("tab");
+        window.history.replaceState(window.history.state, "", url);
+      }
     } catch {}
-  }, [tab]);
+  }, [route]);
 
   return (
     <div className="app-root">
@@ -38,20 +54,42 @@ export default function App() {
               role="tab"
               aria-selected={tab === t.key}
               className={`seg-btn ${tab === t.key ? "active" : ""}`}
-              onClick={() => setTab(t.key)}
+              onClick={() => navigate(lastRoutesRef.current[t.key] || { tab: t.key })}
             >
               {t.label}
             </button>
           ))}
         </div>
+        <NetworkToggle open={inspectorOpen} onToggle={() => setInspectorOpen((v) => !v)} />
       </div>
 
       {/* Body slot: the tester fills this area */}
       <div className="body-slot" aria-live="polite">
         <Suspense fallback={<div style={{ padding: 16 }}>Loading…</div>}>
-          {tab === "chat" ? <VetChatTester /> : <VetWorkflowApp />}
+          {/* Each tab can pin its own saved identity */}
+          <IdentityScope scope={tab}>
+            {tab === "chat" ? <VetChatTester /> : <VetWorkflowApp />}
+          </IdentityScope>
         </Suspense>
       </div>
+
+      <NetworkInspector open={inspectorOpen} onClose={() => setInspectorOpen(false)} />
     </div>
   );
 }
+
+// Own component so only the badge re-renders as records stream in
+function NetworkToggle({ open, onToggle }) {
+  const records = useNetworkLog();
+  return (
+    <button
+      type="button"
+      className={`seg-btn net-toggle ${open ? "active" : ""}`}
+      onClick={onToggle}
+      aria-pressed={open}
+      title="Network inspector"
+    >
+      Network ({records.length})
+    </button>
+  );
+}
@@ -1,8 +1,62 @@
-import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
-import { AUTH_HEADER_NAMES, DEFAULT_API_HOST, VET_API_PATH } from "../config.jsx";
-const STORAGE_KEY_AUTH = "vetTesterAuth";
-const STORAGE_KEY_HOST = "vetTesterApiHost";
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  AUTH_HEADER_NAMES,
+  AUTH_REFRESH_LEEWAY_MS,
+  AUTH_REFRESH_PATH,
+  AUTH_REFRESH_RETRY_DELAYS_MS,
+  DEFAULT_API_HOST,
+  DEFAULT_PROFILE_ID,
+  MOCK_API_HOST,
+  MOCK_RELAY_BASE,
+  SIGN_IN_CODE,
+  VET_API_PATH,
+} from "../config.jsx";
+import { tracedFetch } from "../inspector/networkLog.js";
+import { installMockBackend } from "../mock/mockBackend.js";
+import { isTokenExpired, tokenExpiresAt } from "./jwt.js";
+import {
+  EMPTY_KEYRING,
+  findIdentity,
+  hostEntry,
+  identityIdFor,
+  mergeKeyrings,
+  removeIdentity,
+  resolveIdentity,
+  setActiveIdentity,
+  setPin,
+  updateIdentity,
+  upsertIdentity,
+} from "./keyring.js";
+import {
+  BUILT_IN_PROFILES,
+  CUSTOM_PROFILE_ID,
+  addProfile,
+  allProfiles,
+  findProfile,
+  normaliseProfile,
+  profileFromSearch,
+  removeProfile,
+  sameEndpoints,
+  upsertProfile,
+  writeProfileToUrl,
+} from "./profiles.js";
+const STORAGE_KEY_AUTH = "vetTesterAuth"; // legacy single session, migrated into the keyring
+const STORAGE_KEY_KEYRING = "vetTesterKeyring";
+const STORAGE_KEY_HOST = "vetTesterApiHost"; // legacy free-form host, migrated into a profile
+const STORAGE_KEY_PROFILE = "vetTesterProfile";
+const STORAGE_KEY_PROFILES = "vetTesterProfiles";
+const MAX_TIMER_MS = 2147483647; // setTimeout overflows past ~24.8 days
 
+const AuthCoreContext = createContext(null);
 const AuthContext = createContext(null);
 
 const safeReadStorage = (key, fallback = null) => {
@@ -26,6 +80,46 @@ const safeWriteStorage = (key, value) => {
   } catch {}
 };
 
+const parseStored = (raw, fallback) => {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Retry-After is either delta-seconds or an HTTP date
+const retryAfterMs = (res) => {
+  const raw = res.headers.get("retry-after");
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+// Refresh failures the server meant: the refresh token itself was refused. Anything
+// else (network error, 5xx) keeps the tokens so a flaky connection doesn't sign out.
+const INVALID_TOKEN_CODES = ["invalid_token", "invalid_grant", "token_expired", "token_revoked"];
+
+class RefreshError extends Error {
+  constructor(message, { status = null, rejected = false } = {}) {
+    super(message);
+    this.name = "RefreshError";
+    this.status = status;
+    this.rejected = rejected; // refresh token refused: sign in again
+  }
+}
+
+const isTransientRefreshError = (err) =>
+  !err.rejected && (err.status == null || err.status >= 500 || err.status === 429);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Serialises token refreshes across browser tabs where the Web Locks API exists
+const withCrossTabLock = (name, fn) =>
+  typeof navigator !== "undefined" && navigator.locks?.request ? navigator.locks.request(name, fn) : fn();
+
 const normaliseHost = (host) => {
   if (!host) return DEFAULT_API_HOST;
   const trimmed = String(host).trim();
@@ -33,84 +127,434 @@ const normaliseHost = (host) => {
   return trimmed.replace(/\/+$/, "");
 };
 
+// Saved profiles and selection. A URL profile (?env=…) wins over storage when it
+// names a built-in or a saved profile, or matches one's endpoints; new endpoints from
+// a shared link are only offered (`linked`), since they would receive sign-in and tokens.
+const readInitialEnvironment = () => {
+  let custom = (safeReadStorage(STORAGE_KEY_PROFILES, []) || []).reduce(upsertProfile, []);
+  let profileId = safeReadStorage(STORAGE_KEY_PROFILE, null);
+
+  const legacyHost = profileId ? null : safeReadStorage(STORAGE_KEY_HOST, null);
+  if (legacyHost) {
+    const host = normaliseHost(legacyHost);
+    const match = allProfiles(custom).find((p) => p.apiHost === host);
+    if (!match) custom = upsertProfile(custom, { id: CUSTOM_PROFILE_ID, label: "Custom", apiHost: host });
+    profileId = match ? match.id : CUSTOM_PROFILE_ID;
+  }
+
+  const fromUrl = typeof window === "undefined" ? null : profileFromSearch(window.location.search);
+  let linked = null;
+  if (fromUrl?.apiHost && !fromUrl.builtIn) {
+    const match = allProfiles(custom).find((p) => sameEndpoints(p, fromUrl));
+    if (match) profileId = match.id;
+    else linked = fromUrl;
+  } else if (fromUrl && findProfile(custom, fromUrl.id)) {
+    profileId = fromUrl.id;
+  }
+
+  return { custom, profileId: findProfile(custom, profileId) ? profileId : DEFAULT_PROFILE_ID, linked };
+};
+
+const readInitialKeyring = (host) => {
+  const stored = safeReadStorage(STORAGE_KEY_KEYRING, null);
+  if (stored?.hosts) return stored;
+  // One-time migration of the single saved session
+  const legacy = safeReadStorage(STORAGE_KEY_AUTH, {});
+  const legacyId = legacy?.token ? identityIdFor(legacy) : null;
+  if (!legacyId) return EMPTY_KEYRING;
+  return upsertIdentity(EMPTY_KEYRING, host, { id: legacyId, ...legacy });
+};
+
 export function AuthProvider({ children }) {
-  const initialAuth = useMemo(() => safeReadStorage(STORAGE_KEY_AUTH, {}), []);
-  const initialHost = useMemo(
-    () => normaliseHost(safeReadStorage(STORAGE_KEY_HOST, DEFAULT_API_HOST)),
-    []
+  const initialEnv = useMemo(readInitialEnvironment, []);
+  const [customProfiles, setCustomProfiles] = useState(initialEnv.custom);
+  const [profileId, setProfileId] = useState(initialEnv.profileId);
+  const [linkedProfile, setLinkedProfile] = useState(initialEnv.linked); // from a shared link, not yet accepted
+  const profile = useMemo(
+    () => findProfile(customProfiles, profileId) || BUILT_IN_PROFILES[0],
+    [customProfiles, profileId]
   );
+  const profiles = useMemo(() => allProfiles(customProfiles), [customProfiles]);
 
-  const [apiHost, setApiHostState] = useState(initialHost);
-  const [token, setToken] = useState(initialAuth?.token || null);
-  const [refreshToken, setRefreshToken] = useState(initialAuth?.refreshToken || null);
-  const [userId, setUserId] = useState(initialAuth?.userId || null);
-  const [userEmail, setUserEmail] = useState(initialAuth?.userEmail || null);
+  const [keyring, setKeyring] = useState(() => readInitialKeyring(profile.apiHost));
 
   const [pendingSession, setPendingSession] = useState(null);
   const [pendingEmail, setPendingEmail] = useState(null);
+  const [pendingCode, setPendingCode] = useState(null); // { sentAt, expiresAt, attemptsLeft }
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(null);
   const [isWorking, setIsWorking] = useState(false);
   const [error, setError] = useState(null);
   const [message, setMessage] = useState(null);
 
-  const apiBase = useMemo(() => `${apiHost}${VET_API_PATH}`, [apiHost]);
+  const { apiHost, relayBase } = profile;
+  const apiBase = `${apiHost}${profile.apiPath}`;
+
+  // The offline backend patches window.fetch, so only once a profile points at it.
+  // A layout effect runs before any child's passive effects can send the first request.
+  useLayoutEffect(() => {
+    if (apiHost === MOCK_API_HOST || relayBase === MOCK_RELAY_BASE) installMockBackend();
+  }, [apiHost, relayBase]);
+
+  // Ref and storage are updated synchronously so concurrent requests, 401
+  // retries, SSE reconnects and other tabs see new tokens before React re-renders
+  const keyringRef = useRef(keyring);
+  const commitKeyring = useCallback((fn) => {
+    const next = fn(keyringRef.current);
+    keyringRef.current = next;
+    safeWriteStorage(STORAGE_KEY_KEYRING, next);
+    setKeyring(next);
+  }, []);
+
+  // Persist a migrated keyring and drop the legacy single-session key
+  useEffect(() => {
+    safeWriteStorage(STORAGE_KEY_KEYRING, keyringRef.current);
+    safeWriteStorage(STORAGE_KEY_AUTH, null);
+  }, []);
+
+  // Profiles before the selection, so other tabs can resolve a new custom id
+  useEffect(() => {
+    safeWriteStorage(STORAGE_KEY_PROFILES, customProfiles);
+    safeWriteStorage(STORAGE_KEY_PROFILE, profileId);
+    safeWriteStorage(STORAGE_KEY_HOST, null);
+  }, [profileId, customProfiles]);
 
+  // Sign-in, sign-out, token rotation and environment changes made in another tab
   useEffect(() => {
-    safeWriteStorage(STORAGE_KEY_HOST, apiHost);
-  }, [apiHost]);
+    const onStorage = (evt) => {
+      if (evt.storageArea !== window.localStorage) return;
+      if (evt.key === STORAGE_KEY_KEYRING) {
+        const remote = parseStored(evt.newValue, EMPTY_KEYRING);
+        commitKeyring((local) => mergeKeyrings(local, remote));
+      } else if (evt.key === STORAGE_KEY_PROFILES) {
+        setCustomProfiles((parseStored(evt.newValue, []) || []).reduce(upsertProfile, []));
+      } else if (evt.key === STORAGE_KEY_PROFILE) {
+        const nextId = parseStored(evt.newValue, null);
+        if (nextId) setProfileId(nextId);
+      }
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [commitKeyring]);
 
   useEffect(() => {
-    if (!token) {
-      safeWriteStorage(STORAGE_KEY_AUTH, null);
-      return;
+    try {
+      const url = writeProfileToUrl(new URL(window.location.href), profile);
+      window.history.replaceState(window.history.state, "", url);
+    } catch {
+      // history API unavailable (sandboxed iframe); the profile is still saved
     }
-    safeWriteStorage(STORAGE_KEY_AUTH, {
-      token,
-      refreshToken,
-      userId,
-      userEmail,
-    });
-  }, [token, refreshToken, userId, userEmail]);
-
-  const clearAuth = useCallback(() => {
-    setToken(null);
-    setRefreshToken(null);
-    setUserId(null);
-    setUserEmail(null);
+  }, [profile]);
+
+  const tokensFor = useCallback(
+    (id) => {
+      const identity = findIdentity(keyringRef.current, apiHost, id);
+      return { token: identity?.token || null, refreshToken: identity?.refreshToken || null };
+    },
+    [apiHost]
+  );
+
+  // `via` is recorded with the rotation time for the token inspector
+  const applyTokens = useCallback(
+    (id, access, refresh, via) => {
+      const current = tokensFor(id);
+      const patch = {};
+      if (access && access !== current.token) patch.token = access;
+      if (refresh && refresh !== current.refreshToken) patch.refreshToken = refresh;
+      if (!Object.keys(patch).length) return;
+      commitKeyring((kr) => updateIdentity(kr, apiHost, id, { ...patch, rotatedAt: Date.now(), rotatedVia: via }));
+    },
+    [apiHost, commitKeyring, tokensFor]
+  );
+
+  // Drops the tokens but keeps the identity, as if the session had expired
+  const invalidateIdentity = useCallback(
+    (id) => {
+      if (id) commitKeyring((kr) => updateIdentity(kr, apiHost, id, { token: null, refreshToken: null }));
+    },
+    [apiHost, commitKeyring]
+  );
+
+  // Keeps the identity (and any pin to it) so its tab prompts to sign in again
+  const expireIdentity = useCallback(
+    (id, reason) => {
+      invalidateIdentity(id);
+      setMessage(null);
+      setError(reason || "Session expired. Sign in again.");
+    },
+    [invalidateIdentity]
+  );
+
+  // Tokens another tab rotated after this one last sent `sentRefresh`, if still usable
+  const adoptRotatedTokens = useCallback(
+    (id, sentRefresh, skewMs) => {
+      const stored = findIdentity(safeReadStorage(STORAGE_KEY_KEYRING, null), apiHost, id);
+      if (!stored?.token || !stored.refreshToken || stored.refreshToken === sentRefresh) return null;
+      if (isTokenExpired(stored.token, skewMs)) return null;
+      applyTokens(id, stored.token, stored.refreshToken, "another tab");
+      return stored.token;
+    },
+    [apiHost, applyTokens]
+  );
+
+  // Single-flight per identity: concurrent 401s and the scheduled refresh share one
+  // request, and the cross-tab lock keeps two tabs from rotating the same refresh token
+  const refreshPromisesRef = useRef(new Map());
+  const refreshIdentity = useCallback(
+    (id) => {
+      const key = `${apiHost}|${id}`;
+      const inflight = refreshPromisesRef.current.get(key);
+      if (inflight) return inflight;
+
+      const requestRefresh = async (current) => {
+        // Header only: the network log redacts it there, a body copy would be kept in clear
+        const res = await tracedFetch(`${apiHost}${AUTH_REFRESH_PATH}`, {
+          method: "POST",
+          headers: { accept: "application/json", [AUTH_HEADER_NAMES.refresh]: current },
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || data?.success === false) {
+          const errMsg = data?.error_details?.[0]?.message || data?.message || data?.error || `HTTP ${res.status}`;
+          const code = String(data?.error_details?.[0]?.code || data?.code || data?.error || "").toLowerCase();
+          const rejected = res.status === 401 || res.status === 403 || INVALID_TOKEN_CODES.includes(code);
+          throw new RefreshError(errMsg || "Token refresh failed", { status: res.status, rejected });
+        }
+        const payload = data?.data || {};
+        const access = payload.access_token || res.headers.get(AUTH_HEADER_NAMES.access);
+        if (!access) throw new RefreshError("Missing access token in refresh response", { status: res.status });
+        applyTokens(id, access, payload.refresh_token || res.headers.get(AUTH_HEADER_NAMES.refresh), "refresh");
+        return access;
+      };
+
+      const run = async () => {
+        const current = tokensFor(id).refreshToken;
+        if (!current) throw new Error("No refresh token");
+        // Another tab may have rotated while this one waited for the lock
+        const adopted = adoptRotatedTokens(id, current, AUTH_REFRESH_LEEWAY_MS);
+        if (adopted) return adopted;
+        for (let attempt = 0; ; attempt++) {
+          try {
+            return await requestRefresh(current);
+          } catch (caught) {
+            // fetch() itself failing (offline, DNS, CORS) has no status
+            const err = caught instanceof RefreshError ? caught : new RefreshError(caught?.message || "Network error");
+            // Lost a concurrent rotation race: the winner's tokens are in storage
+            const rescued = adoptRotatedTokens(id, current, 0);
+            if (rescued) return rescued;
+            if (!isTransientRefreshError(err) || attempt >= AUTH_REFRESH_RETRY_DELAYS_MS.length) throw err;
+            await sleep(AUTH_REFRESH_RETRY_DELAYS_MS[attempt]);
+          }
+        }
+      };
+
+      const promise = withCrossTabLock(`vet-tester-refresh:${key}`, run)
+        .catch((err) => {
+          // Only a refused refresh token ends the session; transient failures keep it for the next try
+          if (err?.rejected) {
+            expireIdentity(id, `Session expired (${err.message || "refresh failed"}). Sign in again.`);
+          }
+          throw err;
+        })
+        .finally(() => {
+          refreshPromisesRef.current.delete(key);
+        });
+      refreshPromisesRef.current.set(key, promise);
+      return promise;
+    },
+    [apiHost, adoptRotatedTokens, applyTokens, expireIdentity, tokensFor]
+  );
+
+  // Proactive refresh shortly before each saved access token expires
+  const hostIdentities = hostEntry(keyring, apiHost).identities;
+  useEffect(() => {
+    const timers = hostIdentities
+      .filter((identity) => identity.token && identity.refreshToken)
+      .map((identity) => {
+        const expiresAt = tokenExpiresAt(identity.token);
+        if (expiresAt === null) return null;
+        const delay = Math.min(Math.max(expiresAt - AUTH_REFRESH_LEEWAY_MS - Date.now(), 0), MAX_TIMER_MS);
+        return setTimeout(() => {
+          refreshIdentity(identity.id).catch(() => {});
+        }, delay);
+      });
+    return () => timers.forEach((id) => clearTimeout(id));
+  }, [hostIdentities, refreshIdentity]);
+
+  const fetchAs = useCallback(
+    async (id, input, init = {}) => {
+      const send = () => {
+        const headers = new Headers(init.headers || {});
+        const { token: access, refreshToken: refresh } = tokensFor(id);
+        if (access) headers.set("authorization", `Bearer ${access}`);
+        if (refresh) headers.set(AUTH_HEADER_NAMES.refresh, refresh);
+        return tracedFetch(input, { ...init, headers });
+      };
+
+      let response = await send();
+
+      // Expired access token: refresh once, then transparently replay the request
+      if (response.status === 401 && tokensFor(id).refreshToken) {
+        try {
+          await refreshIdentity(id);
+        } catch {
+          return response;
+        }
+        response = await send();
+      }
+
+      applyTokens(
+        id,
+        response.headers.get(AUTH_HEADER_NAMES.access),
+        response.headers.get(AUTH_HEADER_NAMES.refresh),
+        "authFetch"
+      );
+      return response;
+    },
+    [applyTokens, refreshIdentity, tokensFor]
+  );
+
+  const headersFor = useCallback(
+    (id) => {
+      const { token: access, refreshToken: refresh } = tokensFor(id);
+      const headers = {};
+      if (access) headers.authorization = `Bearer ${access}`;
+      if (refresh) headers[AUTH_HEADER_NAMES.refresh] = refresh;
+      return headers;
+    },
+    [tokensFor]
+  );
+
+  // A pinned scope moves its pin; an unpinned one changes the host's active identity
+  const selectIdentity = useCallback(
+    (scope, id) => {
+      commitKeyring((kr) =>
+        hostEntry(kr, apiHost).pins[scope] ? setPin(kr, apiHost, scope, id) : setActiveIdentity(kr, apiHost, id)
+      );
+    },
+    [apiHost, commitKeyring]
+  );
+
+  const pinScope = useCallback(
+    (scope, id) => commitKeyring((kr) => setPin(kr, apiHost, scope, id)),
+    [apiHost, commitKeyring]
+  );
+
+  const renameIdentity = useCallback(
+    (id, label) => {
+      const trimmed = String(label || "").trim();
+      if (trimmed) commitKeyring((kr) => updateIdentity(kr, apiHost, id, { label: trimmed }));
+    },
+    [apiHost, commitKeyring]
+  );
+
+  const clearPending = useCallback(() => {
     setPendingSession(null);
     setPendingEmail(null);
+    setPendingCode(null);
   }, []);
 
-  const signOut = useCallback(() => {
-    clearAuth();
-    setMessage("Signed out");
-  }, [clearAuth]);
+  const forgetIdentity = useCallback(
+    (id) => {
+      if (id) commitKeyring((kr) => removeIdentity(kr, apiHost, id));
+      clearPending();
+    },
+    [apiHost, clearPending, commitKeyring]
+  );
 
   const resetStatus = useCallback(() => {
     setError(null);
     setMessage(null);
   }, []);
 
+  const selectProfile = useCallback((id) => setProfileId(id), []);
+
+  // Endpoints matching a saved profile select it; otherwise a built-in forks into
+  // "Custom" and a custom profile is edited in place
+  const updateProfile = useCallback(
+    (patch) => {
+      const next = normaliseProfile({ ...profile, ...patch }, profile.id);
+      if (!next || (sameEndpoints(next, profile) && next.label === profile.label)) return;
+      const match = profiles.find((p) => sameEndpoints(p, next) && (!patch.label || p.label === next.label));
+      if (match) {
+        setProfileId(match.id);
+        return;
+      }
+      const target = profile.builtIn ? { ...next, id: CUSTOM_PROFILE_ID, label: patch.label || "Custom" } : next;
+      setCustomProfiles((list) => upsertProfile(list, target));
+      setProfileId(target.id);
+    },
+    [profile, profiles]
+  );
+
   const updateApiHost = useCallback(
-    (next) => {
-      setApiHostState(normaliseHost(next));
+    (next) => updateProfile({ apiHost: normaliseHost(next) }),
+    [updateProfile]
+  );
+
+  // Profiles identical to a built-in are skipped; returns how many were added or updated
+  const importProfiles = useCallback(
+    (list, activeId) => {
+      const incoming = list.filter(
+        (p) => !BUILT_IN_PROFILES.some((b) => b.id === p.id && sameEndpoints(b, p))
+      );
+      const next = incoming.reduce(upsertProfile, customProfiles);
+      setCustomProfiles(next);
+      if (activeId && findProfile(next, activeId)) setProfileId(activeId);
+      return incoming.length;
+    },
+    [customProfiles]
+  );
+
+  // A shared link's endpoints join the saved profiles under a fresh id, then become active
+  const acceptLinkedProfile = useCallback(() => {
+    if (!linkedProfile) return;
+    const next = addProfile(customProfiles, linkedProfile);
+    setCustomProfiles(next);
+    setProfileId(next.at(-1).id);
+    setLinkedProfile(null);
+  }, [customProfiles, linkedProfile]);
+
+  const dismissLinkedProfile = useCallback(() => setLinkedProfile(null), []);
+
+  const deleteProfile = useCallback(
+    (id) => {
+      setCustomProfiles((list) => removeProfile(list, id));
+      if (id === profileId) setProfileId(DEFAULT_PROFILE_ID);
     },
-    []
+    [profileId]
   );
 
+  // 429: remember when the server lets us try again and say so
+  const rateLimitError = useCallback((res) => {
+    const waitMs = retryAfterMs(res) ?? SIGN_IN_CODE.resendCooldownMs;
+    setRateLimitedUntil(Date.now() + waitMs);
+    return new Error(`Too many attempts. Try again in ${Math.ceil(waitMs / 1000)}s`);
+  }, []);
+
+  // The cooldown clears itself when it runs out, so countdowns stop ticking
+  useEffect(() => {
+    if (!rateLimitedUntil) return;
+    const timer = setTimeout(() => setRateLimitedUntil(null), Math.max(0, rateLimitedUntil - Date.now()));
+    return () => clearTimeout(timer);
+  }, [rateLimitedUntil]);
+
+  // `resend` keeps the current code usable until the new one arrives
   const signIn = useCallback(
-    async (email) => {
+    async (email, { resend = false } = {}) => {
       const targetEmail = String(email || "").trim();
       if (!targetEmail) {
         setError("Email is required");
         return;
       }
+      if (rateLimitedUntil && rateLimitedUntil > Date.now()) {
+        setError(`Too many attempts. Try again in ${Math.ceil((rateLimitedUntil - Date.now()) / 1000)}s`);
+        return;
+      }
       setIsWorking(true);
       setError(null);
       setMessage(null);
-      setPendingSession(null);
-      setPendingEmail(null);
+      if (!resend) clearPending();
       try {
-        const res = await fetch(`${apiHost}/vets/sign-in`, {
+        const res = await tracedFetch(`${apiHost}/vets/sign-in`, {
           method: "POST",
           headers: {
             "content-type": "application/json",
@@ -118,6 +562,7 @@ export function AuthProvider({ children }) {
           },
           body: JSON.stringify({ email: targetEmail }),
         });
+        if (res.status === 429) throw rateLimitError(res);
         const data = await res.json().catch(() => ({}));
         if (!res.ok || data?.success === false) {
           const errMsg = data?.error_details?.[0]?.message || data?.message || data?.error || `HTTP ${res.status}`;
@@ -125,9 +570,17 @@ export function AuthProvider({ children }) {
         }
         const session = typeof data?.data === "string" ? data.data : data?.data?.session;
         if (!session) throw new Error("Missing session token in response");
+        const sentAt = Date.now();
+        const expiresIn = Number(data?.data?.expires_in);
         setPendingSession(session);
         setPendingEmail(targetEmail);
-        setMessage("Verification code sent. Check your email.");
+        setPendingCode({
+          sentAt,
+          expiresAt: sentAt + (expiresIn > 0 ? expiresIn * 1000 : SIGN_IN_CODE.ttlMs),
+          attemptsLeft: Number(data?.data?.attempts) || SIGN_IN_CODE.maxAttempts,
+        });
+        setRateLimitedUntil(null);
+        setMessage(resend ? "A new code was sent." : "Verification code sent. Check your email.");
         return session;
       } catch (err) {
         setError(err?.message || "Sign-in failed");
@@ -136,11 +589,18 @@ export function AuthProvider({ children }) {
         setIsWorking(false);
       }
     },
-    [apiHost]
+    [apiHost, clearPending, rateLimitError, rateLimitedUntil]
   );
 
+  const resendCode = useCallback(() => {
+    if (!pendingEmail) return;
+    if (pendingCode && Date.now() < pendingCode.sentAt + SIGN_IN_CODE.resendCooldownMs) return;
+    return signIn(pendingEmail, { resend: true }).catch(() => {});
+  }, [pendingCode, pendingEmail, signIn]);
+
+  // The new identity is added to the keyring and selected for the scope that confirmed it
   const confirmSignIn = useCallback(
-    async (code) => {
+    async (code, scope) => {
       const trimmed = String(code || "").trim();
       if (!pendingSession || !pendingEmail) {
         setError("Start sign-in with an email first");
@@ -150,11 +610,19 @@ export function AuthProvider({ children }) {
         setError("Code is required");
         return;
       }
+      if (pendingCode && Date.now() > pendingCode.expiresAt) {
+        setError("Code expired. Resend a new one.");
+        return;
+      }
+      if (rateLimitedUntil && rateLimitedUntil > Date.now()) {
+        setError(`Too many attempts. Try again in ${Math.ceil((rateLimitedUntil - Date.now()) / 1000)}s`);
+        return;
+      }
       setIsWorking(true);
       setError(null);
       setMessage(null);
       try {
-        const res = await fetch(`${apiHost}/vets/confirm-sign-in`, {
+        const res = await tracedFetch(`${apiHost}/vets/confirm-sign-in`, {
           method: "POST",
           headers: {
             "content-type": "application/json",
@@ -166,19 +634,38 @@ export function AuthProvider({ children }) {
             session: pendingSession,
           }),
         });
+        if (res.status === 429) throw rateLimitError(res);
         const data = await res.json().catch(() => ({}));
         if (!res.ok || data?.success === false) {
           const errMsg = data?.error_details?.[0]?.message || data?.message || data?.error || `HTTP ${res.status}`;
-          throw new Error(errMsg || "Confirm sign-in failed");
+          const reported = Number(data?.remaining_attempts ?? data?.error_details?.[0]?.remaining_attempts);
+          const attemptsLeft = Number.isFinite(reported)
+            ? reported
+            : Math.max(0, (pendingCode?.attemptsLeft ?? SIGN_IN_CODE.maxAttempts) - 1);
+          setPendingCode((prev) => (prev ? { ...prev, attemptsLeft } : prev));
+          // Out of attempts: the session is burnt, only a resend helps
+          if (attemptsLeft <= 0) setPendingSession(null);
+          throw new Error(
+            attemptsLeft > 0
+              ? `${errMsg || "Confirm sign-in failed"} (${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left)`
+              : `${errMsg || "Confirm sign-in failed"}. No attempts left, resend a new code.`
+          );
         }
         const payload = data?.data || {};
         if (!payload?.access_token) throw new Error("Missing access token in response");
-        setToken(payload.access_token);
-        setRefreshToken(payload.refresh_token || null);
-        setUserId(payload.user_id || null);
-        setUserEmail(pendingEmail);
-        setPendingSession(null);
-        setPendingEmail(null);
+        const identity = {
+          userEmail: pendingEmail,
+          userId: payload.user_id || null,
+          token: payload.access_token,
+          refreshToken: payload.refresh_token || null,
+          signedInAt: Date.now(),
+          rotatedAt: null,
+          rotatedVia: null,
+        };
+        identity.id = identityIdFor(identity);
+        commitKeyring((kr) => upsertIdentity(kr, apiHost, identity));
+        selectIdentity(scope, identity.id);
+        clearPending();
         setMessage("Signed in successfully");
         return payload.access_token;
       } catch (err) {
@@ -188,69 +675,181 @@ export function AuthProvider({ children }) {
         setIsWorking(false);
       }
     },
-    [apiHost, pendingEmail, pendingSession]
-  );
-
-  const authFetch = useCallback(
-    async (input, init = {}) => {
-      const headers = new Headers(init.headers || {});
-      if (token) headers.set("authorization", `Bearer ${token}`);
-      if (refreshToken) headers.set(AUTH_HEADER_NAMES.refresh, refreshToken);
-
-      const response = await fetch(input, { ...init, headers });
-
-      const nextAccess = response.headers.get(AUTH_HEADER_NAMES.access);
-      if (nextAccess && nextAccess !== token) setToken(nextAccess);
-
-      const nextRefresh = response.headers.get(AUTH_HEADER_NAMES.refresh);
-      if (nextRefresh && nextRefresh !== refreshToken) setRefreshToken(nextRefresh);
-
-      return response;
-    },
-    [token, refreshToken]
+    [
+      apiHost,
+      clearPending,
+      commitKeyring,
+      pendingCode,
+      pendingEmail,
+      pendingSession,
+      rateLimitError,
+      rateLimitedUntil,
+      selectIdentity,
+    ]
   );
 
-  const value = useMemo(
+  const core = useMemo(
     () => ({
       apiHost,
       apiBase,
+      relayBase,
       setApiHost: updateApiHost,
-      token,
-      refreshToken,
-      userEmail,
-      userId,
-      isLoggedIn: Boolean(token),
+      profile,
+      profiles,
+      selectProfile,
+      updateProfile,
+      importProfiles,
+      deleteProfile,
+      linkedProfile,
+      acceptLinkedProfile,
+      dismissLinkedProfile,
+      keyring,
       pendingEmail,
       pendingSession,
+      pendingCode,
+      rateLimitedUntil,
       isWorking,
       error,
       message,
+      setMessage,
       signIn,
+      resendCode,
       confirmSignIn,
-      signOut,
-      authFetch,
-      clearAuth,
+      fetchAs,
+      headersFor,
+      refreshIdentity,
+      selectIdentity,
+      pinScope,
+      renameIdentity,
+      forgetIdentity,
+      invalidateIdentity,
       resetStatus,
     }),
     [
       apiHost,
       apiBase,
+      relayBase,
       updateApiHost,
-      token,
-      refreshToken,
-      userEmail,
-      userId,
+      profile,
+      profiles,
+      selectProfile,
+      updateProfile,
+      importProfiles,
+      deleteProfile,
+      linkedProfile,
+      acceptLinkedProfile,
+      dismissLinkedProfile,
+      keyring,
       pendingEmail,
       pendingSession,
+      pendingCode,
+      rateLimitedUntil,
       isWorking,
       error,
       message,
       signIn,
+      resendCode,
+      confirmSignIn,
+      fetchAs,
+      headersFor,
+      refreshIdentity,
+      selectIdentity,
+      pinScope,
+      renameIdentity,
+      forgetIdentity,
+      invalidateIdentity,
+      resetStatus,
+    ]
+  );
+
+  return (
+    <AuthCoreContext.Provider value={core}>
+      <IdentityScope scope="default">{children}</IdentityScope>
+    </AuthCoreContext.Provider>
+  );
+}
+
+// Binds useAuth() below it to the identity pinned to `scope` (a tester tab),
+// falling back to the host's active identity when nothing is pinned.
+export function IdentityScope({ scope, children }) {
+  const core = useContext(AuthCoreContext);
+  if (!core) throw new Error("IdentityScope must be used within an AuthProvider");
+  const {
+    apiHost,
+    keyring,
+    fetchAs,
+    headersFor,
+    refreshIdentity,
+    selectIdentity,
+    pinScope,
+    forgetIdentity,
+    invalidateIdentity,
+    confirmSignIn: confirmCore,
+    setMessage,
+  } = core;
+
+  const identity = resolveIdentity(keyring, apiHost, scope);
+  const identityId = identity?.id || null;
+  const identities = hostEntry(keyring, apiHost).identities;
+  const pinned = Boolean(identityId && hostEntry(keyring, apiHost).pins[scope] === identityId);
+
+  const authFetch = useCallback((input, init) => fetchAs(identityId, input, init), [fetchAs, identityId]);
+  // Identity-bound, so streams reconnect when the tab switches identity
+  const getAuthHeaders = useCallback(() => headersFor(identityId), [headersFor, identityId]);
+  const refreshSession = useCallback(() => refreshIdentity(identityId), [refreshIdentity, identityId]);
+  const switchIdentity = useCallback((id) => selectIdentity(scope, id), [selectIdentity, scope]);
+  const pinIdentity = useCallback(
+    (on) => pinScope(scope, on ? identityId : null),
+    [pinScope, scope, identityId]
+  );
+  const confirmSignIn = useCallback((code) => confirmCore(code, scope), [confirmCore, scope]);
+  const clearAuth = useCallback(() => forgetIdentity(identityId), [forgetIdentity, identityId]);
+  const invalidateSession = useCallback(() => invalidateIdentity(identityId), [invalidateIdentity, identityId]);
+  const signOut = useCallback(() => {
+    forgetIdentity(identityId);
+    setMessage("Signed out");
+  }, [forgetIdentity, identityId, setMessage]);
+
+  const value = useMemo(
+    () => ({
+      ...core,
+      scope,
+      identities,
+      identity,
+      identityId,
+      pinned,
+      token: identity?.token || null,
+      refreshToken: identity?.refreshToken || null,
+      userEmail: identity?.userEmail || null,
+      userId: identity?.userId || null,
+      isLoggedIn: Boolean(identity?.token),
+      sessionExpired: Boolean(identity && !identity.token),
       confirmSignIn,
       signOut,
       authFetch,
+      getAuthHeaders,
+      refreshSession,
+      switchIdentity,
+      pinIdentity,
       clearAuth,
-      resetStatus,
+      invalidateSession,
+    }),
+    [
+      core,
+      scope,
+      identities,
+      identity,
+      identityId,
+      pinned,
+      confirmSignIn,
+      signOut,
+      authFetch,
+      getAuthHeaders,
+      refreshSession,
+      switchIdentity,
+      pinIdentity,
+      clearAuth,
+      invalidateSession,
     ]
   );
 
@@ -0,0 +1,34 @@
+// src/auth/jwt.js
+// Client-side JWT decoding (no signature verification — display and scheduling only).
+
+const b64urlDecode = (part) => {
+  const b64 = part.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = b64 + "=".repeat((4 - (b64.length % 4)) % 4);
+  const bytes = Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+export function decodeJwt(token) {
+  if (!token || typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length < 2) return null;
+  try {
+    return {
+      header: JSON.parse(b64urlDecode(parts[0])),
+      payload: JSON.parse(b64urlDecode(parts[1])),
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Expiry as epoch ms, or null when the token is opaque / has no `exp`
+export function tokenExpiresAt(token) {
+  const exp = decodeJwt(token)?.payload?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+}
+
+export function isTokenExpired(token, skewMs = 0) {
+  const at = tokenExpiresAt(token);
+  return at !== null && at - skewMs <= Date.now();
+}
@@ -0,0 +1,110 @@
+// src/auth/keyring.js
+// Saved identities, grouped by API host. Pure helpers over a plain object so
+// AuthProvider can persist it as-is:
+//   { hosts: { [host]: { activeId, pins: { [scope]: id }, identities: [identity] } } }
+//   identity: { id, label, userEmail, userId, token, refreshToken, addedAt }
+// An identity whose tokens were dropped (expired refresh) stays in the keyring
+// so the tab it is pinned to can prompt for that vet again.
+import { isTokenExpired, tokenExpiresAt } from "./jwt.js";
+
+export const EMPTY_KEYRING = { hosts: {} };
+const EMPTY_HOST = { activeId: null, pins: {}, identities: [] };
+
+export const hostEntry = (keyring, host) => keyring?.hosts?.[host] || EMPTY_HOST;
+
+const withHost = (keyring, host, fn) => ({
+  ...keyring,
+  hosts: { ...keyring?.hosts, [host]: fn(hostEntry(keyring, host)) },
+});
+
+export const identityIdFor = ({ userId, userEmail }) =>
+  userId ? String(userId) : userEmail ? String(userEmail).trim().toLowerCase() : null;
+
+export const findIdentity = (keyring, host, id) =>
+  (id && hostEntry(keyring, host).identities.find((i) => i.id === id)) || null;
+
+// Pinned identity for `scope`, else the host's active one
+export function resolveIdentity(keyring, host, scope) {
+  const entry = hostEntry(keyring, host);
+  return findIdentity(keyring, host, entry.pins[scope]) || findIdentity(keyring, host, entry.activeId);
+}
+
+// Adds or refreshes an identity; a user-chosen label survives re-sign-in
+export function upsertIdentity(keyring, host, identity) {
+  return withHost(keyring, host, (entry) => {
+    const existing = entry.identities.find((i) => i.id === identity.id);
+    const next = {
+      addedAt: Date.now(),
+      ...existing,
+      ...identity,
+      label: existing?.label || identity.label || identity.userEmail || identity.id,
+    };
+    return {
+      ...entry,
+      activeId: entry.activeId || identity.id,
+      identities: existing
+        ? entry.identities.map((i) => (i.id === identity.id ? next : i))
+        : [...entry.identities, next],
+    };
+  });
+}
+
+export function updateIdentity(keyring, host, id, patch) {
+  if (!findIdentity(keyring, host, id)) return keyring;
+  return withHost(keyring, host, (entry) => ({
+    ...entry,
+    identities: entry.identities.map((i) => (i.id === id ? { ...i, ...patch } : i)),
+  }));
+}
+
+export function removeIdentity(keyring, host, id) {
+  return withHost(keyring, host, (entry) => {
+    const identities = entry.identities.filter((i) => i.id !== id);
+    const pins = Object.fromEntries(Object.entries(entry.pins).filter(([, pinned]) => pinned !== id));
+    const activeId = entry.activeId === id ? identities[0]?.id || null : entry.activeId;
+    return { activeId, pins, identities };
+  });
+}
+
+export function setActiveIdentity(keyring, host, id) {
+  return withHost(keyring, host, (entry) => ({ ...entry, activeId: id }));
+}
+
+// id = null unpins the scope so it follows the active identity again
+export function setPin(keyring, host, scope, id) {
+  return withHost(keyring, host, (entry) => {
+    const pins = { ...entry.pins };
+    if (id) pins[scope] = id;
+    else delete pins[scope];
+    return { ...entry, pins };
+  });
+}
+
+/* ───────────────────── Cross-tab merge ───────────────────── */
+// Local tokens win only when fresher: a rotation this tab made that the other
+// tab hasn't seen, or a still-valid session the other tab gave up on after
+// losing a concurrent refresh.
+const isFresher = (mine, theirs) => {
+  if (!mine.token || mine.token === theirs.token) return false;
+  if (!theirs.token) return !isTokenExpired(mine.token);
+  return (tokenExpiresAt(mine.token) ?? 0) > (tokenExpiresAt(theirs.token) ?? 0);
+};
+
+// Adopts another tab's keyring (removals, pins, renames, new identities)
+export function mergeKeyrings(local, remote) {
+  if (!remote?.hosts) return EMPTY_KEYRING;
+  const hosts = {};
+  for (const [host, entry] of Object.entries(remote.hosts)) {
+    hosts[host] = {
+      ...EMPTY_HOST,
+      ...entry,
+      identities: (entry.identities || []).map((theirs) => {
+        const mine = findIdentity(local, host, theirs.id);
+        return mine && isFresher(mine, theirs)
+          ? { ...theirs, token: mine.token, refreshToken: mine.refreshToken }
+          : theirs;
+      }),
+    };
+  }
+  return { ...remote, hosts };
+}
@@ -0,0 +1,123 @@
+// src/auth/profiles.js
+// Environment profiles: { id, label, apiHost, apiPath, relayBase, builtIn? }.
+// Built-ins come from config.jsx; custom ones are persisted by AuthProvider,
+// imported/exported as JSON and encoded in the page URL so a shared link opens
+// against the same environment. Identities live in the keyring under apiHost.
+import { ENV_PROFILES, RELAY_BASE, VET_API_PATH } from "../config.jsx";
+
+export const PROFILES_FORMAT = "vet-tester-profiles";
+export const CUSTOM_PROFILE_ID = "custom";
+
+export const BUILT_IN_PROFILES = ENV_PROFILES.map((p) => ({ ...p, builtIn: true }));
+
+const trimSlash = (value) => String(value ?? "").trim().replace(/\/+$/, "");
+const slug = (value) => String(value ?? "").trim().toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "");
+
+const normalisePath = (path) => {
+  const trimmed = trimSlash(path);
+  return trimmed && !trimmed.startsWith("/") ? `/${trimmed}` : trimmed;
+};
+
+// null when there is no usable API host
+export function normaliseProfile(raw, fallbackId = CUSTOM_PROFILE_ID) {
+  const apiHost = trimSlash(raw?.apiHost);
+  if (!apiHost) return null;
+  const id = slug(raw.id) || fallbackId;
+  return {
+    id,
+    label: String(raw.label ?? "").trim() || id,
+    apiHost,
+    apiPath: raw.apiPath === undefined || raw.apiPath === null ? VET_API_PATH : normalisePath(raw.apiPath),
+    relayBase: trimSlash(raw.relayBase) || RELAY_BASE,
+  };
+}
+
+export const sameEndpoints = (a, b) =>
+  a.apiHost === b.apiHost && a.apiPath === b.apiPath && a.relayBase === b.relayBase;
+
+export const allProfiles = (custom) => [...BUILT_IN_PROFILES, ...custom];
+
+export const findProfile = (custom, id) => allProfiles(custom).find((p) => p.id === id) || null;
+
+// Custom profiles are keyed by id; a built-in id is never shadowed
+export function upsertProfile(custom, raw) {
+  const profile = normaliseProfile(raw);
+  if (!profile) return custom;
+  if (BUILT_IN_PROFILES.some((p) => p.id === profile.id)) profile.id = `${profile.id}-custom`;
+  return custom.some((p) => p.id === profile.id)
+    ? custom.map((p) => (p.id === profile.id ? profile : p))
+    : [...custom, profile];
+}
+
+export const removeProfile = (custom, id) => custom.filter((p) => p.id !== id);
+
+// First id from `base` ("staging", "staging-2", …) that no built-in or saved profile uses
+export function freeProfileId(custom, base) {
+  const root = slug(base) || CUSTOM_PROFILE_ID;
+  const taken = new Set(allProfiles(custom).map((p) => p.id));
+  let id = root;
+  for (let n = 2; taken.has(id); n++) id = `${root}-${n}`;
+  return id;
+}
+
+// Adds `raw` as a new custom profile; never replaces a saved one
+export function addProfile(custom, raw) {
+  const profile = normaliseProfile(raw);
+  return profile ? [...custom, { ...profile, id: freeProfileId(custom, profile.id) }] : custom;
+}
+
+/* ───────────────────── URL ───────────────────── */
+// ?env=<id>; custom profiles also carry their endpoints so the link can be offered on
+// a machine that doesn't have them saved. Returns { id } alone for a bare custom id.
+const URL_KEYS = { apiHost: "apiHost", apiPath: "apiPath", relayBase: "relay", label: "envLabel" };
+
+export function profileFromSearch(search) {
+  const qs = new URLSearchParams(search);
+  const env = qs.get("env");
+  if (!env) return null;
+  const builtIn = BUILT_IN_PROFILES.find((p) => p.id === env);
+  if (builtIn) return builtIn;
+  if (!qs.get(URL_KEYS.apiHost)) return { id: env };
+  return normaliseProfile({
+    id: env,
+    label: qs.get(URL_KEYS.label) || env,
+    apiHost: qs.get(URL_KEYS.apiHost),
+    apiPath: qs.get(URL_KEYS.apiPath),
+    relayBase: qs.get(URL_KEYS.relayBase),
+  });
+}
+
+export function writeProfileToUrl(url, profile) {
+  url.searchParams.set("env", profile.id);
+  for (const [field, key] of Object.entries(URL_KEYS)) {
+    if (profile.builtIn) url.searchParams.delete(key);
+    else url.searchParams.set(key, profile[field]);
+  }
+  return url;
+}
+
+/* ───────────────────── Import / export ───────────────────── */
+export function buildProfilesExport(custom, activeId) {
+  return {
+    format: PROFILES_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    active: activeId,
+    profiles: custom.map(({ id, label, apiHost, apiPath, relayBase }) => ({ id, label, apiHost, apiPath, relayBase })),
+  };
+}
+
+// Accepts an export file, a bare array of profiles or a single profile
+export function parseProfilesFile(text) {
+  let doc;
+  try {
+    doc = typeof text === "string" ? JSON.parse(text) : text;
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  if (doc?.format && doc.format !== PROFILES_FORMAT) throw new Error(`Unexpected format "${doc.format}"`);
+  const list = Array.isArray(doc) ? doc : Array.isArray(doc?.profiles) ? doc.profiles : [doc];
+  const profiles = list.map((p) => normaliseProfile(p)).filter(Boolean);
+  if (!profiles.length) throw new Error("No profiles with an apiHost found");
+  return { profiles, active: doc?.active || null };
+}
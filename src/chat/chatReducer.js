@@ -0,0 +1,324 @@
+// src/chat/chatReducer.js
+// Vet Chat conversation state as a pure reducer over typed events. Every event
+// is appended to `log` with its sequence number, and new rows take their uid and
+// timestamps from the event rather than the clock, so replayChatLog(log) rebuilds
+// the exact same state — or any earlier one with `upto`. The log starts over at
+// each RESET and keeps at most CHAT_LOG_LIMIT events.
+// Assistant rows carry `schemaIssues`: structuredSchema findings for their
+// current chunks, summary and citations, refreshed whenever those change.
+//   state: { messages, turnPhase, isCancelling, seq, log }
+//   event: chatEvent(type, fields) → { type, at, ...fields }
+import { CHAT_LOG_LIMIT } from "../config.jsx";
+import { confirmSent, reconcileHistory, tagStreamedReply } from "./reconcile.js";
+import { validateStructured } from "./structuredSchema.js";
+
+export const CHAT_EVENT = {
+  RESET: "reset", // consultation (re)opened, or replay entered/left
+  HISTORY_LOADED: "history/loaded", // { messages: server messages, oldest first } → replaces the list
+  HISTORY_MERGED: "history/merged", // { messages, prepend } → reconciled into the list
+  USER_SENT: "user/sent", // { clientId, text } → optimistic bubble
+  USER_CONFIRMED: "user/confirmed", // { clientId, response } → POST /message answered
+  USER_FAILED: "user/failed", // { clientId, message }
+  CHUNK: "stream/chunk", // { text } → plain `message` event
+  STRUCTURED: "stream/structured", // { payload } → { index, chunk } | { summary } | { citations }
+  STATUS: "stream/status", // { payload } → payload.phase
+  DONE: "stream/done", // { payload }
+  STREAM_ERROR: "stream/error", // { message }
+  CANCEL_REQUESTED: "turn/cancel-requested",
+  CANCEL_FAILED: "turn/cancel-failed", // { message }
+  NOTE: "note", // { level: "system" | "error", text }
+};
+
+export const chatEvent = (type, fields = {}) => ({ type, at: Date.now(), ...fields });
+
+export const createChatState = () => ({ messages: [], turnPhase: null, isCancelling: false, seq: 0, log: [] });
+
+/* ───────────────────── Helpers ───────────────────── */
+const END_OF_STREAM = "[END-OF-STREAM]";
+const STARTED_PHASES = ["started", "accepted", "thinking"];
+const FINISHED_PHASES = ["completed", "done", "error"];
+
+// Strip internal cite tokens where markers can't be shown. Message text keeps
+// them; the chat view turns them into markers (see chat/citations.js).
+const INTERNAL_CITE_RE = /\uE200cite\uE202[\s\S]*?\uE201/g;
+export const stripInternalCites = (s = "") => String(s).replace(INTERNAL_CITE_RE, "");
+
+const fmtTime = (d) => {
+  try {
+    return new Date(d).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  } catch {
+    return "";
+  }
+};
+
+const hasStructured = (m) =>
+  Array.isArray(m.structuredChunks) && m.structuredChunks.some((c) => c && typeof c === "object");
+
+// Persisted history → UI row (includes structured chunks, summary, and citations if present)
+function fromHistory(m, uid) {
+  const createdAt = m.created_at ? new Date(m.created_at) : new Date(0);
+  const structuredChunks = Array.isArray(m.structured_chunks)
+    ? m.structured_chunks
+    : Array.isArray(m.structuredChunks)
+    ? m.structuredChunks
+    : [];
+  const structured = {
+    structuredChunks,
+    structuredSummary: m.structured_summary ?? m.summary ?? m.structuredSummary ?? null,
+    structuredCitations: m.structured_citations ?? m.structuredCitations ?? null,
+  };
+  return {
+    uid,
+    id: m.id ?? m.message_id ?? null,
+    clientId: m.client_message_id ?? null,
+    replyTo: m.reply_to ?? null,
+    persisted: true,
+    type: m.role === "user" ? "sent" : "received",
+    text: m.content || "",
+    isStreaming: false,
+    lastChunk: "",
+    timestamp: fmtTime(createdAt),
+    createdAt,
+    ...structured,
+    schemaIssues: validateStructured(structured),
+    // Only transcripts carry raw events; server rows must not wipe the live copy when merged
+    ...(Array.isArray(m.structured_events) ? { structuredEvents: m.structured_events } : {}),
+  };
+}
+
+const mapHistory = (list, ev) => (list || []).map((m, i) => fromHistory(m, `h${ev.seq}-${i}`));
+
+const streamingBubble = (ev, text = "") => ({
+  uid: `e${ev.seq}`,
+  type: "received",
+  text,
+  isStreaming: true,
+  lastChunk: text,
+  timestamp: fmtTime(ev.at),
+  createdAt: new Date(ev.at),
+  animTick: ev.seq,
+  structuredChunks: [],
+  structuredSummary: null,
+  structuredCitations: null,
+});
+
+const withNote = (messages, ev, level, text) => [
+  ...messages,
+  {
+    uid: `e${ev.seq}-note`,
+    type: level,
+    text,
+    isStreaming: false,
+    timestamp: fmtTime(ev.at),
+    createdAt: new Date(ev.at),
+  },
+];
+
+function ensureStreamingBubble(messages, ev) {
+  for (let j = messages.length - 1; j >= 0; j--) {
+    const m = messages[j];
+    if (m.type === "received" && m.isStreaming) return messages;
+  }
+  return [...messages, streamingBubble(ev)];
+}
+
+// Turn over: no bubble keeps streaming
+function endStream(messages) {
+  if (!messages.some((m) => m.isStreaming)) return messages;
+  return messages.map((m) => (m.isStreaming ? { ...m, isStreaming: false, lastChunk: "" } : m));
+}
+
+// Text goes to the streaming bubble. Once that bubble renders structured chunks the
+// plain text is only a fallback copy of the same answer, so it is dropped rather
+// than opening a second bubble that nothing would ever close.
+function appendChunk(messages, chunk, ev) {
+  for (let j = messages.length - 1; j >= 0; j--) {
+    const m = messages[j];
+    if (m.type === "received" && m.isStreaming && hasStructured(m)) return messages;
+    if (m.type === "received" && m.isStreaming) {
+      const copy = messages.slice();
+      copy[j] = { ...m, text: (m.text || "") + chunk, lastChunk: chunk, animTick: ev.seq };
+      return copy;
+    }
+    if (m.type === "received") break;
+  }
+  return [...messages, streamingBubble(ev, chunk)];
+}
+
+// Last assistant bubble, preferring a streaming one
+function structuredTarget(messages) {
+  let targetIdx = -1;
+  for (let j = messages.length - 1; j >= 0; j--) {
+    const msg = messages[j];
+    if (msg.type === "received") {
+      targetIdx = j;
+      if (msg.isStreaming) break;
+    }
+  }
+  return targetIdx;
+}
+
+// Raw payloads stay on the bubble they were aimed at, in arrival order, for the event inspector
+const withRawEvent = (msg, payload, ev) => ({
+  ...msg,
+  structuredEvents: [...(msg.structuredEvents || []), { seq: ev.seq, at: ev.at, payload }],
+});
+
+function applyStructured(messages, payload, ev) {
+  const valid = payload && typeof payload === "object";
+  const { index, chunk, summary, citations } = valid ? payload : {};
+  const hasIndex = typeof index === "number" && Number.isFinite(index);
+  const hasChunk = chunk && typeof chunk === "object";
+  const hasSummary = valid && Object.prototype.hasOwnProperty.call(payload, "summary");
+  const hasCitations = valid && Object.prototype.hasOwnProperty.call(payload, "citations");
+
+  const next = messages.slice();
+  let targetIdx = structuredTarget(next);
+  if (!hasIndex && !hasSummary && !hasCitations) {
+    // Nothing to render, but keep it for the inspector if there is a bubble to pin it on
+    if (targetIdx < 0) return messages;
+    next[targetIdx] = withRawEvent(next[targetIdx], payload, ev);
+    return next;
+  }
+  if (targetIdx < 0) {
+    next.push(streamingBubble(ev));
+    targetIdx = next.length - 1;
+  }
+
+  const target = withRawEvent(next[targetIdx], payload, ev);
+  let mutated = false;
+  if (hasSummary) {
+    target.structuredSummary = summary ?? null;
+    mutated = true;
+  }
+  if (hasCitations) {
+    target.structuredCitations = Array.isArray(citations) ? citations : [];
+    mutated = true;
+  }
+  if (hasIndex && hasChunk) {
+    const arr = Array.isArray(target.structuredChunks) ? target.structuredChunks.slice() : [];
+    arr[index] = chunk;
+    target.structuredChunks = arr;
+    mutated = true;
+  }
+  if (mutated) {
+    target.animTick = ev.seq;
+    target.schemaIssues = validateStructured(target);
+  }
+  next[targetIdx] = target;
+  return next;
+}
+
+const turnOver = (state, messages) => ({ ...state, messages, turnPhase: null, isCancelling: false });
+
+/* ───────────────────── Reducer ───────────────────── */
+function applyEvent(state, ev) {
+  const { messages } = state;
+  switch (ev.type) {
+    case CHAT_EVENT.RESET:
+      return { ...state, messages: [], turnPhase: null, isCancelling: false };
+
+    case CHAT_EVENT.HISTORY_LOADED:
+      return { ...state, messages: mapHistory(ev.messages, ev) };
+
+    case CHAT_EVENT.HISTORY_MERGED:
+      return {
+        ...state,
+        messages: reconcileHistory(messages, mapHistory(ev.messages, ev), { prepend: !!ev.prepend }),
+      };
+
+    case CHAT_EVENT.USER_SENT:
+      return {
+        ...state,
+        turnPhase: "sending",
+        messages: [
+          ...messages,
+          {
+            uid: `e${ev.seq}`,
+            id: null,
+            clientId: ev.clientId,
+            persisted: false,
+            pending: true,
+            type: "sent",
+            text: ev.text,
+            isStreaming: false,
+            timestamp: fmtTime(ev.at),
+            createdAt: new Date(ev.at),
+          },
+        ],
+      };
+
+    case CHAT_EVENT.USER_CONFIRMED:
+      return { ...state, messages: confirmSent(messages, ev.clientId, ev.response, fmtTime) };
+
+    case CHAT_EVENT.USER_FAILED: {
+      const kept = messages.filter((m) => m.clientId !== ev.clientId || m.persisted);
+      const noted = withNote(kept, ev, "error", `Failed to send: ${ev.message}`);
+      return { ...state, turnPhase: null, messages: noted };
+    }
+
+    case CHAT_EVENT.CHUNK: {
+      const chunk = String(ev.text ?? "");
+      if (chunk.trim() === END_OF_STREAM) return { ...state, messages: endStream(messages) };
+      if (!chunk) return state;
+      return { ...state, turnPhase: null, messages: appendChunk(messages, chunk, ev) };
+    }
+
+    case CHAT_EVENT.STRUCTURED:
+      return { ...state, messages: applyStructured(messages, ev.payload, ev) };
+
+    case CHAT_EVENT.STATUS: {
+      const payload = ev.payload || {};
+      const phase = payload.phase;
+      let next = state;
+      let list = messages;
+      if (STARTED_PHASES.includes(phase)) {
+        next = { ...next, turnPhase: "thinking" };
+        list = ensureStreamingBubble(list, ev);
+      }
+      if (payload.message_id) list = tagStreamedReply(list, payload);
+      if (phase === "cancel_requested") {
+        const noted = withNote(list, ev, "system", "Cancel requested…");
+        return { ...next, isCancelling: true, turnPhase: "canceling", messages: noted };
+      }
+      if (phase === "cancelled") return turnOver(next, withNote(endStream(list), ev, "system", "Turn cancelled."));
+      if (FINISHED_PHASES.includes(phase)) return turnOver(next, endStream(list));
+      return list === messages && next === state ? state : { ...next, messages: list };
+    }
+
+    case CHAT_EVENT.DONE: {
+      const list = ev.payload?.message_id ? tagStreamedReply(messages, ev.payload) : messages;
+      return turnOver(state, endStream(list));
+    }
+
+    case CHAT_EVENT.STREAM_ERROR: {
+      const text = ev.message ? `Stream error: ${ev.message}` : "Stream error.";
+      return turnOver(state, endStream(withNote(messages, ev, "error", text)));
+    }
+
+    case CHAT_EVENT.CANCEL_REQUESTED:
+      return { ...state, isCancelling: true, turnPhase: "canceling" };
+
+    case CHAT_EVENT.CANCEL_FAILED:
+      return turnOver(state, withNote(messages, ev, "error", `Failed to cancel: ${ev.message}`));
+
+    case CHAT_EVENT.NOTE:
+      return { ...state, messages: withNote(messages, ev, ev.level === "error" ? "error" : "system", ev.text) };
+
+    default:
+      return state;
+  }
+}
+
+export function chatReducer(state, event) {
+  const ev = { ...event, seq: state.seq };
+  // Nothing before a RESET survives it, so neither does its log
+  let log = ev.type === CHAT_EVENT.RESET ? [] : state.log;
+  if (log.length >= CHAT_LOG_LIMIT) log = log.slice(log.length - CHAT_LOG_LIMIT + 1);
+  return { ...applyEvent(state, ev), seq: ev.seq + 1, log: [...log, ev] };
+}
+
+// State after the first `upto` events of a log. Exact for a log that starts at
+// seq 0 or at a RESET; a log trimmed to CHAT_LOG_LIMIT rebuilds only what it covers.
+export const replayChatLog = (log, upto = log.length) =>
+  log.slice(0, upto).reduce(chatReducer, { ...createChatState(), seq: log[0]?.seq ?? 0 });
@@ -0,0 +1,235 @@
+// src/chat/chatReducer.test.js
+// Turn lifecycle, reconciliation and log replay for the Vet Chat reducer.
+import { describe, expect, it } from "vitest";
+import { CHAT_LOG_LIMIT } from "../config.jsx";
+import { CHAT_EVENT, chatEvent, chatReducer, createChatState, replayChatLog } from "./chatReducer.js";
+
+const T0 = Date.parse("2026-03-02T10:00:00Z");
+
+// Events with fixed clocks, one second apart, so runs are deterministic
+const run = (steps, state = createChatState()) =>
+  steps.reduce((s, [type, fields], i) => chatReducer(s, chatEvent(type, { at: T0 + i * 1000, ...fields })), state);
+
+const bubbles = (state) => state.messages.filter((m) => m.type === "sent" || m.type === "received");
+const notes = (state) => state.messages.filter((m) => m.type === "system" || m.type === "error").map((m) => m.text);
+
+// POST /message answered for the bubble sent as "c1"
+const confirmed = (id, createdAt) => [
+  CHAT_EVENT.USER_CONFIRMED,
+  { clientId: "c1", response: { message_id: id, created_at: createdAt } },
+];
+
+const history = [
+  { id: "msg_1", role: "user", content: "¿Dosis de meloxicam?", created_at: "2026-03-02T09:00:00Z" },
+  { id: "msg_2", role: "assistant", content: "0,1 mg/kg", reply_to: "msg_1", created_at: "2026-03-02T09:00:05Z" },
+];
+
+describe("structured chunks after plain text", () => {
+  const state = run([
+    [CHAT_EVENT.USER_SENT, { clientId: "c1", text: "¿Y en gatos?" }],
+    [CHAT_EVENT.STATUS, { payload: { phase: "started" } }],
+    [CHAT_EVENT.CHUNK, { text: "En gatos " }],
+    [CHAT_EVENT.STRUCTURED, { payload: { index: 0, chunk: { type: "text", text: "En gatos, 0,05 mg/kg." } } }],
+    [CHAT_EVENT.CHUNK, { text: "0,05 mg/kg." }],
+    [CHAT_EVENT.STRUCTURED, { payload: { summary: "Dosis felina" } }],
+  ]);
+
+  it("renders them in the streaming bubble instead of opening a second one", () => {
+    const replies = bubbles(state).filter((m) => m.type === "received");
+    expect(replies).toHaveLength(1);
+    expect(replies[0].isStreaming).toBe(true);
+    expect(replies[0].structuredChunks).toEqual([{ type: "text", text: "En gatos, 0,05 mg/kg." }]);
+    expect(replies[0].structuredSummary).toBe("Dosis felina");
+  });
+
+  it("keeps the text that arrived before them and drops the fallback copy after", () => {
+    expect(bubbles(state).at(-1).text).toBe("En gatos ");
+  });
+
+  it("closes the bubble when the turn is done", () => {
+    const done = run([[CHAT_EVENT.DONE, { payload: { message_id: "msg_9" } }]], state);
+    const reply = bubbles(done).at(-1);
+    expect(reply.isStreaming).toBe(false);
+    expect(reply.id).toBe("msg_9");
+    expect(done.turnPhase).toBe(null);
+  });
+});
+
+describe("cancelling a turn", () => {
+  const streaming = run([
+    [CHAT_EVENT.USER_SENT, { clientId: "c1", text: "Hola" }],
+    [CHAT_EVENT.STATUS, { payload: { phase: "started" } }],
+    [CHAT_EVENT.CHUNK, { text: "Buenas" }],
+  ]);
+
+  it("cancel_requested marks the turn as cancelling", () => {
+    const state = run([[CHAT_EVENT.STATUS, { payload: { phase: "cancel_requested" } }]], streaming);
+    expect(state.isCancelling).toBe(true);
+    expect(state.turnPhase).toBe("canceling");
+    expect(notes(state)).toEqual(["Cancel requested…"]);
+    expect(bubbles(state).at(-1).isStreaming).toBe(true);
+  });
+
+  it("cancelled ends the turn and stops the bubble", () => {
+    const state = run(
+      [
+        [CHAT_EVENT.STATUS, { payload: { phase: "cancel_requested" } }],
+        [CHAT_EVENT.STATUS, { payload: { phase: "cancelled" } }],
+      ],
+      streaming
+    );
+    expect(state.isCancelling).toBe(false);
+    expect(state.turnPhase).toBe(null);
+    expect(state.messages.some((m) => m.isStreaming)).toBe(false);
+    expect(notes(state)).toEqual(["Cancel requested…", "Turn cancelled."]);
+    expect(bubbles(state).at(-1).text).toBe("Buenas");
+  });
+});
+
+describe("USER_FAILED", () => {
+  it("removes the optimistic bubble, notes the error and ends the turn", () => {
+    const sending = run([
+      [CHAT_EVENT.HISTORY_LOADED, { messages: history }],
+      [CHAT_EVENT.USER_SENT, { clientId: "c1", text: "¿Y en gatos?" }],
+    ]);
+    expect(sending.turnPhase).toBe("sending");
+    expect(bubbles(sending)).toHaveLength(3);
+
+    const state = run([[CHAT_EVENT.USER_FAILED, { clientId: "c1", message: "HTTP 500" }]], sending);
+    expect(state.turnPhase).toBe(null);
+    expect(bubbles(state).map((m) => m.id)).toEqual(["msg_1", "msg_2"]);
+    expect(notes(state)).toEqual(["Failed to send: HTTP 500"]);
+  });
+
+  it("keeps a bubble that the server already persisted", () => {
+    const state = run([
+      [CHAT_EVENT.USER_SENT, { clientId: "c1", text: "Hola" }],
+      confirmed("msg_3", "2026-03-02T10:00:00Z"),
+      [CHAT_EVENT.USER_FAILED, { clientId: "c1", message: "timeout" }],
+    ]);
+    expect(bubbles(state).map((m) => m.id)).toEqual(["msg_3"]);
+  });
+});
+
+describe("reconciling history with duplicate ids", () => {
+  const live = run([
+    [CHAT_EVENT.HISTORY_LOADED, { messages: history }],
+    [CHAT_EVENT.USER_SENT, { clientId: "c1", text: "¿Y en gatos?" }],
+    confirmed("msg_3", "2026-03-02T10:00:01Z"),
+    [CHAT_EVENT.STATUS, { payload: { phase: "started", message_id: "msg_4", reply_to: "msg_3" } }],
+    [CHAT_EVENT.CHUNK, { text: "0,05 mg/kg" }],
+    [CHAT_EVENT.DONE, { payload: { message_id: "msg_4", reply_to: "msg_3" } }],
+  ]);
+
+  const resync = [
+    ...history,
+    {
+      id: "msg_3",
+      role: "user",
+      content: "¿Y en gatos?",
+      client_message_id: "c1",
+      created_at: "2026-03-02T10:00:01Z",
+    },
+    { id: "msg_4", role: "assistant", content: "0,05 mg/kg", reply_to: "msg_3", created_at: "2026-03-02T10:00:06Z" },
+  ];
+
+  it("swaps persisted copies in place instead of appending them again", () => {
+    const before = bubbles(live).map((m) => m.uid);
+    const state = run([[CHAT_EVENT.HISTORY_MERGED, { messages: resync }]], live);
+    expect(bubbles(state).map((m) => m.id)).toEqual(["msg_1", "msg_2", "msg_3", "msg_4"]);
+    expect(bubbles(state).map((m) => m.uid)).toEqual(before);
+    expect(bubbles(state).every((m) => m.persisted)).toBe(true);
+  });
+
+  it("matches each row once when the same id arrives twice", () => {
+    const state = run([[CHAT_EVENT.HISTORY_MERGED, { messages: [resync[3], resync[3]] }]], live);
+    expect(bubbles(state).map((m) => m.id)).toEqual(["msg_1", "msg_2", "msg_3", "msg_4"]);
+    const fresh = { ...resync[3], id: "msg_5", created_at: "2026-03-02T10:01:00Z" };
+    const appended = run([[CHAT_EVENT.HISTORY_MERGED, { messages: [fresh, fresh] }]], live);
+    expect(bubbles(appended).map((m) => m.id)).toEqual(["msg_1", "msg_2", "msg_3", "msg_4", "msg_5"]);
+  });
+
+  it("skips rows already on screen when an older page overlaps", () => {
+    const older = [{ id: "msg_0", role: "assistant", content: "Hola", created_at: "2026-03-02T08:59:00Z" }, ...history];
+    const state = run([[CHAT_EVENT.HISTORY_MERGED, { messages: older, prepend: true }]], live);
+    expect(bubbles(state).map((m) => m.id)).toEqual(["msg_0", "msg_1", "msg_2", "msg_3", "msg_4"]);
+  });
+});
+
+describe("replayChatLog", () => {
+  const steps = [
+    [CHAT_EVENT.RESET],
+    [CHAT_EVENT.HISTORY_LOADED, { messages: history }],
+    [CHAT_EVENT.USER_SENT, { clientId: "c1", text: "¿Y en gatos?" }],
+    confirmed("msg_3", "2026-03-02T10:00:01Z"),
+    [CHAT_EVENT.STATUS, { payload: { phase: "started", message_id: "msg_4", reply_to: "msg_3" } }],
+    [CHAT_EVENT.CHUNK, { text: "En gatos " }],
+    [CHAT_EVENT.STRUCTURED, { payload: { index: 0, chunk: { type: "text", text: "0,05 mg/kg" } } }],
+    [CHAT_EVENT.STRUCTURED, { payload: { citations: [{ title: "Plumb's", url: "https://plumbs.com/" }] } }],
+    [CHAT_EVENT.NOTE, { level: "system", text: "Connected" }],
+    [CHAT_EVENT.DONE, { payload: { message_id: "msg_4" } }],
+  ];
+
+  it("rebuilds the live state from its log", () => {
+    const state = run(steps);
+    expect(replayChatLog(state.log)).toEqual(state);
+  });
+
+  it("rebuilds an earlier state with upto", () => {
+    const state = run(steps);
+    expect(replayChatLog(state.log, 6)).toEqual(run(steps.slice(0, 6)));
+  });
+
+  it("starts the log over at a reset and still rebuilds the state", () => {
+    const state = run(steps, run(steps));
+    expect(state.log[0].type).toBe(CHAT_EVENT.RESET);
+    expect(state.log).toHaveLength(steps.length);
+    expect(replayChatLog(state.log)).toEqual(state);
+  });
+
+  it("keeps at most CHAT_LOG_LIMIT events", () => {
+    const notesOnly = Array.from({ length: CHAT_LOG_LIMIT + 5 }, (_, i) => [CHAT_EVENT.NOTE, { text: `n${i}` }]);
+    const state = run(notesOnly);
+    expect(state.log).toHaveLength(CHAT_LOG_LIMIT);
+    expect(state.log[0].seq).toBe(5);
+    expect(state.seq).toBe(CHAT_LOG_LIMIT + 5);
+  });
+});
+
+describe("merging a persisted copy over a streamed reply", () => {
+  const chunk = (text) => ({ type: "text", text });
+  const streamed = run([
+    [CHAT_EVENT.USER_SENT, { clientId: "c1", text: "¿Y en gatos?" }],
+    [CHAT_EVENT.STATUS, { payload: { phase: "started", message_id: "msg_4" } }],
+    [CHAT_EVENT.STRUCTURED, { payload: { index: 0, chunk: chunk("En gatos,") } }],
+    [CHAT_EVENT.STRUCTURED, { payload: { index: 1, chunk: chunk("0,05 mg/kg.") } }],
+    [CHAT_EVENT.STRUCTURED, { payload: { summary: "Dosis felina" } }],
+  ]);
+  const persisted = (fields) => ({
+    id: "msg_4",
+    role: "assistant",
+    content: "",
+    created_at: "2026-03-02T10:00:06Z",
+    ...fields,
+  });
+  const reply = (state) => bubbles(state).find((m) => m.id === "msg_4");
+
+  it("keeps the streamed chunks when the server copy has none yet", () => {
+    const state = run([[CHAT_EVENT.HISTORY_MERGED, { messages: [persisted({})] }]], streamed);
+    expect(reply(state).persisted).toBe(true);
+    expect(reply(state).structuredChunks).toEqual([chunk("En gatos,"), chunk("0,05 mg/kg.")]);
+    expect(reply(state).structuredSummary).toBe("Dosis felina");
+  });
+
+  it("keeps the streamed chunks when the server copy has fewer", () => {
+    const partial = persisted({ structured_chunks: [chunk("En gatos,")] });
+    const state = run([[CHAT_EVENT.HISTORY_MERGED, { messages: [partial] }]], streamed);
+    expect(reply(state).structuredChunks).toHaveLength(2);
+  });
+
+  it("takes the server chunks once it has at least as many", () => {
+    const full = persisted({ structured_chunks: [chunk("En gatos,"), chunk("0,05 mg/kg (oral).")] });
+    const state = run([[CHAT_EVENT.HISTORY_MERGED, { messages: [full] }]], streamed);
+    expect(reply(state).structuredChunks[1]).toEqual(chunk("0,05 mg/kg (oral)."));
+  });
+});
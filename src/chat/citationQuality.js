@@ -0,0 +1,137 @@
+// src/chat/citationQuality.js
+// Source review for one assistant reply: every citation it carries (the
+// Fuentes list plus per-chunk citations, sections included) deduped into
+// sources, checked for missing or unsafe fields, and grouped by domain with
+// its standing on the trusted/blocked lists.
+//   source: { key, citation, number, domain, trust, flags, uses: [{ where, path }] }
+//   number: position in the Fuentes list (1-based) or null
+//   trust:  "trusted" | "blocked" | "unlisted"
+
+export const CITATION_FLAGS = {
+  "no-url": "Missing URL",
+  "no-title": "Missing title",
+  "bad-url": "Unparseable URL",
+  "not-https": "Not HTTPS",
+  duplicate: "Listed more than once",
+};
+
+// Tester ratings (chat/citationReview.js)
+export const RELEVANCE = ["high", "partial", "none"];
+export const RELEVANCE_LABEL = { high: "Relevant", partial: "Partly", none: "Off-topic" };
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+function parseUrl(raw) {
+  try {
+    return new URL(String(raw).trim());
+  } catch {
+    return null;
+  }
+}
+
+// Host without "www.", or "" when there is no usable URL
+export function domainOf(url) {
+  const parsed = url ? parseUrl(url) : null;
+  return parsed ? parsed.hostname.toLowerCase().replace(/^www\./, "") : "";
+}
+
+// Same source whatever the case, fragment or trailing slash; title when there is no URL
+export function citationKey(citation) {
+  const parsed = citation?.url ? parseUrl(citation.url) : null;
+  if (parsed) {
+    parsed.hash = "";
+    return `${parsed.protocol}//${domainOf(parsed.href)}${parsed.pathname.replace(/\/+$/, "")}${parsed.search}`;
+  }
+  const url = norm(citation?.url);
+  return url ? `url:${url}` : `title:${norm(citation?.title)}`;
+}
+
+export function citationFlags(citation) {
+  const flags = [];
+  const url = String(citation?.url ?? "").trim();
+  if (!url) flags.push("no-url");
+  else {
+    const parsed = parseUrl(url);
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) flags.push("bad-url");
+    else if (parsed.protocol !== "https:") flags.push("not-https");
+  }
+  if (!String(citation?.title ?? "").trim()) flags.push("no-title");
+  return flags;
+}
+
+// "vin.com" covers "vin.com" and "news.vin.com"; the blocked list wins
+const onList = (domain, list) => list.some((d) => domain === d || domain.endsWith(`.${d}`));
+
+export function sourceTrust(domain, lists) {
+  if (!domain) return "unlisted";
+  if (onList(domain, lists?.blocked || [])) return "blocked";
+  return onList(domain, lists?.trusted || []) ? "trusted" : "unlisted";
+}
+
+// One domain per line (or comma separated); URLs are reduced to their host
+export function parseDomainList(text) {
+  const domains = String(text ?? "")
+    .split(/[\n,]+/)
+    .map((line) => {
+      const entry = line.trim().toLowerCase();
+      return /^[a-z][a-z\d+.-]*:\/\//.test(entry) ? domainOf(entry) : entry.replace(/^www\./, "").replace(/\/.*$/, "");
+    })
+    .filter(Boolean);
+  return [...new Set(domains)];
+}
+
+function walkChunks(chunks, path, visit) {
+  (Array.isArray(chunks) ? chunks : []).forEach((chunk, i) => {
+    if (!chunk || typeof chunk !== "object") return;
+    const at = `${path}[${i}]`;
+    if (Array.isArray(chunk.citations)) {
+      chunk.citations.forEach((c) => visit(c, { where: "chunk", path: at }));
+    }
+    walkChunks(chunk.chunks, `${at}.chunks`, visit);
+  });
+}
+
+export function collectCitations(message, lists) {
+  const byKey = new Map();
+  const visit = (citation, use, number = null) => {
+    if (!citation || typeof citation !== "object") return;
+    const key = citationKey(citation);
+    let source = byKey.get(key);
+    if (!source) {
+      const domain = domainOf(citation.url);
+      const trust = sourceTrust(domain, lists);
+      source = { key, citation, number, domain, trust, flags: citationFlags(citation), uses: [] };
+      byKey.set(key, source);
+    } else if (number != null) {
+      if (source.number == null) source.number = number;
+      else if (!source.flags.includes("duplicate")) source.flags.push("duplicate");
+    }
+    source.uses.push(use);
+  };
+  (Array.isArray(message?.structuredCitations) ? message.structuredCitations : []).forEach((c, i) =>
+    visit(c, { where: "fuentes", path: `citations[${i}]` }, i + 1)
+  );
+  walkChunks(message?.structuredChunks, "chunks", visit);
+  return [...byKey.values()];
+}
+
+const TRUST_ORDER = { blocked: 0, unlisted: 1, trusted: 2 };
+
+// [{ domain, trust, sources }]: blocked first, then unlisted, trusted last; "" holds sources without a URL
+export function groupByDomain(sources) {
+  const groups = new Map();
+  for (const source of sources) {
+    let group = groups.get(source.domain);
+    if (!group) {
+      group = { domain: source.domain, trust: source.trust, sources: [] };
+      groups.set(source.domain, group);
+    }
+    group.sources.push(source);
+  }
+  return [...groups.values()].sort(
+    (a, b) =>
+      TRUST_ORDER[a.trust] - TRUST_ORDER[b.trust] ||
+      (a.domain ? 0 : 1) - (b.domain ? 0 : 1) ||
+      a.domain.localeCompare(b.domain)
+  );
+}
@@ -0,0 +1,68 @@
+// src/chat/citationReview.js
+// Tester-side citation review: the trusted/blocked domain lists and a relevance
+// rating per citation. Plain JS store persisted in localStorage; React reads it
+// through useCitationReview(). Ratings are keyed by consultation, persisted
+// message id and citationKey() (chat/citationQuality.js), so they survive
+// reloads and travel with exported transcripts.
+//   ratings: { [consultationId]: { [messageId]: { [citationKey]: "high" | "partial" | "none" } } }
+
+import { CITATION_SOURCE_LISTS } from "../config.jsx";
+import { RELEVANCE } from "./citationQuality.js";
+
+const STORAGE_KEY = "vetChatCitationReview";
+
+const domains = (list, fallback) => (Array.isArray(list) ? list.filter((d) => typeof d === "string") : fallback);
+
+function readSaved() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      lists: {
+        trusted: domains(saved?.lists?.trusted, CITATION_SOURCE_LISTS.trusted),
+        blocked: domains(saved?.lists?.blocked, CITATION_SOURCE_LISTS.blocked),
+      },
+      ratings: saved?.ratings && typeof saved.ratings === "object" ? saved.ratings : {},
+    };
+  } catch {
+    return { lists: { ...CITATION_SOURCE_LISTS }, ratings: {} };
+  }
+}
+
+let review = readSaved();
+const subscribers = new Set();
+
+function commit(next) {
+  review = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(review));
+  } catch {
+    // storage unavailable: lists and ratings last for this page only
+  }
+  for (const fn of Array.from(subscribers)) fn();
+}
+
+export const getCitationReview = () => review;
+
+export function subscribeCitationReview(fn) {
+  subscribers.add(fn);
+  return () => subscribers.delete(fn);
+}
+
+export function setSourceLists({ trusted, blocked }) {
+  commit({ ...review, lists: { trusted: domains(trusted, []), blocked: domains(blocked, []) } });
+}
+
+export const resetSourceLists = () => setSourceLists(CITATION_SOURCE_LISTS);
+
+// `rating` null clears it
+export function rateCitation(consultationId, messageId, key, rating) {
+  const consultation = review.ratings[consultationId] || {};
+  const message = { ...consultation[messageId] };
+  if (RELEVANCE.includes(rating)) message[key] = rating;
+  else delete message[key];
+  const nextConsultation = { ...consultation, [messageId]: message };
+  if (!Object.keys(message).length) delete nextConsultation[messageId];
+  commit({ ...review, ratings: { ...review.ratings, [consultationId]: nextConsultation } });
+}
+
+export const ratingsFor = (consultationId) => review.ratings[consultationId] || {};
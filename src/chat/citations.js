@@ -0,0 +1,70 @@
+// src/chat/citations.js
+// Inline citation tokens → numbered markers for the message's Fuentes list.
+// The model emits `\uE200cite\uE202<refs>\uE201`; refs are separated by
+// \uE202, commas or spaces, and each one is a 1-based position in the list,
+// a citation `id`, or its URL. Per-chunk citation objects are matched to the
+// list by URL (as citationKey() normalises it), then title.
+//   marker: { ref, number } — number is 1-based, or null when nothing matches
+
+import { citationKey } from "./citationQuality.js";
+
+const CITE_TOKEN_RE = /\uE200cite\uE202([\s\S]*?)\uE201/g;
+
+export const parseCiteRefs = (payload = "") =>
+  String(payload)
+    .split(/[\uE202,\s]+/)
+    .map((r) => r.trim())
+    .filter(Boolean);
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+// 1-based number in `citations` for one ref, or null
+export function resolveCiteRef(ref, citations) {
+  const list = Array.isArray(citations) ? citations : [];
+  if (/^\d+$/.test(ref)) {
+    const n = Number(ref);
+    return n >= 1 && n <= list.length ? n : null;
+  }
+  const key = norm(ref);
+  const i = list.findIndex((c) => c && (norm(c.id) === key || (c.url && norm(c.url) === key)));
+  return i >= 0 ? i + 1 : null;
+}
+
+// Where a per-chunk citation object sits in the message-level list
+export function matchChunkCitation(citation, citations) {
+  const list = Array.isArray(citations) ? citations : [];
+  const url = norm(citation?.url) && citationKey(citation);
+  const title = norm(citation?.title);
+  let i = url ? list.findIndex((c) => norm(c?.url) && citationKey(c) === url) : -1;
+  if (i < 0 && title) i = list.findIndex((c) => norm(c?.title) === title);
+  return i >= 0 ? i + 1 : null;
+}
+
+// While streaming, a token can arrive split across chunks; hide the unfinished tail
+export const dropPartialCite = (text = "") => String(text).replace(/\uE200[^\uE201]*$/, "");
+
+export const hasCiteTokens = (text) => typeof text === "string" && text.includes("\uE200cite");
+
+// Every token in `text` through `render(markers)`; the result replaces the token
+export function replaceCiteTokens(text, citations, render) {
+  return String(text ?? "").replace(CITE_TOKEN_RE, (_, payload) =>
+    render(parseCiteRefs(payload).map((ref) => ({ ref, number: resolveCiteRef(ref, citations) })))
+  );
+}
+
+// Markers that point at nothing in `citations`
+export function missingCiteRefs(text, citations) {
+  const missing = [];
+  replaceCiteTokens(text, citations, (markers) => {
+    for (const m of markers) if (m.number == null) missing.push(m.ref);
+    return "";
+  });
+  return missing;
+}
+
+// "Title — url" for hover previews
+export function citationPreview(citation) {
+  const title = String(citation?.title || "").trim();
+  const url = String(citation?.url || "").trim();
+  return [title, url].filter(Boolean).join(" — ") || "Fuente";
+}
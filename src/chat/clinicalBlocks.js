@@ -0,0 +1,130 @@
+// src/chat/clinicalBlocks.js
+// Structured block kinds for clinical content. Each normaliser turns a raw
+// chunk into what its renderer needs, or returns null when there is nothing
+// usable — the block then falls back to the plain paragraph path (chunk.text).
+// Field names follow the workflow results (name/probability/rationale,
+// dose/dose_unit/frequency) so the backend can reuse its serializers.
+//   facts:        { title?, items: [{ label, value, unit?, flag? }] }
+//   dosage:       { drug | name, active_principle?, dose, dose_unit?, route?, frequency?, duration?, presentation?, notes? }
+//   differential: { title?, items: [{ name, probability (0–1 or 0–100), rationale? }] }
+//   checklist:    { title?, items: [string | { text, checked? }] }
+//   section:      { title, collapsed? (default true), chunks: [chunk] }
+//   code:         { language?, text }
+//   lab_values:   { title?, items: [{ name, value, unit?, low?, high?, flag? }] }
+
+export const LAB_FLAGS = ["low", "normal", "high", "critical"];
+
+const str = (v) => (v == null ? "" : String(v).trim());
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const list = (v) => (Array.isArray(v) ? v : []);
+const num = (v) => {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v !== "string" || !v.trim()) return null;
+  const n = Number(v.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+};
+
+// 0–1 or 0–100 → 0–1
+export function toProbability(v) {
+  const n = num(v);
+  if (n == null || n < 0) return null;
+  const p = n > 1 ? n / 100 : n;
+  return p > 1 ? null : p;
+}
+
+// Flag from the reference range unless the backend sent one
+export function labFlag({ value, low, high, flag }) {
+  const given = str(flag).toLowerCase();
+  if (LAB_FLAGS.includes(given)) return given;
+  const n = num(value);
+  if (n == null) return null;
+  const lo = num(low);
+  const hi = num(high);
+  if (lo != null && n < lo) return "low";
+  if (hi != null && n > hi) return "high";
+  return lo != null || hi != null ? "normal" : null;
+}
+
+export const CLINICAL_BLOCKS = {
+  facts(chunk) {
+    const items = list(chunk.items)
+      .filter(isObject)
+      .map((f) => ({ label: str(f.label ?? f.name), value: str(f.value), unit: str(f.unit), flag: str(f.flag) }))
+      .filter((f) => f.label && f.value);
+    return items.length ? { title: str(chunk.title), items } : null;
+  },
+
+  dosage(chunk) {
+    const drug = str(chunk.drug ?? chunk.name);
+    const dose = str(chunk.dose);
+    if (!drug || !dose) return null;
+    return {
+      title: str(chunk.title),
+      drug,
+      activePrinciple: str(chunk.active_principle),
+      dose,
+      doseUnit: str(chunk.dose_unit) || "mg/kg",
+      route: str(chunk.route),
+      frequency: str(chunk.frequency),
+      duration: str(chunk.duration),
+      presentation: str(chunk.presentation),
+      notes: str(chunk.notes),
+    };
+  },
+
+  differential(chunk) {
+    const items = list(chunk.items)
+      .filter(isObject)
+      .map((d) => ({
+        name: str(d.name ?? d.diagnosis),
+        probability: toProbability(d.probability),
+        rationale: str(d.rationale),
+      }))
+      .filter((d) => d.name);
+    return items.length ? { title: str(chunk.title), items } : null;
+  },
+
+  checklist(chunk) {
+    const items = list(chunk.items)
+      .map((c) => (isObject(c) ? { text: str(c.text ?? c.label), checked: !!c.checked } : { text: str(c) }))
+      .filter((c) => c.text);
+    return items.length ? { title: str(chunk.title), items } : null;
+  },
+
+  section(chunk) {
+    const chunks = list(chunk.chunks).filter(isObject);
+    const title = str(chunk.title);
+    if (!title || !chunks.length) return null;
+    return { title, collapsed: chunk.collapsed !== false, chunks };
+  },
+
+  code(chunk) {
+    const text = typeof chunk.text === "string" ? chunk.text.replace(/\n+$/, "") : "";
+    return text ? { language: str(chunk.language), text } : null;
+  },
+
+  lab_values(chunk) {
+    const items = list(chunk.items)
+      .filter(isObject)
+      .map((l) => ({
+        name: str(l.name),
+        value: str(l.value),
+        unit: str(l.unit),
+        range: num(l.low) != null || num(l.high) != null ? [num(l.low), num(l.high)] : null,
+        flag: labFlag(l),
+      }))
+      .filter((l) => l.name && l.value);
+    return items.length ? { title: str(chunk.title), items } : null;
+  },
+};
+
+// Normalised data for a clinical kind; null for other kinds or unusable chunks
+export const normaliseClinical = (kind, chunk) => CLINICAL_BLOCKS[kind]?.(chunk) ?? null;
+
+// "1.2–3.4", "≥ 2", "≤ 8" or ""
+export function fmtRange(range) {
+  if (!range) return "";
+  const [low, high] = range;
+  if (low != null && high != null) return `${low}–${high}`;
+  return low != null ? `≥ ${low}` : `≤ ${high}`;
+}
@@ -0,0 +1,119 @@
+// src/chat/reconcile.js
+// Message identity for Vet Chat. Optimistic "sent" bubbles carry a client
+// correlation id that the server echoes back (client_message_id); streamed
+// assistant bubbles learn their server id from the stream's status/done
+// events (message_id). reconcileHistory() folds persisted history into the
+// live list by those ids, one row per id, and only falls back to content for
+// servers without them.
+//   UI message: { uid, id, clientId, replyTo, persisted, pending, type, text, createdAt, ... }
+
+export const newClientMessageId = () =>
+  globalThis.crypto?.randomUUID?.() ??
+  `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Legacy identity: same type, server timestamp and text
+const contentKey = (m) => `${m.type}|${m.createdAt?.toISOString?.() || ""}|${m.text}`;
+
+function findCounterpart(list, taken, incoming, { prepend }) {
+  const free = (i) => !taken.has(i);
+  let idx = -1;
+  if (incoming.id) idx = list.findIndex((m, i) => free(i) && m.id === incoming.id);
+  if (idx < 0 && incoming.clientId) {
+    idx = list.findIndex((m, i) => free(i) && m.clientId === incoming.clientId);
+  }
+  if (idx < 0) idx = list.findIndex((m, i) => free(i) && m.persisted && contentKey(m) === contentKey(incoming));
+  if (idx >= 0 || prepend) return idx;
+
+  // No ids to go on (older servers): the oldest unconfirmed bubble of the same kind
+  const unconfirmed = (m) => !m.persisted && !m.id && m.type === incoming.type;
+  if (incoming.type === "sent") {
+    return list.findIndex((m, i) => free(i) && unconfirmed(m) && m.text === incoming.text);
+  }
+  if (incoming.type === "received") return list.findIndex((m, i) => free(i) && unconfirmed(m));
+  return -1;
+}
+
+const chunkCount = (m) =>
+  Array.isArray(m.structuredChunks) ? m.structuredChunks.filter((c) => c && typeof c === "object").length : 0;
+
+// A server copy saved before the stream finished may have fewer structured chunks
+// than were streamed; the streamed structure then stays, with its schema findings
+const streamedStructure = (existing, incoming) =>
+  chunkCount(existing) > chunkCount(incoming)
+    ? {
+        structuredChunks: existing.structuredChunks,
+        structuredSummary: existing.structuredSummary ?? null,
+        structuredCitations: existing.structuredCitations ?? null,
+        schemaIssues: existing.schemaIssues,
+      }
+    : {};
+
+// The persisted copy wins, but the row keeps its uid (no remount) and any ids it already had
+const mergePersisted = (existing, incoming) => ({
+  ...existing,
+  ...incoming,
+  ...streamedStructure(existing, incoming),
+  uid: existing.uid,
+  id: incoming.id ?? existing.id ?? null,
+  clientId: incoming.clientId ?? existing.clientId ?? null,
+  replyTo: incoming.replyTo ?? existing.replyTo ?? null,
+  isStreaming: false,
+  pending: false,
+  lastChunk: "",
+});
+
+// Persisted messages (oldest first) into the live list: matches are swapped in
+// place, the rest appended (resync) or prepended (older page)
+export function reconcileHistory(prev, incoming, { prepend = false } = {}) {
+  const next = prev.slice();
+  const taken = new Set();
+  const seen = new Set(); // server ids in this batch; a repeat is the same message
+  const fresh = [];
+  for (const m of incoming) {
+    if (m.id) {
+      if (seen.has(m.id)) continue;
+      seen.add(m.id);
+    }
+    const idx = findCounterpart(next, taken, m, { prepend });
+    if (idx < 0) {
+      fresh.push(m);
+      continue;
+    }
+    taken.add(idx);
+    next[idx] = mergePersisted(next[idx], m);
+  }
+  if (!fresh.length && !taken.size) return prev;
+  return prepend ? [...fresh, ...next] : [...next, ...fresh];
+}
+
+// POST /message answered: the optimistic bubble takes the server's id and timestamp
+export function confirmSent(prev, clientId, data, formatTs) {
+  const id = data?.message_id ?? data?.id ?? null;
+  const createdAt = data?.created_at ? new Date(data.created_at) : null;
+  let changed = false;
+  const next = prev.map((m) => {
+    if (m.clientId !== clientId) return m;
+    changed = true;
+    return {
+      ...m,
+      id: m.id ?? id,
+      pending: false,
+      ...(createdAt ? { createdAt, timestamp: formatTs(createdAt), persisted: true } : {}),
+    };
+  });
+  return changed ? next : prev;
+}
+
+// Stream status/done events name the assistant message being produced
+export function tagStreamedReply(prev, { message_id: id, reply_to: replyTo }) {
+  if (!id || prev.some((m) => m.id === id)) return prev;
+  for (let j = prev.length - 1; j >= 0; j--) {
+    const m = prev[j];
+    if (m.type !== "received") continue;
+    if (m.persisted || m.id) return prev;
+    const copy = prev.slice();
+    copy[j] = { ...m, id, replyTo: replyTo ?? m.replyTo ?? null };
+    return copy;
+  }
+  return prev;
+}
@@ -0,0 +1,108 @@
+// src/chat/structuredInspect.js
+// Diagnostics for `structured` stream payloads: what arrived, when, and what
+// looks off — an index written twice, indices arriving out of order, holes
+// left in the chunk list, and chunks StructuredBlock can only show as a
+// plain paragraph (unknown kind, a table without its table, a clinical block
+// without usable data).
+//   row: { n, seq, at, dt, gap, parts, index, kind, payload, flags: [{ code, text }] }
+import { CLINICAL_BLOCKS, normaliseClinical } from "./clinicalBlocks.js";
+import { STRUCTURED_KINDS } from "./structuredSchema.js";
+
+export const chunkKind = (chunk) => String(chunk?.kind || "paragraph").toLowerCase();
+
+// Why a chunk would land in the default paragraph branch, or null
+export function fallthroughReason(chunk) {
+  const kind = chunkKind(chunk);
+  if (!STRUCTURED_KINDS.includes(kind)) return `unknown kind "${kind}"`;
+  if (kind === "table" && !chunk.table) return "table without `table`";
+  if (CLINICAL_BLOCKS[kind] && !normaliseClinical(kind, chunk)) return `${kind} without usable data`;
+  return null;
+}
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+function payloadParts(payload) {
+  if (!payload || typeof payload !== "object") return [];
+  return ["index", "chunk", "summary", "citations"].filter((key) => has(payload, key));
+}
+
+// Indices in 0..max that never got a chunk
+function findGaps(seen, max) {
+  const gaps = [];
+  for (let i = 0; i <= max; i++) if (!seen.has(i)) gaps.push(i);
+  return gaps;
+}
+
+// Raw events recorded by the chat reducer: [{ seq, at, payload }]
+export function inspectStructuredEvents(events = []) {
+  const firstAt = events[0]?.at ?? 0;
+  const seen = new Map(); // index → row number that last wrote it
+  let maxIndex = -1;
+  let prevAt = firstAt;
+
+  const rows = events.map((ev, i) => {
+    const payload = ev.payload;
+    const parts = payloadParts(payload);
+    const flags = [];
+    const index = payload && typeof payload === "object" ? payload.index : undefined;
+    const chunk = payload?.chunk;
+    let kind = null;
+
+    if (!parts.length) flags.push({ code: "invalid", text: "nothing the renderer can use" });
+    if (index !== undefined) {
+      if (typeof index !== "number" || !Number.isFinite(index) || index < 0) {
+        flags.push({ code: "invalid", text: `bad index ${JSON.stringify(index)}` });
+      } else {
+        if (seen.has(index)) {
+          flags.push({ code: "overwrite", text: `overwrites #${seen.get(index)}` });
+        } else if (index < maxIndex) {
+          flags.push({ code: "order", text: `after index ${maxIndex}` });
+        } else if (index > maxIndex + 1) {
+          const missing = index - 1 > maxIndex + 1 ? `${maxIndex + 1}–${index - 1}` : `${maxIndex + 1}`;
+          flags.push({ code: "skip", text: `skips ${missing}` });
+        }
+        if (!chunk || typeof chunk !== "object") {
+          flags.push({ code: "invalid", text: "index without a chunk object" });
+        } else {
+          seen.set(index, i + 1);
+          maxIndex = Math.max(maxIndex, index);
+        }
+      }
+    }
+    if (chunk && typeof chunk === "object") {
+      kind = chunkKind(chunk);
+      const reason = fallthroughReason(chunk);
+      if (reason) flags.push({ code: "fallthrough", text: `${reason} → paragraph` });
+    }
+
+    const gap = ev.at - prevAt;
+    prevAt = ev.at;
+    return { n: i + 1, seq: ev.seq, at: ev.at, dt: ev.at - firstAt, gap, parts, index, kind, payload, flags };
+  });
+
+  return { rows, gaps: findGaps(seen, maxIndex), duration: events.length ? events[events.length - 1].at - firstAt : 0 };
+}
+
+// History rows keep only the final chunk list: holes and fallthroughs are all there is to see
+export function inspectStructuredChunks(chunks = []) {
+  const seen = new Set();
+  const rows = [];
+  chunks.forEach((chunk, index) => {
+    if (!chunk || typeof chunk !== "object") return;
+    seen.add(index);
+    const reason = fallthroughReason(chunk);
+    rows.push({
+      n: rows.length + 1,
+      seq: null,
+      at: null,
+      dt: null,
+      gap: null,
+      parts: ["index", "chunk"],
+      index,
+      kind: chunkKind(chunk),
+      payload: { index, chunk },
+      flags: reason ? [{ code: "fallthrough", text: `${reason} → paragraph` }] : [],
+    });
+  });
+  return { rows, gaps: findGaps(seen, chunks.length - 1), duration: null };
+}
@@ -0,0 +1,329 @@
+// src/chat/structuredSchema.js
+// The contract for structured chat content, one entry per block kind plus the
+// message-level summary and citations. validateStructured() never rejects
+// anything — the renderer stays lenient — it only reports where a payload
+// strays from the contract so the UI can badge it.
+//   issue: { target: "chunk" | "summary" | "citations", index?, path, code, level, message }
+//   level: "error" (renders wrong or not at all) | "warning" (renders, but off-contract)
+
+import { matchChunkCitation, missingCiteRefs } from "./citations.js";
+
+export const CALLOUT_SEVERITIES = ["info", "warning", "danger"];
+
+// Field types: "string" | "text" (non-empty string) | "strings" (non-empty string[]) |
+// "boolean" | "severity" | "table" | "citations", the clinical item lists "facts" |
+// "dose" | "differentials" | "checklist" | "labs", and "chunks" (nested blocks,
+// validated as blocks). A kind's `oneOf` needs at least one of its fields.
+export const STRUCTURED_SCHEMA = {
+  heading: { fields: { text: "text", title: "string", citations: "citations" }, oneOf: ["text", "title"] },
+  paragraph: { fields: { text: "text", citations: "citations" }, required: ["text"] },
+  callout: {
+    fields: { severity: "severity", title: "string", text: "string", citations: "citations" },
+    oneOf: ["title", "text"],
+  },
+  note: {
+    fields: { severity: "severity", title: "string", text: "string", citations: "citations" },
+    oneOf: ["title", "text"],
+  },
+  bullet_list: { fields: { title: "string", items: "strings", citations: "citations" }, required: ["items"] },
+  numbered_list: { fields: { title: "string", items: "strings", citations: "citations" }, required: ["items"] },
+  table: { fields: { title: "string", table: "table", citations: "citations" }, required: ["table"] },
+  // Clinical kinds (chat/clinicalBlocks.js)
+  facts: { fields: { title: "string", items: "facts", citations: "citations" }, required: ["items"] },
+  dosage: {
+    fields: {
+      title: "string",
+      drug: "text",
+      name: "text",
+      active_principle: "string",
+      dose: "dose",
+      dose_unit: "string",
+      route: "string",
+      frequency: "string",
+      duration: "string",
+      presentation: "string",
+      notes: "string",
+      citations: "citations",
+    },
+    required: ["dose"],
+    oneOf: ["drug", "name"],
+  },
+  differential: { fields: { title: "string", items: "differentials", citations: "citations" }, required: ["items"] },
+  checklist: { fields: { title: "string", items: "checklist", citations: "citations" }, required: ["items"] },
+  section: {
+    fields: { title: "text", collapsed: "boolean", chunks: "chunks", citations: "citations" },
+    required: ["title", "chunks"],
+  },
+  code: { fields: { language: "string", text: "text" }, required: ["text"] },
+  lab_values: { fields: { title: "string", items: "labs", citations: "citations" }, required: ["items"] },
+};
+
+export const STRUCTURED_KINDS = Object.keys(STRUCTURED_SCHEMA);
+
+const isString = (v) => typeof v === "string";
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+
+const isNumeric = (v) =>
+  (typeof v === "number" && Number.isFinite(v)) || (isString(v) && v.trim() !== "" && Number.isFinite(Number(v)));
+
+const err = (path, code, message) => ({ path, code, level: "error", message });
+const warn = (path, code, message) => ({ path, code, level: "warning", message });
+
+/* ───────────────────── Field checks ───────────────────── */
+// Each returns [{ path, code, level, message }] for one field
+
+function checkCitations(value, path) {
+  if (!Array.isArray(value)) return [err(path, "citations.type", `citations must be an array, got ${typeOf(value)}`)];
+  const issues = [];
+  value.forEach((c, i) => {
+    const at = `${path}[${i}]`;
+    if (!isObject(c)) {
+      issues.push(err(at, "citation.type", `citation must be an object, got ${typeOf(c)}`));
+      return;
+    }
+    if (c.title != null && !isString(c.title)) {
+      issues.push(warn(`${at}.title`, "citation.title", "title must be a string"));
+    }
+    const url = isString(c.url) ? c.url.trim() : "";
+    if (c.url != null && !isString(c.url)) {
+      issues.push(warn(`${at}.url`, "citation.url", "url must be a string"));
+    } else if (url && !/^https?:\/\//i.test(url)) {
+      issues.push(warn(`${at}.url`, "citation.url", `url is not http(s): ${url}`));
+    }
+    if (!c.title && !url) issues.push(warn(at, "citation.empty", "citation has neither title nor url"));
+  });
+  return issues;
+}
+
+function checkTable(value, path) {
+  if (!isObject(value)) return [err(path, "table.type", `table must be an object, got ${typeOf(value)}`)];
+  const issues = [];
+  const columns = Array.isArray(value.columns) ? value.columns : null;
+  if (!columns) {
+    issues.push(warn(`${path}.columns`, "table.columns", "columns must be an array of strings"));
+  } else if (columns.some((c) => !isString(c))) {
+    issues.push(warn(`${path}.columns`, "table.columns", "every column must be a string"));
+  }
+
+  if (!Array.isArray(value.rows)) {
+    issues.push(err(`${path}.rows`, "table.rows", `rows must be an array, got ${typeOf(value.rows)}`));
+  } else {
+    value.rows.forEach((row, i) => {
+      const at = `${path}.rows[${i}]`;
+      let cells;
+      if (Array.isArray(row)) {
+        cells = row;
+        issues.push(warn(at, "table.row-shape", "legacy string[] row; expected { cells: string[] }"));
+      } else if (isObject(row) && Array.isArray(row.cells)) {
+        cells = row.cells;
+      } else {
+        issues.push(err(at, "table.row-type", "row must be { cells: string[] }; it renders empty"));
+        return;
+      }
+      if (cells.some((c) => c != null && typeof c === "object")) {
+        issues.push(err(at, "table.cell-type", "cells must be strings or numbers"));
+      }
+      if (columns && cells.length !== columns.length) {
+        const n = cells.length;
+        issues.push(warn(at, "table.row-width", `${n} cell${n === 1 ? "" : "s"} for ${columns.length} columns`));
+      }
+    });
+  }
+
+  if (value.caption != null && !isString(value.caption)) {
+    issues.push(warn(`${path}.caption`, "table.caption", "caption must be a string"));
+  }
+  return issues;
+}
+
+// Item lists: not an array is an error, items the renderer drops are warnings
+function checkItems(value, path, checkItem) {
+  if (!Array.isArray(value)) return [err(path, "field.type", `expected an array, got ${typeOf(value)}`)];
+  if (!value.length) return [err(path, "field.empty", "no items; rendered as paragraph")];
+  return value.flatMap((item, i) => checkItem(item, `${path}[${i}]`));
+}
+
+const checkFact = (f, at) =>
+  isObject(f) && (f.label ?? f.name) != null && f.value != null
+    ? []
+    : [warn(at, "facts.item", "fact needs label and value; dropped")];
+
+function checkDifferential(d, at) {
+  if (!isObject(d) || !(d.name ?? d.diagnosis)) {
+    return [warn(at, "differential.item", "diagnosis needs a name; dropped")];
+  }
+  if (d.probability == null) return [];
+  if (!isNumeric(d.probability) || Number(d.probability) < 0 || Number(d.probability) > 100) {
+    return [warn(`${at}.probability`, "differential.probability", "probability must be 0–1; no bar shown")];
+  }
+  return Number(d.probability) > 1
+    ? [warn(`${at}.probability`, "differential.probability", "probability looks like a percentage; expected 0–1")]
+    : [];
+}
+
+const checkChecklistItem = (c, at) =>
+  (isString(c) && c.trim()) || (isObject(c) && isString(c.text ?? c.label))
+    ? []
+    : [warn(at, "checklist.item", "item must be a string or { text, checked }; dropped")];
+
+function checkLab(l, at) {
+  if (!isObject(l) || !l.name || l.value == null) {
+    return [warn(at, "labs.item", "lab value needs name and value; dropped")];
+  }
+  const issues = [];
+  for (const bound of ["low", "high"]) {
+    if (l[bound] != null && !isNumeric(l[bound])) {
+      issues.push(warn(`${at}.${bound}`, "labs.range", `${bound} must be a number; range ignored`));
+    }
+  }
+  if ((l.low != null || l.high != null) && !isNumeric(l.value)) {
+    issues.push(warn(`${at}.value`, "labs.value", "non-numeric value with a reference range; not flagged"));
+  }
+  if (!l.unit) issues.push(warn(at, "labs.unit", "lab value without a unit"));
+  return issues;
+}
+
+function checkField(type, value, path) {
+  switch (type) {
+    case "string":
+      return isString(value) ? [] : [warn(path, "field.type", `expected a string, got ${typeOf(value)}`)];
+    case "text":
+      if (!isString(value)) return [err(path, "field.type", `expected a string, got ${typeOf(value)}`)];
+      return value.trim() ? [] : [warn(path, "field.empty", "empty text")];
+    case "strings":
+      if (!Array.isArray(value)) return [err(path, "field.type", `expected an array, got ${typeOf(value)}`)];
+      return value.some((v) => !isString(v) || !v.trim())
+        ? [warn(path, "list.items", "items must be non-empty strings; others are dropped or stringified")]
+        : [];
+    case "boolean":
+      return typeof value === "boolean" ? [] : [warn(path, "field.type", `expected a boolean, got ${typeOf(value)}`)];
+    case "dose":
+      return isNumeric(value) ? [] : [warn(path, "dosage.dose", "dose should be a number; unit goes in dose_unit")];
+    case "facts":
+      return checkItems(value, path, checkFact);
+    case "differentials":
+      return checkItems(value, path, checkDifferential);
+    case "checklist":
+      return checkItems(value, path, checkChecklistItem);
+    case "labs":
+      return checkItems(value, path, checkLab);
+    case "severity":
+      return CALLOUT_SEVERITIES.includes(value)
+        ? []
+        : [warn(path, "callout.severity", `unknown severity ${JSON.stringify(value)}; shown as info`)];
+    case "table":
+      return checkTable(value, path);
+    case "citations":
+      return checkCitations(value, path);
+    default:
+      return [];
+  }
+}
+
+/* ───────────────────── Validators ───────────────────── */
+// Nested chunks (sections) report under their top-level block's index
+export function validateChunk(chunk, index, path = `chunks[${index}]`) {
+  const tag = (found) => ({ target: "chunk", index, ...found });
+  if (!isObject(chunk)) return [tag(err(path, "chunk.type", `chunk must be an object, got ${typeOf(chunk)}`))];
+
+  const issues = [];
+  if (chunk.kind == null) issues.push(tag(warn(`${path}.kind`, "chunk.kind", "missing kind; treated as paragraph")));
+  const kind = String(chunk.kind ?? "paragraph").toLowerCase();
+  const spec = STRUCTURED_SCHEMA[kind];
+  if (!spec) return [tag(err(`${path}.kind`, "chunk.kind", `unknown kind "${chunk.kind}"; rendered as paragraph`))];
+
+  for (const name of spec.required || []) {
+    if (chunk[name] == null) issues.push(tag(err(`${path}.${name}`, "field.required", `${kind} needs ${name}`)));
+  }
+  if (spec.oneOf && spec.oneOf.every((name) => !chunk[name])) {
+    issues.push(tag(err(path, "field.required", `${kind} needs ${spec.oneOf.join(" or ")}`)));
+  }
+  for (const [name, type] of Object.entries(spec.fields)) {
+    if (chunk[name] == null) continue;
+    if (type === "chunks") {
+      if (!Array.isArray(chunk[name])) {
+        issues.push(tag(err(`${path}.${name}`, "field.type", `expected an array, got ${typeOf(chunk[name])}`)));
+      } else {
+        chunk[name].forEach((child, i) => issues.push(...validateChunk(child, index, `${path}.${name}[${i}]`)));
+      }
+      continue;
+    }
+    for (const found of checkField(type, chunk[name], `${path}.${name}`)) issues.push(tag(found));
+  }
+  return issues;
+}
+
+export function validateSummary(summary) {
+  if (summary == null || isString(summary)) return [];
+  const found = err("summary", "summary.type", `summary must be a string, got ${typeOf(summary)}`);
+  return [{ target: "summary", ...found }];
+}
+
+export function validateCitations(citations) {
+  if (citations == null) return [];
+  return checkCitations(citations, "citations").map((found) => ({ target: "citations", ...found }));
+}
+
+// Inline cite markers and per-chunk citations that point at nothing in the
+// message's Fuentes list (chat/citations.js). Only runs once the list has
+// arrived — while streaming, citations come after the chunks.
+function checkChunkRefs(chunk, path, citations) {
+  if (!isObject(chunk)) return [];
+  const issues = [];
+  const texts = [
+    ["title", chunk.title],
+    ["text", chunk.text],
+    ...(Array.isArray(chunk.items) ? chunk.items.map((item, i) => [`items[${i}]`, item]) : []),
+  ];
+  for (const [name, value] of texts) {
+    if (!isString(value)) continue;
+    for (const ref of missingCiteRefs(value, citations)) {
+      issues.push(warn(`${path}.${name}`, "cite.missing", `marker [${ref}] matches no citation in Fuentes`));
+    }
+  }
+  if (Array.isArray(chunk.citations)) {
+    chunk.citations.forEach((c, i) => {
+      if (isObject(c) && matchChunkCitation(c, citations) == null) {
+        issues.push(warn(`${path}.citations[${i}]`, "cite.unlisted", "chunk citation is not in Fuentes"));
+      }
+    });
+  }
+  if (Array.isArray(chunk.chunks)) {
+    chunk.chunks.forEach((child, i) => issues.push(...checkChunkRefs(child, `${path}.chunks[${i}]`, citations)));
+  }
+  return issues;
+}
+
+export function validateCiteRefs({ structuredChunks, structuredSummary, structuredCitations }) {
+  if (!Array.isArray(structuredCitations)) return [];
+  const issues = [];
+  if (Array.isArray(structuredChunks)) {
+    structuredChunks.forEach((chunk, index) => {
+      for (const found of checkChunkRefs(chunk, `chunks[${index}]`, structuredCitations)) {
+        issues.push({ target: "chunk", index, ...found });
+      }
+    });
+  }
+  if (isString(structuredSummary)) {
+    for (const ref of missingCiteRefs(structuredSummary, structuredCitations)) {
+      const found = warn("summary", "cite.missing", `marker [${ref}] matches no citation in Fuentes`);
+      issues.push({ target: "summary", ...found });
+    }
+  }
+  return issues;
+}
+
+// Whole message: chunks (holes are fine; the stream fills them in), summary and citations
+export function validateStructured(structured) {
+  const { structuredChunks, structuredSummary, structuredCitations } = structured;
+  const issues = [];
+  if (Array.isArray(structuredChunks)) {
+    structuredChunks.forEach((chunk, index) => {
+      if (chunk != null) issues.push(...validateChunk(chunk, index));
+    });
+  }
+  issues.push(...validateSummary(structuredSummary), ...validateCitations(structuredCitations));
+  issues.push(...validateCiteRefs(structured));
+  return issues;
+}
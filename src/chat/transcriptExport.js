@@ -0,0 +1,403 @@
+// src/chat/transcriptExport.js
+// Vet Chat transcripts out of the browser: lossless JSON (re-importable),
+// Markdown, and a standalone print-styled HTML page for the clinical record.
+// All three start from buildTranscript(), so they describe the same messages.
+import { marked } from "marked";
+import DOMPurify from "dompurify";
+import { stripInternalCites } from "./chatReducer.js";
+import { replaceCiteTokens } from "./citations.js";
+import { RELEVANCE_LABEL, citationKey } from "./citationQuality.js";
+import { fmtRange, normaliseClinical } from "./clinicalBlocks.js";
+
+export const TRANSCRIPT_FORMAT = "vet-chat-transcript";
+export const TRANSCRIPT_VERSION = 1;
+
+const ROLE_LABEL = { sent: "Vet", received: "Assistant" };
+
+// Everything but per-render animation state; local notes (connected, errors) stay out
+function toTranscriptMessage(m) {
+  const out = { ...m, createdAt: m.createdAt instanceof Date ? m.createdAt.toISOString() : m.createdAt ?? null };
+  delete out.animTick;
+  delete out.lastChunk;
+  delete out.schemaIssues; // derived; recomputed on import
+  return out;
+}
+
+// citationRatings: tester relevance ratings, { [messageId]: { [citationKey]: rating } } (chat/citationReview.js)
+export function buildTranscript({ consultationId, apiBase, messages, citationRatings = {}, exportedAt = new Date() }) {
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    consultationId,
+    apiBase: apiBase || null,
+    exportedAt: exportedAt.toISOString(),
+    messages: messages.filter((m) => ROLE_LABEL[m.type]).map(toTranscriptMessage),
+    citationRatings,
+  };
+}
+
+// " · Relevant" after a Fuentes entry the tester rated
+const ratingNote = (ratings, c) => {
+  const label = RELEVANCE_LABEL[ratings?.[citationKey(c)]];
+  return label ? ` · ${label}` : "";
+};
+
+const fmtDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : "");
+
+const cleanChunks = (chunks) => (Array.isArray(chunks) ? chunks.filter((c) => c && typeof c === "object") : []);
+
+// Inline cite tokens → "[n]" pointing into the Fuentes list ("[?]" when nothing matches)
+function withCiteMarkers(m) {
+  const citations = Array.isArray(m.structuredCitations) ? m.structuredCitations : [];
+  const cite = (v) =>
+    typeof v === "string"
+      ? replaceCiteTokens(v, citations, (markers) => markers.map((mk) => `[${mk.number ?? "?"}]`).join(""))
+      : v;
+  const chunk = (c) =>
+    c && typeof c === "object"
+      ? {
+          ...c,
+          title: cite(c.title),
+          text: cite(c.text),
+          items: Array.isArray(c.items) ? c.items.map(cite) : c.items,
+          chunks: Array.isArray(c.chunks) ? c.chunks.map(chunk) : c.chunks,
+        }
+      : c;
+  return {
+    ...m,
+    text: cite(m.text),
+    structuredSummary: cite(m.structuredSummary),
+    structuredChunks: Array.isArray(m.structuredChunks) ? m.structuredChunks.map(chunk) : m.structuredChunks,
+  };
+}
+
+const tableCells = (row) => (Array.isArray(row) ? row : Array.isArray(row?.cells) ? row.cells : []);
+
+const citationTitle = (c) => c?.title || (c?.url || "").trim() || "Fuente";
+
+// Only http(s) URLs become links; anything else (javascript:, data:…) stays plain text
+const webUrl = (c) => {
+  const url = (c?.url || "").trim();
+  try {
+    return /^https?:$/.test(new URL(url).protocol) ? url : "";
+  } catch {
+    return "";
+  }
+};
+
+/* ───────────────────── Markdown ───────────────────── */
+const mdCell = (v) => String(v ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+const mdLink = (c) => {
+  const url = webUrl(c);
+  return url ? `[${citationTitle(c)}](${url})` : citationTitle(c);
+};
+
+// Clinical kinds (see clinicalBlocks.js); sections print their nested blocks in full
+const LAB_ARROW = { low: " ↓", high: " ↑", critical: " !" };
+const withUnit = (value, unit) => (unit ? `${value} ${unit}` : value);
+const pct = (p) => `${Math.round(p * 100)} %`;
+const dosageRows = (d) =>
+  [
+    ["Dosis", `${d.dose} ${d.doseUnit}`],
+    ["Vía", d.route],
+    ["Frecuencia", d.frequency],
+    ["Duración", d.duration],
+    ["Presentación", d.presentation],
+  ].filter(([, value]) => value);
+
+function clinicalToMarkdown(kind, data) {
+  const head = data.title ? [`**${data.title}**`] : [];
+  switch (kind) {
+    case "facts":
+      return [...head, data.items.map((f) => `- **${f.label}:** ${withUnit(f.value, f.unit)}`).join("\n")].join("\n\n");
+    case "dosage": {
+      const drug =
+        data.activePrinciple && data.activePrinciple !== data.drug
+          ? `**${data.drug}** (${data.activePrinciple})`
+          : `**${data.drug}**`;
+      const rows = dosageRows(data).map(([label, value]) => `- ${label}: ${value}`);
+      return [...head, drug, rows.join("\n"), data.notes && `_${data.notes}_`].filter(Boolean).join("\n\n");
+    }
+    case "differential":
+      return [
+        ...head,
+        data.items
+          .map((d, i) => {
+            const line = `${i + 1}. ${d.name}${d.probability == null ? "" : ` — ${pct(d.probability)}`}`;
+            return d.rationale ? `${line}\n   _${d.rationale}_` : line;
+          })
+          .join("\n"),
+      ].join("\n\n");
+    case "checklist":
+      return [...head, data.items.map((c) => `- [${c.checked ? "x" : " "}] ${c.text}`).join("\n")].join("\n\n");
+    case "section":
+      return [`**${data.title}**`, ...data.chunks.map(chunkToMarkdown)].filter(Boolean).join("\n\n");
+    case "code":
+      return `\`\`\`${data.language}\n${data.text}\n\`\`\``;
+    case "lab_values":
+      return [
+        ...head,
+        [
+          "| Parámetro | Valor | Referencia |",
+          "| --- | --- | --- |",
+          ...data.items.map(
+            (l) =>
+              `| ${mdCell(l.name)} | ${mdCell(withUnit(l.value, l.unit))}${LAB_ARROW[l.flag] || ""} | ${mdCell(fmtRange(l.range))} |`
+          ),
+        ].join("\n"),
+      ].join("\n\n");
+    default:
+      return "";
+  }
+}
+
+function chunkToMarkdown(chunk) {
+  const kind = String(chunk.kind || "paragraph").toLowerCase();
+  const title = stripInternalCites(chunk.title || "");
+  const text = stripInternalCites(chunk.text || "");
+  const items = Array.isArray(chunk.items) ? chunk.items.filter(Boolean) : [];
+  const clinical = normaliseClinical(kind, chunk);
+  const out = [];
+
+  if (kind === "heading") {
+    if (text || title) out.push(`#### ${text || title}`);
+  } else if (kind === "callout" || kind === "note") {
+    // GitHub-style alert; renders as a plain quote elsewhere
+    const sev = String(chunk.severity || "info").toLowerCase();
+    const alert = { warning: "WARNING", danger: "CAUTION" }[sev] || "NOTE";
+    const body = [title && `**${title}**`, text].filter(Boolean).join("\n\n");
+    out.push([`[!${alert}]`, ...body.split("\n")].map((l) => `> ${l}`.trimEnd()).join("\n"));
+  } else if (kind === "bullet_list" || kind === "numbered_list") {
+    if (title) out.push(`**${title}**`);
+    if (items.length) {
+      out.push(
+        items
+          .map((item, i) => `${kind === "numbered_list" ? `${i + 1}.` : "-"} ${stripInternalCites(String(item))}`)
+          .join("\n")
+      );
+    }
+  } else if (kind === "table" && chunk.table) {
+    const columns = Array.isArray(chunk.table.columns) ? chunk.table.columns : [];
+    const rows = Array.isArray(chunk.table.rows) ? chunk.table.rows.map(tableCells) : [];
+    const width = Math.max(columns.length, ...rows.map((r) => r.length), 1);
+    const pad = (cells) => Array.from({ length: width }, (_, i) => mdCell(cells[i]));
+    if (title) out.push(`**${title}**`);
+    out.push(
+      [
+        `| ${pad(columns).join(" | ")} |`,
+        `| ${Array(width).fill("---").join(" | ")} |`,
+        ...rows.map((r) => `| ${pad(r).join(" | ")} |`),
+      ].join("\n")
+    );
+    if (chunk.table.caption) out.push(`_${String(chunk.table.caption)}_`);
+  } else if (clinical) {
+    out.push(clinicalToMarkdown(kind, clinical));
+  } else if (text) {
+    out.push(text);
+  }
+
+  if (Array.isArray(chunk.citations) && chunk.citations.length) {
+    out.push(`<sub>Fuentes: ${chunk.citations.map(mdLink).join(" · ")}</sub>`);
+  }
+  return out.join("\n\n");
+}
+
+function bodyToMarkdown(message, ratings) {
+  const m = withCiteMarkers(message);
+  const chunks = cleanChunks(m.structuredChunks);
+  const parts = chunks.length ? chunks.map(chunkToMarkdown) : [stripInternalCites(m.text || "")];
+  const summary = m.structuredSummary && String(m.structuredSummary).trim();
+  if (summary) parts.push(`**Resumen:** ${stripInternalCites(summary)}`);
+  if (Array.isArray(m.structuredCitations) && m.structuredCitations.length) {
+    const list = m.structuredCitations.map((c, i) => `${i + 1}. ${mdLink(c)}${ratingNote(ratings, c)}`);
+    parts.push(["**Fuentes**", list.join("\n")].join("\n\n"));
+  }
+  return parts.filter(Boolean).join("\n\n");
+}
+
+export function transcriptToMarkdown(doc) {
+  const lines = [
+    `# Consultation ${doc.consultationId}`,
+    "",
+    `Exported ${fmtDateTime(doc.exportedAt)}${doc.apiBase ? ` from ${doc.apiBase}` : ""} · ${doc.messages.length} messages`,
+  ];
+  for (const m of doc.messages) {
+    lines.push("", "---", "", `### ${ROLE_LABEL[m.type]} · ${fmtDateTime(m.createdAt)}`, "", bodyToMarkdown(m, doc.citationRatings?.[m.id]));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/* ───────────────────── Printable HTML ───────────────────── */
+const esc = (s = "") =>
+  String(s).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', "&quot;");
+
+const md = (s = "") => DOMPurify.sanitize(marked.parse(stripInternalCites(s), { gfm: true, breaks: true }));
+
+const htmlLink = (c) => {
+  const url = webUrl(c);
+  return url ? `<a href="${esc(url)}">${esc(citationTitle(c))}</a>` : esc(citationTitle(c));
+};
+
+function clinicalToHtml(kind, data) {
+  const head = data.title ? `<p class="block-title">${esc(data.title)}</p>` : "";
+  switch (kind) {
+    case "facts":
+      return `${head}<dl class="facts">${data.items
+        .map((f) => `<dt>${esc(f.label)}</dt><dd>${esc(withUnit(f.value, f.unit))}</dd>`)
+        .join("")}</dl>`;
+    case "dosage": {
+      const principle =
+        data.activePrinciple && data.activePrinciple !== data.drug ? ` <span>(${esc(data.activePrinciple)})</span>` : "";
+      const rows = dosageRows(data).map(([label, value]) => `<dt>${label}</dt><dd>${esc(value)}</dd>`);
+      return `${head}<div class="dosage"><p><strong>${esc(data.drug)}</strong>${principle}</p><dl class="facts">${rows.join(
+        ""
+      )}</dl>${data.notes ? `<p class="caption">${esc(data.notes)}</p>` : ""}</div>`;
+    }
+    case "differential":
+      return `${head}<ol>${data.items
+        .map(
+          (d) =>
+            `<li>${esc(d.name)}${d.probability == null ? "" : ` — <strong>${pct(d.probability)}</strong>`}${
+              d.rationale ? `<br><span class="caption">${esc(d.rationale)}</span>` : ""
+            }</li>`
+        )
+        .join("")}</ol>`;
+    case "checklist":
+      return `${head}<ul class="checklist">${data.items
+        .map((c) => `<li>${c.checked ? "☑" : "☐"} ${esc(c.text)}</li>`)
+        .join("")}</ul>`;
+    case "section":
+      return `<details open><summary>${esc(data.title)}</summary>${data.chunks.map(chunkToHtml).join("")}</details>`;
+    case "code":
+      return `<pre class="code"><code>${esc(data.text)}</code></pre>`;
+    case "lab_values":
+      return `${head}<table><thead><tr><th>Parámetro</th><th>Valor</th><th>Referencia</th></tr></thead><tbody>${data.items
+        .map(
+          (l) =>
+            `<tr class="${l.flag || ""}"><td>${esc(l.name)}</td><td>${esc(withUnit(l.value, l.unit))}${
+              LAB_ARROW[l.flag] || ""
+            }</td><td>${esc(fmtRange(l.range))}</td></tr>`
+        )
+        .join("")}</tbody></table>`;
+    default:
+      return "";
+  }
+}
+
+function chunkToHtml(chunk) {
+  const kind = String(chunk.kind || "paragraph").toLowerCase();
+  const title = chunk.title || "";
+  const text = chunk.text || "";
+  const items = Array.isArray(chunk.items) ? chunk.items.filter(Boolean) : [];
+  const clinical = normaliseClinical(kind, chunk);
+  let html = "";
+
+  if (kind === "heading") {
+    html = text || title ? `<h4>${esc(stripInternalCites(text || title))}</h4>` : "";
+  } else if (kind === "callout" || kind === "note") {
+    const sev = ["info", "warning", "danger"].includes(chunk.severity) ? chunk.severity : "info";
+    html = `<aside class="callout ${sev}">${title ? `<strong>${esc(stripInternalCites(title))}</strong>` : ""}${
+      text ? md(text) : ""
+    }</aside>`;
+  } else if (kind === "bullet_list" || kind === "numbered_list") {
+    const tag = kind === "bullet_list" ? "ul" : "ol";
+    html = `${title ? `<p class="block-title">${esc(stripInternalCites(title))}</p>` : ""}${
+      items.length ? `<${tag}>${items.map((i) => `<li>${md(String(i))}</li>`).join("")}</${tag}>` : ""
+    }`;
+  } else if (kind === "table" && chunk.table) {
+    const columns = Array.isArray(chunk.table.columns) ? chunk.table.columns : [];
+    const rows = Array.isArray(chunk.table.rows) ? chunk.table.rows.map(tableCells) : [];
+    html = `${title ? `<p class="block-title">${esc(stripInternalCites(title))}</p>` : ""}<table>${
+      columns.length ? `<thead><tr>${columns.map((c) => `<th>${esc(c)}</th>`).join("")}</tr></thead>` : ""
+    }<tbody>${rows.map((r) => `<tr>${r.map((c) => `<td>${esc(c ?? "")}</td>`).join("")}</tr>`).join("")}</tbody></table>${
+      chunk.table.caption ? `<p class="caption">${esc(chunk.table.caption)}</p>` : ""
+    }`;
+  } else if (clinical) {
+    html = clinicalToHtml(kind, clinical);
+  } else if (text) {
+    html = md(text);
+  }
+
+  if (Array.isArray(chunk.citations) && chunk.citations.length) {
+    html += `<p class="chunk-cites">Fuentes: ${chunk.citations.map(htmlLink).join(" · ")}</p>`;
+  }
+  return html;
+}
+
+function bodyToHtml(message, ratings) {
+  const m = withCiteMarkers(message);
+  const chunks = cleanChunks(m.structuredChunks);
+  let html = chunks.length ? chunks.map(chunkToHtml).join("") : md(m.text || "");
+  const summary = m.structuredSummary && String(m.structuredSummary).trim();
+  if (summary) html += `<div class="summary"><strong>Resumen:</strong> ${md(summary)}</div>`;
+  if (Array.isArray(m.structuredCitations) && m.structuredCitations.length) {
+    html += `<div class="sources"><p class="block-title">Fuentes</p><ol>${m.structuredCitations
+      .map((c) => `<li>${htmlLink(c)}${esc(ratingNote(ratings, c))}</li>`)
+      .join("")}</ol></div>`;
+  }
+  return html;
+}
+
+const PRINT_CSS = `
+  body { font: 11pt/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111; max-width: 780px; margin: 2rem auto; padding: 0 1rem; }
+  header { border-bottom: 2px solid #111; margin-bottom: 1rem; }
+  h1 { font-size: 16pt; margin: 0 0 .25rem; }
+  .meta { color: #555; font-size: 9pt; margin: 0 0 .75rem; }
+  article { border-top: 1px solid #ddd; padding: .6rem 0; page-break-inside: avoid; }
+  article h2 { font-size: 10pt; margin: 0 0 .3rem; color: #333; text-transform: uppercase; letter-spacing: .04em; }
+  article.sent h2 { color: #1e40af; }
+  h4 { margin: .6rem 0 .2rem; }
+  .block-title { font-weight: 600; margin: .5rem 0 .2rem; }
+  table { border-collapse: collapse; width: 100%; margin: .3rem 0; font-size: 10pt; }
+  th, td { border: 1px solid #bbb; padding: 3px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  .caption, .chunk-cites { font-size: 9pt; color: #555; margin: .2rem 0; }
+  .callout { border-left: 4px solid #2563eb; background: #eff6ff; padding: .4rem .7rem; margin: .5rem 0; }
+  .callout.warning { border-color: #d97706; background: #fffbeb; }
+  .callout.danger { border-color: #dc2626; background: #fef2f2; }
+  .callout p { margin: .2rem 0; }
+  .summary { background: #f9fafb; border: 1px solid #e5e7eb; padding: .4rem .7rem; margin: .5rem 0; }
+  .summary p { display: inline; }
+  .sources ol { margin: .2rem 0; font-size: 9.5pt; }
+  dl.facts { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: .3rem 0; }
+  dl.facts dt { font-weight: 600; }
+  dl.facts dd { margin: 0; }
+  .dosage { border: 1px solid #bbb; border-radius: 4px; padding: .3rem .6rem; margin: .4rem 0; }
+  .dosage p { margin: .1rem 0; }
+  ul.checklist { list-style: none; padding-left: .3rem; }
+  details > summary { font-weight: 600; margin: .4rem 0; }
+  pre.code { background: #f3f4f6; padding: .4rem .6rem; font-size: 9pt; white-space: pre-wrap; }
+  tr.low td, tr.high td, tr.critical td { font-weight: 600; }
+  a { color: inherit; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    a { text-decoration: none; }
+    .sources a::after { content: " (" attr(href) ")"; font-size: 8pt; color: #555; word-break: break-all; }
+  }
+`;
+
+export function transcriptToHtml(doc) {
+  const articles = doc.messages.map(
+    (m) =>
+      `<article class="${m.type}"><h2>${ROLE_LABEL[m.type]} · ${esc(fmtDateTime(m.createdAt))}</h2>${bodyToHtml(m, doc.citationRatings?.[m.id])}</article>`
+  );
+  return `<!doctype html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Consultation ${esc(doc.consultationId)}</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+<header>
+<h1>Consultation ${esc(doc.consultationId)}</h1>
+<p class="meta">Exported ${esc(fmtDateTime(doc.exportedAt))}${doc.apiBase ? ` from ${esc(doc.apiBase)}` : ""} · ${
+    doc.messages.length
+  } messages</p>
+</header>
+${articles.join("\n")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,66 @@
+// src/chat/transcriptImport.js
+// Reads a file back in for offline viewing: either a transcript written by
+// transcriptExport.js or a raw history API response ({ messages } or a bare
+// array). Both come out as server-shaped history, oldest first, so the viewer
+// renders them through the same HISTORY_LOADED path as a live consultation.
+import { TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION } from "./transcriptExport.js";
+
+// Transcript row (UI shape) → history entry (API shape)
+const fromTranscriptMessage = (m) => ({
+  id: m.id ?? null,
+  client_message_id: m.clientId ?? null,
+  reply_to: m.replyTo ?? null,
+  role: m.type === "sent" ? "user" : "assistant",
+  content: m.text || "",
+  created_at: m.createdAt ?? null,
+  structured_chunks: Array.isArray(m.structuredChunks) ? m.structuredChunks : [],
+  structured_summary: m.structuredSummary ?? null,
+  structured_citations: m.structuredCitations ?? null,
+  ...(Array.isArray(m.structuredEvents) ? { structured_events: m.structuredEvents } : {}),
+});
+
+const isHistoryEntry = (m) => m && typeof m === "object" && (typeof m.role === "string" || "content" in m);
+
+// Server pages may be newest first; ties keep file order
+const byCreatedAt = (list) =>
+  list
+    .map((m, i) => ({ m, i, t: Date.parse(m.created_at ?? "") }))
+    .sort((a, b) => (Number.isNaN(a.t) || Number.isNaN(b.t) || a.t === b.t ? a.i - b.i : a.t - b.t))
+    .map(({ m }) => m);
+
+export function parseTranscriptFile(text) {
+  let doc;
+  try {
+    doc = typeof text === "string" ? JSON.parse(text) : text;
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+
+  if (doc?.format) {
+    if (doc.format !== TRANSCRIPT_FORMAT) throw new Error(`Unexpected format "${doc.format}"`);
+    if (doc.version > TRANSCRIPT_VERSION) throw new Error(`Transcript version ${doc.version} is newer than this tester`);
+    const list = Array.isArray(doc.messages) ? doc.messages : [];
+    return {
+      source: "transcript",
+      consultationId: doc.consultationId ? String(doc.consultationId) : null,
+      apiBase: doc.apiBase || null,
+      exportedAt: doc.exportedAt || null,
+      citationRatings: doc.citationRatings && typeof doc.citationRatings === "object" ? doc.citationRatings : {},
+      history: list.filter((m) => m && (m.type === "sent" || m.type === "received")).map(fromTranscriptMessage),
+    };
+  }
+
+  const list = Array.isArray(doc) ? doc : Array.isArray(doc?.messages) ? doc.messages : null;
+  if (!list) throw new Error("Expected an exported transcript or a history response with messages");
+  const history = list.filter(isHistoryEntry);
+  if (list.length && !history.length) throw new Error("No chat messages found");
+  const id = doc?.consultation_id ?? doc?.consultationId;
+  return {
+    source: "history",
+    consultationId: id ? String(id) : null,
+    apiBase: null,
+    exportedAt: null,
+    citationRatings: {},
+    history: byCreatedAt(history),
+  };
+}
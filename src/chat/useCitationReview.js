@@ -0,0 +1,7 @@
+// src/chat/useCitationReview.js
+import { useSyncExternalStore } from "react";
+import { getCitationReview, subscribeCitationReview } from "./citationReview.js";
+
+export function useCitationReview() {
+  return useSyncExternalStore(subscribeCitationReview, getCitationReview, getCitationReview);
+}
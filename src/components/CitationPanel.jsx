@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from "react";
+import {
+  CITATION_FLAGS,
+  RELEVANCE,
+  RELEVANCE_LABEL,
+  collectCitations,
+  groupByDomain,
+  parseDomainList,
+} from "../chat/citationQuality.js";
+import { rateCitation, resetSourceLists, setSourceLists } from "../chat/citationReview.js";
+import { useCitationReview } from "../chat/useCitationReview.js";
+
+const TRUST_LABEL = { trusted: "Trusted", blocked: "Blocked", unlisted: "Unlisted" };
+
+// "Fuentes", "chunks[2]", "chunks[5].chunks[0]"
+const usedIn = (use) => (use.where === "fuentes" ? "Fuentes" : use.path);
+
+function SourceListsEditor({ lists, onDone }) {
+  const [trusted, setTrusted] = useState(() => lists.trusted.join("\n"));
+  const [blocked, setBlocked] = useState(() => lists.blocked.join("\n"));
+
+  const save = () => {
+    setSourceLists({ trusted: parseDomainList(trusted), blocked: parseDomainList(blocked) });
+    onDone();
+  };
+
+  return (
+    <div className="vc-cite-lists">
+      <label>
+        <span>Trusted domains</span>
+        <textarea rows={6} value={trusted} onChange={(e) => setTrusted(e.target.value)} spellCheck={false} />
+      </label>
+      <label>
+        <span>Blocked domains</span>
+        <textarea rows={6} value={blocked} onChange={(e) => setBlocked(e.target.value)} spellCheck={false} />
+      </label>
+      <div className="vc-cite-lists-actions">
+        <span className="vc-cite-hint">One domain per line; subdomains are included.</span>
+        <button
+          className="vc-reload"
+          onClick={() => {
+            resetSourceLists();
+            onDone();
+          }}
+        >
+          Reset to defaults
+        </button>
+        <button className="vc-reload" onClick={onDone}>
+          Cancel
+        </button>
+        <button className="vc-reload" onClick={save}>
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function RelevancePicker({ value, onChange }) {
+  return (
+    <div className="vc-relevance" role="group" aria-label="Relevance">
+      {RELEVANCE.map((level) => (
+        <button
+          key={level}
+          className={`vc-relevance-btn ${level} ${value === level ? "on" : ""}`}
+          aria-pressed={value === level}
+          disabled={!onChange}
+          onClick={() => onChange(value === level ? null : level)}
+        >
+          {RELEVANCE_LABEL[level]}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Every source behind one reply, deduped and grouped by domain. Ratings come from
+// the review store, or from `savedRatings` (read-only) for imported transcripts.
+export default function CitationPanel({ message, consultationId, savedRatings }) {
+  const review = useCitationReview();
+  const [editing, setEditing] = useState(false);
+  const sources = useMemo(() => collectCitations(message, review.lists), [message, review.lists]);
+  const groups = useMemo(() => groupByDomain(sources), [sources]);
+
+  const messageId = message.id ?? null;
+  const readOnly = !!savedRatings;
+  const ratings = (readOnly ? savedRatings : review.ratings[consultationId])?.[messageId] || {};
+  const canRate = !readOnly && !!consultationId && messageId != null;
+  const flagged = sources.filter((s) => s.flags.length || s.trust === "blocked").length;
+  const rated = sources.filter((s) => ratings[s.key]).length;
+
+  return (
+    <div className="vc-cite-panel">
+      <div className="vc-cite-panel-head">
+        <strong>
+          {sources.length} source{sources.length === 1 ? "" : "s"} · {groups.length} domain
+          {groups.length === 1 ? "" : "s"}
+        </strong>
+        {flagged > 0 && <span className="vc-cite-flagged">⚠ {flagged} to check</span>}
+        <span className="vc-cite-rated">
+          {rated}/{sources.length} rated
+        </span>
+        <button className="vc-reload" onClick={() => setEditing((v) => !v)} aria-expanded={editing}>
+          Domain lists…
+        </button>
+      </div>
+      {editing && <SourceListsEditor lists={review.lists} onDone={() => setEditing(false)} />}
+      {!canRate && !readOnly && (
+        <div className="vc-cite-hint">Ratings open once the reply has been saved.</div>
+      )}
+
+      {groups.map((g) => (
+        <section key={g.domain || "-"} className={`vc-cite-group ${g.trust}`}>
+          <div className="vc-cite-domain">
+            <span>{g.domain || "No URL"}</span>
+            {g.domain && <span className={`vc-trust ${g.trust}`}>{TRUST_LABEL[g.trust]}</span>}
+          </div>
+          <ul>
+            {g.sources.map((s) => {
+              const url = String(s.citation.url || "").trim();
+              const title = String(s.citation.title || "").trim() || url || "Fuente";
+              return (
+                <li key={s.key}>
+                  <div className="vc-cite-source">
+                    {s.number != null ? (
+                      <span className="vc-cite-marker" title="Position in Fuentes">
+                        {s.number}
+                      </span>
+                    ) : (
+                      <span className="vc-cite-marker missing" title="Not in the Fuentes list">
+                        –
+                      </span>
+                    )}
+                    {url && !s.flags.includes("bad-url") ? (
+                      <a href={url} target="_blank" rel="noopener">
+                        {title}
+                      </a>
+                    ) : (
+                      <span>{title}</span>
+                    )}
+                  </div>
+                  <div className="vc-cite-meta">
+                    {s.uses.map((use, i) => (
+                      <code key={i}>{usedIn(use)}</code>
+                    ))}
+                    {s.flags.map((flag) => (
+                      <span key={flag} className={`vc-cite-issue ${flag}`}>
+                        {CITATION_FLAGS[flag]}
+                      </span>
+                    ))}
+                  </div>
+                  <RelevancePicker
+                    value={ratings[s.key] || null}
+                    onChange={canRate ? (rating) => rateCitation(consultationId, messageId, s.key, rating) : null}
+                  />
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
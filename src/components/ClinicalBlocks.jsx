@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import { fmtRange } from "../chat/clinicalBlocks.js";
+
+// Renderers for the clinical structured kinds. Each takes the normalised
+// `data` from chat/clinicalBlocks.js; StructuredBlock adds the wrapper and cites.
+
+const Title = ({ text }) => (text ? <div className="vc-structured-title">{text}</div> : null);
+
+export function FactSheet({ data }) {
+  return (
+    <div className="vc-facts">
+      <Title text={data.title} />
+      <dl>
+        {data.items.map((f, i) => (
+          <div key={i} className={`vc-fact ${f.flag}`.trim()}>
+            <dt>{f.label}</dt>
+            <dd>
+              {f.value}
+              {f.unit && <span className="vc-unit"> {f.unit}</span>}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
+
+export function DosageCard({ data }) {
+  const rows = [
+    ["Dosis", `${data.dose} ${data.doseUnit}`],
+    ["Vía", data.route],
+    ["Frecuencia", data.frequency],
+    ["Duración", data.duration],
+    ["Presentación", data.presentation],
+  ].filter(([, value]) => value);
+  return (
+    <div className="vc-dosage">
+      <Title text={data.title} />
+      <div className="vc-dosage-drug">
+        <strong>{data.drug}</strong>
+        {data.activePrinciple && data.activePrinciple !== data.drug && (
+          <span className="vc-dosage-principle">{data.activePrinciple}</span>
+        )}
+      </div>
+      <dl>
+        {rows.map(([label, value]) => (
+          <div key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+      {data.notes && <p className="vc-dosage-notes">{data.notes}</p>}
+    </div>
+  );
+}
+
+export function DifferentialList({ data }) {
+  return (
+    <div className="vc-differential">
+      <Title text={data.title} />
+      <ol>
+        {data.items.map((d, i) => {
+          const pct = d.probability == null ? null : Math.round(d.probability * 100);
+          return (
+            <li key={i}>
+              <div className="vc-differential-row">
+                <span className="vc-differential-name">{d.name}</span>
+                {pct != null && <span className="vc-differential-pct">{pct} %</span>}
+              </div>
+              {pct != null && (
+                <div
+                  className="vc-prob-bar"
+                  role="meter"
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={pct}
+                  aria-label={`${d.name}: ${pct} %`}
+                >
+                  <span style={{ width: `${pct}%` }} />
+                </div>
+              )}
+              {d.rationale && <p className="vc-differential-why">{d.rationale}</p>}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+// Ticks are local to the page: handy while reading, never sent anywhere
+export function Checklist({ data }) {
+  const [checked, setChecked] = useState(() => data.items.map((c) => c.checked));
+  return (
+    <div className="vc-checklist">
+      <Title text={data.title} />
+      <ul>
+        {data.items.map((c, i) => (
+          <li key={i}>
+            <label>
+              <input
+                type="checkbox"
+                checked={!!checked[i]}
+                onChange={() => setChecked((prev) => prev.map((v, j) => (j === i ? !v : v)))}
+              />
+              <span>{c.text}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export function CollapsibleSection({ data, renderChunk }) {
+  return (
+    <details className="vc-section" open={!data.collapsed}>
+      <summary>{data.title}</summary>
+      <div className="vc-section-body">{data.chunks.map((chunk, i) => renderChunk(chunk, i))}</div>
+    </details>
+  );
+}
+
+export function CodeBlock({ data }) {
+  return (
+    <div className="vc-code">
+      {data.language && <div className="vc-code-lang">{data.language}</div>}
+      <pre>
+        <code>{data.text}</code>
+      </pre>
+    </div>
+  );
+}
+
+export function LabValues({ data }) {
+  return (
+    <div className="vc-labs">
+      <Title text={data.title} />
+      <table>
+        <thead>
+          <tr>
+            <th>Parámetro</th>
+            <th>Valor</th>
+            <th>Referencia</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.items.map((l, i) => (
+            <tr key={i} className={l.flag ? `flag-${l.flag}` : ""}>
+              <td>{l.name}</td>
+              <td className="vc-lab-value">
+                {l.value}
+                {l.unit && <span className="vc-unit"> {l.unit}</span>}
+                {l.flag && l.flag !== "normal" && (
+                  <span className={`vc-lab-flag ${l.flag}`}>
+                    {l.flag === "low" ? "↓" : l.flag === "high" ? "↑" : "!"}
+                  </span>
+                )}
+              </td>
+              <td className="vc-lab-range">
+                {fmtRange(l.range)}
+                {l.range && l.unit ? ` ${l.unit}` : ""}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth } from "../auth/AuthContext.jsx";
+import { stripInternalCites } from "../chat/chatReducer.js";
+
+// Per API base: { pinned: [id], recent: [{ id, at }] }
+const STORAGE_KEY = "vetChatConsultations";
+const MAX_RECENT = 20;
+const LIST_LIMIT = 50;
+
+function readSaved(apiBase) {
+  try {
+    const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    const entry = all?.[apiBase] || {};
+    return {
+      pinned: Array.isArray(entry.pinned) ? entry.pinned : [],
+      recent: Array.isArray(entry.recent) ? entry.recent : [],
+    };
+  } catch {
+    return { pinned: [], recent: [] };
+  }
+}
+
+function writeSaved(apiBase, saved) {
+  try {
+    const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...all, [apiBase]: saved }));
+  } catch {
+    // storage unavailable: pins and recents last for this page only
+  }
+}
+
+const fmtAgo = (ms) => {
+  if (!ms) return "";
+  const mins = Math.round((Date.now() - ms) / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins} min ago`;
+  if (mins < 60 * 24) return `${Math.round(mins / 60)} h ago`;
+  return new Date(ms).toLocaleDateString();
+};
+
+// Last message as one line of plain text; structured answers fall back to their summary
+const previewOf = (m) => {
+  const summary = m?.structured_summary ?? m?.summary;
+  const text = m?.content || (typeof summary === "string" ? summary : summary?.text) || "";
+  const line = stripInternalCites(text).replace(/[*_`#>[\]]/g, "").replace(/\s+/g, " ").trim();
+  return line.length > 90 ? `${line.slice(0, 89)}…` : line;
+};
+
+// Sidebar of pinned, recently opened and server-listed consultations
+export default function ConsultationBrowser({ activeId, openIds, onOpen }) {
+  const { apiBase, authFetch, isLoggedIn, userId } = useAuth();
+  const [saved, setSaved] = useState(() => readSaved(apiBase));
+  const [listed, setListed] = useState([]); // [{ id, updatedAt }]
+  const [listError, setListError] = useState(null);
+  const [loadingList, setLoadingList] = useState(false);
+  const [meta, setMeta] = useState({}); // id → { preview, lastAt, count } | { error }
+  const [query, setQuery] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const updateSaved = useCallback(
+    (fn) => {
+      setSaved((prev) => {
+        const next = fn(prev);
+        writeSaved(apiBase, next);
+        return next;
+      });
+    },
+    [apiBase]
+  );
+
+  // Environment switch: pins and recents belong to the API they came from
+  useEffect(() => {
+    setSaved(readSaved(apiBase));
+    setMeta({});
+  }, [apiBase]);
+
+  useEffect(() => {
+    if (!activeId) return;
+    updateSaved((prev) => ({
+      ...prev,
+      recent: [{ id: activeId, at: Date.now() }, ...prev.recent.filter((r) => r.id !== activeId)].slice(
+        0,
+        MAX_RECENT
+      ),
+    }));
+  }, [activeId, updateSaved]);
+
+  // Server list for the signed-in vet
+  useEffect(() => {
+    if (!isLoggedIn) {
+      setListed([]);
+      setListError(null);
+      return;
+    }
+    let cancelled = false;
+    setLoadingList(true);
+    (async () => {
+      try {
+        const res = await authFetch(`${apiBase}/api/v1/vet_chat?limit=${LIST_LIMIT}`, {
+          headers: { accept: "application/json" },
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        if (cancelled) return;
+        setListed(
+          (data?.consultations || []).map((c) => ({
+            id: String(c.consultation_id ?? c.id),
+            updatedAt: c.updated_at ? Date.parse(c.updated_at) : null,
+          }))
+        );
+        setListError(null);
+      } catch (err) {
+        if (cancelled) return;
+        setListed([]);
+        setListError(`Could not list consultations: ${err.message}`);
+      } finally {
+        if (!cancelled) setLoadingList(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBase, authFetch, isLoggedIn, userId, reloadKey]);
+
+  const sections = useMemo(() => {
+    const seen = new Set();
+    const take = (ids) =>
+      ids.filter((id) => {
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
+    return [
+      { key: "pinned", title: "Pinned", ids: take(saved.pinned) },
+      { key: "recent", title: "Recently opened", ids: take(saved.recent.map((r) => r.id)) },
+      { key: "listed", title: "Your consultations", ids: take(listed.map((c) => c.id)) },
+    ];
+  }, [saved, listed]);
+
+  // Preview, timestamp and count come from the newest history entry; one id at a time
+  const nextToDescribe = isLoggedIn ? sections.flatMap((s) => s.ids).find((id) => !meta[id]) : null;
+  useEffect(() => {
+    if (!nextToDescribe) return;
+    const id = nextToDescribe;
+    let cancelled = false;
+    (async () => {
+      let entry;
+      try {
+        const url = `${apiBase}/api/v1/vet_chat/${encodeURIComponent(id)}/history?limit=1&order=desc`;
+        const res = await authFetch(url, { headers: { accept: "application/json" } });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        const last = data?.messages?.[0];
+        entry = {
+          preview: previewOf(last),
+          lastAt: last?.created_at ? Date.parse(last.created_at) : null,
+          count: typeof data?.total === "number" ? data.total : null,
+        };
+      } catch (err) {
+        entry = { error: err.message };
+      }
+      if (!cancelled) setMeta((prev) => ({ ...prev, [id]: entry }));
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [nextToDescribe, apiBase, authFetch]);
+
+  const togglePin = (id) =>
+    updateSaved((prev) => ({
+      ...prev,
+      pinned: prev.pinned.includes(id) ? prev.pinned.filter((p) => p !== id) : [...prev.pinned, id],
+    }));
+
+  const refresh = () => {
+    setMeta({});
+    setReloadKey((k) => k + 1);
+  };
+
+  const needle = query.trim().toLowerCase();
+  const matches = (id) =>
+    !needle || id.toLowerCase().includes(needle) || meta[id]?.preview?.toLowerCase().includes(needle);
+
+  const recentAt = Object.fromEntries(saved.recent.map((r) => [r.id, r.at]));
+  const listedAt = Object.fromEntries(listed.map((c) => [c.id, c.updatedAt]));
+
+  return (
+    <aside className="vc-browser" aria-label="Consultations">
+      <div className="vc-browser-head">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search id or last message"
+          aria-label="Search consultations"
+        />
+        <button className="vc-reload" onClick={refresh} disabled={loadingList} title="Reload list and previews">
+          ↻
+        </button>
+      </div>
+      {!isLoggedIn && <p className="vc-browser-note">Sign in to list your consultations.</p>}
+      {listError && <p className="vc-browser-note error">{listError}</p>}
+
+      {sections.map((section) => {
+        const ids = section.ids.filter(matches);
+        if (!ids.length) return null;
+        return (
+          <section key={section.key} className="vc-browser-section">
+            <h4>{section.title}</h4>
+            <ul>
+              {ids.map((id) => {
+                const info = meta[id];
+                const pinned = saved.pinned.includes(id);
+                const lastAt = info?.lastAt ?? listedAt[id] ?? recentAt[id];
+                return (
+                  <li
+                    key={id}
+                    className={`vc-browser-item ${id === activeId ? "active" : ""} ${
+                      openIds.includes(id) ? "open" : ""
+                    }`}
+                  >
+                    <button className="vc-browser-open" onClick={() => onOpen(id)} title={`Open ${id}`}>
+                      <span className="vc-browser-row">
+                        <strong>{id}</strong>
+                        <span className="vc-browser-ts">{fmtAgo(lastAt)}</span>
+                      </span>
+                      <span className="vc-browser-preview">
+                        {info?.error
+                          ? `History unavailable (${info.error})`
+                          : info
+                          ? info.preview || "No messages yet"
+                          : "…"}
+                      </span>
+                      {typeof info?.count === "number" && (
+                        <span className="vc-browser-count">
+                          {info.count} message{info.count === 1 ? "" : "s"}
+                        </span>
+                      )}
+                    </button>
+                    <button
+                      className={`vc-browser-pin ${pinned ? "on" : ""}`}
+                      onClick={() => togglePin(id)}
+                      aria-pressed={pinned}
+                      aria-label={pinned ? `Unpin ${id}` : `Pin ${id}`}
+                      title={pinned ? "Unpin" : "Pin"}
+                    >
+                      {pinned ? "★" : "☆"}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        );
+      })}
+      {loadingList && <p className="vc-browser-note">Loading…</p>}
+    </aside>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useMemo, useState } from "react";
+import { downloadText, fileStamp } from "../utils/download.js";
+
+const LEVEL_ORDER = { error: 0, warning: 1 };
+
+// Every schema issue in the conversation, grouped by rule
+function summarise(messages) {
+  const groups = new Map();
+  let total = 0;
+  messages.forEach((m, position) => {
+    for (const issue of m.schemaIssues || []) {
+      total += 1;
+      const key = `${issue.level}|${issue.code}`;
+      let group = groups.get(key);
+      if (!group) {
+        group = { level: issue.level, code: issue.code, message: issue.message, count: 0, where: [] };
+        groups.set(key, group);
+      }
+      group.count += 1;
+      group.where.push({ uid: m.uid, id: m.id ?? null, position, timestamp: m.timestamp, path: issue.path });
+    }
+  });
+  const list = [...groups.values()].sort(
+    (a, b) => LEVEL_ORDER[a.level] - LEVEL_ORDER[b.level] || b.count - a.count || a.code.localeCompare(b.code)
+  );
+  return { groups: list, total, answers: new Set(list.flatMap((g) => g.where.map((w) => w.uid))).size };
+}
+
+// Per-consultation contract-violation report for structured answers; hidden while there is nothing to report
+export default function ContractReport({ consultationId, messages }) {
+  const [open, setOpen] = useState(false);
+  const report = useMemo(() => summarise(messages), [messages]);
+  if (!report.total) return null;
+
+  const errors = report.groups.filter((g) => g.level === "error").reduce((n, g) => n + g.count, 0);
+
+  const download = () => {
+    const doc = {
+      consultationId,
+      generatedAt: new Date().toISOString(),
+      total: report.total,
+      answers: report.answers,
+      groups: report.groups,
+    };
+    const safeId = String(consultationId || "transcript").replace(/[^\w.-]+/g, "_");
+    downloadText(`contract-report-${safeId}-${fileStamp()}.json`, JSON.stringify(doc, null, 2));
+  };
+
+  return (
+    <div className="vc-contract">
+      <button
+        className={`vc-contract-toggle ${errors ? "error" : "warning"}`}
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        title="Structured payloads that break the declared schema"
+      >
+        ⚠ {report.total}
+      </button>
+      {open && (
+        <div className="vc-contract-panel" role="dialog" aria-label="Contract violations">
+          <div className="vc-contract-head">
+            <strong>
+              {report.total} contract issue{report.total === 1 ? "" : "s"} in {report.answers} answer
+              {report.answers === 1 ? "" : "s"}
+            </strong>
+            <span>
+              <button className="vc-reload" onClick={download}>
+                Download
+              </button>
+              <button className="vc-tab-close" onClick={() => setOpen(false)} aria-label="Close report">
+                ×
+              </button>
+            </span>
+          </div>
+          <ul>
+            {report.groups.map((g) => (
+              <li key={`${g.level}|${g.code}`} className={g.level}>
+                <div className="vc-contract-rule">
+                  <span className={`vc-schema-level ${g.level}`}>{g.level}</span>
+                  <code>{g.code}</code>
+                  <span className="vc-contract-count">×{g.count}</span>
+                </div>
+                <div className="vc-contract-msg">{g.message}</div>
+                <div className="vc-contract-where">
+                  {g.where.slice(0, 4).map((w, i) => (
+                    <span key={i} title={w.id || w.uid}>
+                      #{w.position + 1} {w.timestamp} <code>{w.path}</code>
+                    </span>
+                  ))}
+                  {g.where.length > 4 && <span>+{g.where.length - 4} more</span>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useAuth } from "../auth/AuthContext.jsx";
+import { buildProfilesExport, parseProfilesFile } from "../auth/profiles.js";
+import { MOCK_API_HOST, MOCK_SIGN_IN_CODE } from "../config.jsx";
+import { downloadText, fileStamp } from "../utils/download.js";
+
+// Text input that commits on blur / Enter, like the old API host field
+function EndpointField({ id, label, value, onCommit, disabled, placeholder }) {
+  const [draft, setDraft] = useState(value);
+
+  useEffect(() => {
+    setDraft(value);
+  }, [value]);
+
+  // Rejected edits snap back; accepted ones arrive through `value`
+  const commit = () => {
+    if (draft.trim() !== value) onCommit(draft);
+    setDraft(value);
+  };
+
+  return (
+    <div className="login-box__field">
+      <label htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        type="text"
+        value={draft}
+        placeholder={placeholder}
+        onChange={(evt) => setDraft(evt.target.value)}
+        onBlur={commit}
+        onKeyDown={(evt) => {
+          if (evt.key === "Enter") {
+            evt.preventDefault();
+            commit();
+          }
+        }}
+        disabled={disabled}
+      />
+    </div>
+  );
+}
+
+// Environment profile selector: API host + path + relay in one place
+export default function EnvironmentPicker({ disabled }) {
+  const {
+    scope,
+    profile,
+    profiles,
+    selectProfile,
+    updateProfile,
+    setApiHost,
+    importProfiles,
+    deleteProfile,
+    linkedProfile,
+    acceptLinkedProfile,
+    dismissLinkedProfile,
+    resetStatus,
+  } = useAuth();
+  const fileRef = useRef(null);
+  const [note, setNote] = useState(null);
+  const customProfiles = profiles.filter((p) => !p.builtIn);
+  const idPrefix = `env-${scope}`;
+
+  const handleSelect = (evt) => {
+    resetStatus();
+    setNote(null);
+    selectProfile(evt.target.value);
+  };
+
+  const handleExport = () => {
+    const doc = buildProfilesExport(customProfiles, profile.id);
+    downloadText(`vet-tester-profiles-${fileStamp()}.json`, JSON.stringify(doc, null, 2));
+  };
+
+  const handleFile = async (evt) => {
+    const file = evt.target.files?.[0];
+    evt.target.value = "";
+    if (!file) return;
+    try {
+      const { profiles: incoming, active } = parseProfilesFile(await file.text());
+      const count = importProfiles(incoming, active);
+      setNote(count ? `Imported ${count} profile${count === 1 ? "" : "s"}` : "Nothing new to import");
+    } catch (err) {
+      setNote(err?.message || "Could not import profiles");
+    }
+  };
+
+  return (
+    <div className="env-picker">
+      {linkedProfile && (
+        <div className="env-picker__linked" role="alert">
+          <span>
+            A shared link points at <code>{linkedProfile.apiHost}</code>
+            {linkedProfile.relayBase && (
+              <>
+                {" "}
+                (relay <code>{linkedProfile.relayBase}</code>)
+              </>
+            )}
+            . Sign-in and tokens would go there.
+          </span>
+          <div className="login-box__row">
+            <button
+              type="button"
+              onClick={() => {
+                resetStatus();
+                acceptLinkedProfile();
+              }}
+              disabled={disabled}
+            >
+              Add and switch
+            </button>
+            <button type="button" onClick={dismissLinkedProfile}>
+              Ignore
+            </button>
+          </div>
+        </div>
+      )}
+      <div className="login-box__field">
+        <label htmlFor={`${idPrefix}-profile`}>Environment</label>
+        <div className="login-box__row">
+          <select
+            id={`${idPrefix}-profile`}
+            value={profile.id}
+            onChange={handleSelect}
+            disabled={disabled}
+            title={profile.apiHost === MOCK_API_HOST ? `Offline mock backend (code ${MOCK_SIGN_IN_CODE})` : profile.apiHost}
+          >
+            {profiles.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+                {p.builtIn ? "" : " (custom)"}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={!customProfiles.length}
+            title="Download custom profiles as JSON"
+          >
+            Export
+          </button>
+          <button type="button" onClick={() => fileRef.current?.click()} disabled={disabled}>
+            Import…
+          </button>
+          {!profile.builtIn && (
+            <button type="button" onClick={() => deleteProfile(profile.id)} disabled={disabled}>
+              Delete
+            </button>
+          )}
+          <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleFile} />
+        </div>
+      </div>
+
+      <div className="env-picker__fields">
+        <EndpointField
+          id={`${idPrefix}-host`}
+          label="API Host"
+          value={profile.apiHost}
+          onCommit={(value) => {
+            resetStatus();
+            setApiHost(value);
+          }}
+          disabled={disabled}
+        />
+        <EndpointField
+          id={`${idPrefix}-path`}
+          label="API Path"
+          value={profile.apiPath}
+          onCommit={(value) => updateProfile({ apiPath: value })}
+          disabled={disabled}
+        />
+        <EndpointField
+          id={`${idPrefix}-relay`}
+          label="Relay"
+          value={profile.relayBase}
+          onCommit={(value) => updateProfile({ relayBase: value })}
+          disabled={disabled}
+        />
+        {!profile.builtIn && (
+          <EndpointField
+            id={`${idPrefix}-label`}
+            label="Profile name"
+            value={profile.label}
+            onCommit={(value) => updateProfile({ label: value })}
+            disabled={disabled}
+          />
+        )}
+      </div>
+      {note && <p className="login-box__message">{note}</p>}
+    </div>
+  );
+}
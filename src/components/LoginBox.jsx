@@ -1,31 +1,45 @@
-import React, { useCallback, useEffect, useMemo, useState } from "react";
-import { AUTH_DEFAULTS, useAuth } from "../auth/AuthContext.jsx";
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../auth/AuthContext.jsx";
+import { SIGN_IN_CODE } from "../config.jsx";
+import { useNow } from "../utils/useNow.js";
+import EnvironmentPicker from "./EnvironmentPicker.jsx";
+import TokenInspector from "./TokenInspector.jsx";
 
-const HOST_OPTIONS = [
-  { label: "Dev", value: "https://api-dev.bepetz.com" },
-  { label: "Prod", value: "https://api.bepetz.com" },
-];
+const fmtClock = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
 
 export default function LoginBox({ title = "Auth" }) {
   const {
-    apiHost,
-    setApiHost,
     isLoggedIn,
     userEmail,
     signIn,
+    resendCode,
     confirmSignIn,
     signOut,
     pendingEmail,
     pendingSession,
+    pendingCode,
+    rateLimitedUntil,
     isWorking,
     error,
     message,
+    sessionExpired,
     resetStatus,
+    scope,
+    identities,
+    identity,
+    identityId,
+    pinned,
+    switchIdentity,
+    pinIdentity,
+    renameIdentity,
   } = useAuth();
 
   const [emailInput, setEmailInput] = useState(() => pendingEmail || userEmail || "");
   const [codeInput, setCodeInput] = useState("");
-  const [hostInput, setHostInput] = useState(() => apiHost || AUTH_DEFAULTS.host);
+  const [labelInput, setLabelInput] = useState(() => identity?.label || "");
 
   useEffect(() => {
     if (pendingEmail && pendingEmail !== emailInput) setEmailInput(pendingEmail);
@@ -36,33 +50,35 @@ export default function LoginBox({ title = "Auth" }) {
   }, [userEmail]);
 
   useEffect(() => {
-    setHostInput(apiHost || AUTH_DEFAULTS.host);
-  }, [apiHost]);
+    setLabelInput(identity?.label || "");
+  }, [identity?.label]);
 
-  const normalisedHost = useMemo(() => apiHost || AUTH_DEFAULTS.host, [apiHost]);
-  const pendingLabel = pendingEmail && !isLoggedIn ? `Pending verification for ${pendingEmail}` : null;
+  // Countdowns tick only while a code is out or the server asked us to wait
+  const now = useNow(Boolean(pendingCode || rateLimitedUntil));
+  const codeExpired = Boolean(pendingCode && now > pendingCode.expiresAt);
+  const resendInMs = pendingCode ? pendingCode.sentAt + SIGN_IN_CODE.resendCooldownMs - now : 0;
+  const limitedForMs = rateLimitedUntil ? rateLimitedUntil - now : 0;
+  const rateLimited = limitedForMs > 0;
 
-  const commitHost = useCallback(
-    (value) => {
-      resetStatus();
-      setApiHost(value);
-    },
-    [resetStatus, setApiHost]
-  );
+  const pendingLabel = pendingEmail && !isLoggedIn ? `Pending verification for ${pendingEmail}` : null;
 
-  const handleHostChange = (evt) => {
-    setHostInput(evt.target.value);
+  const commitLabel = () => {
+    if (identityId && labelInput.trim() && labelInput !== identity?.label) renameIdentity(identityId, labelInput);
+    else setLabelInput(identity?.label || "");
   };
 
-  const handleHostBlur = () => commitHost(hostInput);
-
-  const handleHostKeyDown = (evt) => {
+  const handleLabelKeyDown = (evt) => {
     if (evt.key === "Enter") {
       evt.preventDefault();
-      commitHost(hostInput);
+      commitLabel();
     }
   };
 
+  const handleSwitch = (evt) => {
+    resetStatus();
+    switchIdentity(evt.target.value);
+  };
+
   const handleSignIn = async (evt) => {
     evt.preventDefault();
     resetStatus();
@@ -72,13 +88,28 @@ export default function LoginBox({ title = "Auth" }) {
     } catch {}
   };
 
-  const handleConfirm = async (evt) => {
-    evt.preventDefault();
+  const submitCode = async (code) => {
     resetStatus();
     try {
-      await confirmSignIn(codeInput);
+      await confirmSignIn(code);
       setCodeInput("");
-    } catch {}
+    } catch {
+      // error is surfaced through the auth context
+    }
+  };
+
+  const handleConfirm = (evt) => {
+    evt.preventDefault();
+    submitCode(codeInput);
+  };
+
+  // A pasted full-length code (e.g. from the email) submits straight away
+  const handleCodePaste = (evt) => {
+    const digits = evt.clipboardData.getData("text").replace(/\D/g, "");
+    if (digits.length !== SIGN_IN_CODE.length || !pendingSession || isWorking) return;
+    evt.preventDefault();
+    setCodeInput(digits);
+    submitCode(digits);
   };
 
   return (
@@ -88,47 +119,69 @@ export default function LoginBox({ title = "Auth" }) {
         {isLoggedIn ? (
           <span className="login-box__status" aria-live="polite">
             Logged in as <mark>{userEmail}</mark>
+            {pinned ? " · pinned" : ""}
           </span>
         ) : (
-          <span className="login-box__status" aria-live="polite">
-            {pendingLabel || "Not authenticated"}
+          <span
+            className={`login-box__status ${sessionExpired && !pendingLabel ? "expired" : ""}`}
+            aria-live="polite"
+          >
+            {pendingLabel || (sessionExpired ? "Session expired. Sign in again" : "Not authenticated")}
           </span>
         )}
       </header>
 
-      <form className="login-box__form" onSubmit={handleSignIn}>
+      <EnvironmentPicker disabled={isWorking} />
+
+      {identities.length > 0 && (
         <div className="login-box__field">
-          <label htmlFor="login-host">API Host</label>
-          <div className="login-box__host-row">
+          <label htmlFor={`login-identity-${scope}`}>Identity</label>
+          <div className="login-box__row">
+            <select
+              id={`login-identity-${scope}`}
+              value={identityId || ""}
+              onChange={handleSwitch}
+              disabled={isWorking}
+            >
+              {!identityId && (
+                <option value="" disabled>
+                  Choose…
+                </option>
+              )}
+              {identities.map((i) => (
+                <option key={i.id} value={i.id}>
+                  {i.label}
+                  {i.userEmail && i.userEmail !== i.label ? ` · ${i.userEmail}` : ""}
+                  {i.token ? "" : " (signed out)"}
+                </option>
+              ))}
+            </select>
             <input
-              id="login-host"
-              name="host"
               type="text"
-              value={hostInput}
-              onChange={handleHostChange}
-              onBlur={handleHostBlur}
-              onKeyDown={handleHostKeyDown}
-              disabled={isWorking}
+              aria-label="Identity name"
+              placeholder="Name"
+              value={labelInput}
+              onChange={(evt) => setLabelInput(evt.target.value)}
+              onBlur={commitLabel}
+              onKeyDown={handleLabelKeyDown}
+              disabled={isWorking || !identityId}
             />
-            <div className="login-box__host-buttons" role="group" aria-label="Preset hosts">
-              {HOST_OPTIONS.map((opt) => (
-                <button
-                  key={opt.value}
-                  type="button"
-                  className={`host-btn ${normalisedHost === opt.value ? "active" : ""}`}
-                  onClick={() => {
-                    setHostInput(opt.value);
-                    commitHost(opt.value);
-                  }}
-                  disabled={isWorking}
-                >
-                  {opt.label}
-                </button>
-              ))}
-            </div>
+            {scope !== "default" && (
+              <label className="login-box__pin" title="Keep this identity on this tab, whatever the others use">
+                <input
+                  type="checkbox"
+                  checked={pinned}
+                  onChange={(evt) => pinIdentity(evt.target.checked)}
+                  disabled={!identityId}
+                />
+                Pin to tab
+              </label>
+            )}
           </div>
         </div>
+      )}
 
+      <form className="login-box__form" onSubmit={handleSignIn}>
         <div className="login-box__field">
           <label htmlFor="login-email">Email</label>
           <div className="login-box__row">
@@ -142,7 +195,7 @@ export default function LoginBox({ title = "Auth" }) {
               disabled={isWorking}
               required
             />
-            <button type="submit" disabled={isWorking || !emailInput.trim()}>
+            <button type="submit" disabled={isWorking || rateLimited || !emailInput.trim()}>
               Send Code
             </button>
           </div>
@@ -159,16 +212,49 @@ export default function LoginBox({ title = "Auth" }) {
               type="text"
               value={codeInput}
               placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={SIGN_IN_CODE.length}
               onChange={(evt) => setCodeInput(evt.target.value)}
+              onPaste={handleCodePaste}
               disabled={isWorking || !pendingSession}
             />
-            <button type="submit" disabled={isWorking || !pendingSession || !codeInput.trim()}>
+            <button
+              type="submit"
+              disabled={isWorking || !pendingSession || codeExpired || rateLimited || !codeInput.trim()}
+            >
               Confirm Login
             </button>
           </div>
+          {(pendingCode || rateLimited) && (
+            <div className="login-box__code-meta" aria-live="polite">
+              {pendingCode && (
+                <span className={codeExpired ? "expired" : ""}>
+                  {codeExpired ? "Code expired" : `Code expires in ${fmtClock(pendingCode.expiresAt - now)}`}
+                </span>
+              )}
+              {pendingCode && !codeExpired && (
+                <span>
+                  {pendingCode.attemptsLeft} attempt{pendingCode.attemptsLeft === 1 ? "" : "s"} left
+                </span>
+              )}
+              {rateLimited && <span className="expired">Rate limited · retry in {fmtClock(limitedForMs)}</span>}
+              {pendingEmail && (
+                <button
+                  type="button"
+                  onClick={resendCode}
+                  disabled={isWorking || rateLimited || resendInMs > 0}
+                >
+                  {resendInMs > 0 ? `Resend code (${Math.ceil(resendInMs / 1000)}s)` : "Resend code"}
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </form>
 
+      {isLoggedIn && <TokenInspector />}
+
       <div className="login-box__footer" aria-live="polite">
         {message && <p className="login-box__message">{message}</p>}
         {error && <p className="login-box__error">{error}</p>}
@@ -0,0 +1,278 @@
+import React, { useMemo, useState } from "react";
+import { useAuth } from "../auth/AuthContext.jsx";
+import { buildBundle, buildHar } from "../inspector/harExport.js";
+import { clearNetworkLog } from "../inspector/networkLog.js";
+import { useNetworkLog } from "../inspector/useNetworkLog.js";
+import { downloadText, fileStamp } from "../utils/download.js";
+
+const TESTER_FILTERS = [
+  { key: "all", label: "All testers" },
+  { key: "chat", label: "Vet Chat" },
+  { key: "workflow", label: "Vet Workflow" },
+  { key: "auth", label: "Auth" },
+  { key: "other", label: "Other" },
+];
+
+const KIND_FILTERS = [
+  { key: "all", label: "All" },
+  { key: "http", label: "HTTP" },
+  { key: "sse", label: "SSE" },
+];
+
+const fmtTime = (ms) =>
+  ms
+    ? new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" })
+    : "—";
+
+const shortUrl = (url = "") => {
+  try {
+    const u = new URL(url, window.location.href);
+    return `${u.pathname}${u.search}`;
+  } catch {
+    return url;
+  }
+};
+
+const pretty = (text) => {
+  if (text === null || text === undefined || text === "") return "—";
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return String(text);
+  }
+};
+
+const statusClass = (r) => {
+  if (r.error) return "error";
+  if (r.status === null || r.status === undefined) return "pending";
+  return r.status >= 400 ? "error" : "ok";
+};
+
+function RecordRow({ record, selected, onSelect }) {
+  if (record.kind === "sse") {
+    return (
+      <button type="button" className={`net-row sse ${selected ? "active" : ""}`} onClick={onSelect}>
+        <span className="net-time">{fmtTime(record.at)}</span>
+        <span className="net-method">SSE</span>
+        <span className="net-url">
+          <strong>{record.event}</strong> {record.data ? record.data.slice(0, 80) : ""}
+        </span>
+        <span className="net-tag">{record.sessionId || "—"}</span>
+      </button>
+    );
+  }
+  return (
+    <button
+      type="button"
+      className={`net-row ${record.kind} ${selected ? "active" : ""}`}
+      onClick={onSelect}
+    >
+      <span className="net-time">{fmtTime(record.startedAt)}</span>
+      <span className="net-method">{record.kind === "stream" ? "STREAM" : record.method}</span>
+      <span className="net-url" title={record.url}>
+        {shortUrl(record.url)}
+      </span>
+      <span className={`net-status ${statusClass(record)}`}>
+        {record.error ? "ERR" : record.status ?? "…"}
+        {record.durationMs !== null && record.durationMs !== undefined ? ` · ${record.durationMs} ms` : ""}
+      </span>
+    </button>
+  );
+}
+
+function KeyValues({ obj }) {
+  const entries = Object.entries(obj || {});
+  if (!entries.length) return <div className="net-muted">—</div>;
+  return (
+    <table className="net-kv">
+      <tbody>
+        {entries.map(([k, v]) => (
+          <tr key={k}>
+            <th>{k}</th>
+            <td>{String(v)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function RecordDetail({ record }) {
+  if (!record) return <div className="net-muted">Select a request or event to see details.</div>;
+
+  if (record.kind === "sse") {
+    return (
+      <div className="net-detail">
+        <div className="net-detail-title">
+          event: <strong>{record.event}</strong>
+          {record.lastEventId ? ` · id ${record.lastEventId}` : ""} · {fmtTime(record.at)}
+        </div>
+        <pre>{pretty(record.data)}</pre>
+      </div>
+    );
+  }
+
+  return (
+    <div className="net-detail">
+      <div className="net-detail-title">
+        {record.kind === "stream" ? "STREAM" : record.method} {record.url}
+      </div>
+      <div className="net-detail-meta">
+        Status: {record.error ? `error (${record.error})` : record.status ?? "pending"}
+        {record.durationMs !== null && record.durationMs !== undefined ? ` · ${record.durationMs} ms` : ""}
+        {record.kind === "stream" && record.closedAt ? ` · closed ${fmtTime(record.closedAt)}` : ""}
+      </div>
+      <h4>Request headers</h4>
+      <KeyValues obj={record.requestHeaders} />
+      {record.kind === "http" && (
+        <>
+          <h4>Request body</h4>
+          <pre>{pretty(record.requestBody)}</pre>
+          <h4>Response headers</h4>
+          <KeyValues obj={record.responseHeaders} />
+          <h4>Response body</h4>
+          <pre>{pretty(record.responseBody)}</pre>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function NetworkInspector({ open, onClose }) {
+  const records = useNetworkLog();
+  const { apiHost, relayBase } = useAuth();
+  const [tester, setTester] = useState("all");
+  const [kind, setKind] = useState("all");
+  const [sessionFilter, setSessionFilter] = useState("");
+  const [eventFilter, setEventFilter] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+
+  const filtered = useMemo(() => {
+    const sid = sessionFilter.trim().toLowerCase();
+    const evt = eventFilter.trim().toLowerCase();
+    return records
+      .filter((r) => {
+        if (tester !== "all" && r.tester !== tester) return false;
+        if (kind === "http" && r.kind === "sse") return false;
+        if (kind === "sse" && r.kind !== "sse") return false;
+        if (sid && !String(r.sessionId || "").toLowerCase().includes(sid)) return false;
+        if (evt && (r.kind !== "sse" || !String(r.event).toLowerCase().includes(evt))) return false;
+        return true;
+      })
+      .slice()
+      .reverse();
+  }, [records, tester, kind, sessionFilter, eventFilter]);
+
+  const selected = useMemo(
+    () => records.find((r) => r.id === selectedId) || null,
+    [records, selectedId]
+  );
+
+  const exportHar = () => {
+    const har = buildHar(records, { comment: `apiHost=${apiHost} relay=${relayBase}` });
+    downloadText(`vet-tester-${fileStamp()}.har`, JSON.stringify(har, null, 2));
+  };
+
+  const exportBundle = () => {
+    const bundle = buildBundle(records, {
+      apiHost,
+      relayBase,
+      userAgent: navigator.userAgent,
+    });
+    downloadText(`vet-tester-${fileStamp()}.json`, JSON.stringify(bundle, null, 2));
+  };
+
+  if (!open) return null;
+
+  return (
+    <aside className="net-drawer" aria-label="Network inspector">
+      <header className="net-header">
+        <strong>Network</strong>
+        <span className="net-muted">
+          {filtered.length} / {records.length}
+        </span>
+        <div className="net-header-actions">
+          <button
+            type="button"
+            className="button"
+            onClick={exportHar}
+            disabled={!records.length}
+            title="HAR 1.2 with SSE frames as _webSocketMessages"
+          >
+            Export HAR
+          </button>
+          <button
+            type="button"
+            className="button"
+            onClick={exportBundle}
+            disabled={!records.length}
+            title="Compact JSON bundle for backend tickets"
+          >
+            Export JSON
+          </button>
+          <button type="button" className="button" onClick={clearNetworkLog}>
+            Clear
+          </button>
+          <button type="button" className="button" onClick={onClose} aria-label="Close inspector">
+            ✕
+          </button>
+        </div>
+      </header>
+
+      <div className="net-filters">
+        <select value={tester} onChange={(e) => setTester(e.target.value)} aria-label="Tester">
+          {TESTER_FILTERS.map((f) => (
+            <option key={f.key} value={f.key}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <div className="segmented" role="group" aria-label="Record kind">
+          {KIND_FILTERS.map((f) => (
+            <button
+              key={f.key}
+              type="button"
+              className={`seg-btn ${kind === f.key ? "active" : ""}`}
+              onClick={() => setKind(f.key)}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="text"
+          placeholder="Session / consultation id"
+          value={sessionFilter}
+          onChange={(e) => setSessionFilter(e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="SSE event name"
+          value={eventFilter}
+          onChange={(e) => setEventFilter(e.target.value)}
+        />
+      </div>
+
+      <div className="net-list">
+        {filtered.length === 0 ? (
+          <div className="net-muted" style={{ padding: 12 }}>
+            Nothing captured yet.
+          </div>
+        ) : (
+          filtered.map((r) => (
+            <RecordRow
+              key={r.id}
+              record={r}
+              selected={r.id === selectedId}
+              onSelect={() => setSelectedId(r.id)}
+            />
+          ))
+        )}
+      </div>
+
+      <div className="net-detail-pane">
+        <RecordDetail record={selected} />
+      </div>
+    </aside>
+  );
+}
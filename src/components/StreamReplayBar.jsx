@@ -0,0 +1,94 @@
+import React, { useRef, useState } from "react";
+
+const SPEEDS = [
+  { key: "step", label: "Step-by-step" },
+  { key: "0.5", label: "0.5×" },
+  { key: "1", label: "1× (original)" },
+  { key: "2", label: "2×" },
+  { key: "5", label: "5×" },
+  { key: "20", label: "20×" },
+];
+
+// Record / replay controls for one tester's relay stream (see useStreamReplay)
+export default function StreamReplayBar({ replay }) {
+  const fileRef = useRef(null);
+  const [speedKey, setSpeedKey] = useState("1");
+  const { player, playerState, isReplaying, isRecording, recordedCount, error } = replay;
+
+  const handleFile = (evt) => {
+    const file = evt.target.files?.[0];
+    evt.target.value = "";
+    if (!file) return;
+    replay.loadFile(file, {
+      speed: speedKey === "step" ? 1 : Number(speedKey),
+      stepMode: speedKey === "step",
+    });
+  };
+
+  const handleSpeed = (evt) => {
+    const next = evt.target.value;
+    setSpeedKey(next);
+    if (!player) return;
+    if (next === "step") player.pause();
+    else player.setSpeed(Number(next));
+  };
+
+  return (
+    <div className="replay-bar" role="group" aria-label="Stream record and replay">
+      {isReplaying ? (
+        <>
+          <span className="replay-badge">Replay</span>
+          {playerState?.playing ? (
+            <button type="button" className="button" onClick={player.pause}>
+              Pause
+            </button>
+          ) : (
+            <button
+              type="button"
+              className="button"
+              onClick={player.play}
+              disabled={playerState?.finished || speedKey === "step"}
+            >
+              Play
+            </button>
+          )}
+          <button type="button" className="button" onClick={player.step} disabled={playerState?.finished}>
+            Step
+          </button>
+          <span className="replay-progress">
+            {playerState ? `${playerState.position} / ${playerState.total}` : ""}
+            {playerState?.finished ? " · done" : ""}
+          </span>
+        </>
+      ) : isRecording ? (
+        <button type="button" className="button replay-rec active" onClick={replay.stopRecording}>
+          ■ Stop &amp; save ({recordedCount})
+        </button>
+      ) : (
+        <button type="button" className="button replay-rec" onClick={replay.startRecording}>
+          ● Record stream
+        </button>
+      )}
+
+      <select value={speedKey} onChange={handleSpeed} aria-label="Replay speed">
+        {SPEEDS.map((s) => (
+          <option key={s.key} value={s.key}>
+            {s.label}
+          </option>
+        ))}
+      </select>
+
+      <button type="button" className="button" onClick={() => fileRef.current?.click()} disabled={isRecording}>
+        Load replay…
+      </button>
+      <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleFile} />
+
+      {isReplaying && (
+        <button type="button" className="button" onClick={replay.exitReplay}>
+          Back to live
+        </button>
+      )}
+      {error && <span className="replay-error">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useMemo } from "react";
+import { inspectStructuredChunks, inspectStructuredEvents } from "../chat/structuredInspect.js";
+
+const fmtMs = (ms) => (ms == null ? "" : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`);
+
+function countFlags(rows) {
+  const counts = {};
+  for (const row of rows) for (const flag of row.flags) counts[flag.code] = (counts[flag.code] || 0) + 1;
+  return counts;
+}
+
+// Raw `structured` payloads behind one assistant bubble, with what looks wrong about them
+export default function StructuredEventInspector({ message }) {
+  const live = Array.isArray(message.structuredEvents) && message.structuredEvents.length > 0;
+  const { rows, gaps, duration } = useMemo(
+    () =>
+      live
+        ? inspectStructuredEvents(message.structuredEvents)
+        : inspectStructuredChunks(Array.isArray(message.structuredChunks) ? message.structuredChunks : []),
+    [live, message.structuredEvents, message.structuredChunks]
+  );
+  const counts = countFlags(rows);
+
+  const problems = [
+    counts.overwrite && `${counts.overwrite} overwritten`,
+    counts.order && `${counts.order} out of order`,
+    counts.skip && `${counts.skip} skipped ahead`,
+    gaps.length && `missing ${gaps.join(", ")}`,
+    counts.fallthrough && `${counts.fallthrough} rendered as paragraph`,
+    counts.invalid && `${counts.invalid} invalid`,
+  ].filter(Boolean);
+
+  return (
+    <div className="vc-inspector">
+      <div className="vc-inspector-head">
+        <span>
+          {live
+            ? `${rows.length} structured event${rows.length === 1 ? "" : "s"} over ${fmtMs(duration)}`
+            : `No raw events (loaded from history) · ${rows.length} chunk${rows.length === 1 ? "" : "s"}`}
+        </span>
+        {problems.length ? (
+          <span className="vc-inspector-problems">{problems.join(" · ")}</span>
+        ) : (
+          <span className="vc-inspector-ok">no problems found</span>
+        )}
+      </div>
+      {rows.length > 0 && (
+        <table className="vc-inspector-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              {live && <th title="Since the first event (gap since the previous one)">+time</th>}
+              <th>index</th>
+              <th>payload</th>
+              <th>kind</th>
+              <th>flags</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.n} className={row.flags.length ? `flagged ${row.flags.map((f) => f.code).join(" ")}` : ""}>
+                <td>{row.n}</td>
+                {live && (
+                  <td className="vc-inspector-time">
+                    {fmtMs(row.dt)}
+                    {row.n > 1 && <small> (+{fmtMs(row.gap)})</small>}
+                  </td>
+                )}
+                <td>{row.index ?? "—"}</td>
+                <td>
+                  <details>
+                    <summary>{row.parts.length ? row.parts.join(", ") : "?"}</summary>
+                    <pre>{JSON.stringify(row.payload, null, 2)}</pre>
+                  </details>
+                </td>
+                <td>{row.kind ?? ""}</td>
+                <td>
+                  {row.flags.map((flag, i) => (
+                    <span key={i} className={`vc-inspector-flag ${flag.code}`}>
+                      {flag.text}
+                    </span>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
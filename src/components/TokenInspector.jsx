@@ -0,0 +1,205 @@
+import React, { useState } from "react";
+import { useAuth } from "../auth/AuthContext.jsx";
+import { decodeJwt } from "../auth/jwt.js";
+import { buildCurl } from "../inspector/harExport.js";
+import { getNetworkRecords, redactHeaders } from "../inspector/networkLog.js";
+import { useNow } from "../utils/useNow.js";
+
+const fmtDateTime = (ms) => (ms ? new Date(ms).toLocaleString() : "—");
+
+const fmtDuration = (ms) => {
+  const total = Math.round(Math.abs(ms) / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}h ${String(m).padStart(2, "0")}m ${s}s` : `${m}m ${s}s`;
+};
+
+const countdown = (expMs, now) => {
+  if (!expMs) return "no expiry";
+  const left = expMs - now;
+  return left > 0 ? `expires in ${fmtDuration(left)}` : `expired ${fmtDuration(left)} ago`;
+};
+
+// Scopes / roles live under different claims depending on the issuer
+const scopesOf = (payload) => {
+  const raw = payload?.scope ?? payload?.scp ?? payload?.roles ?? payload?.["cognito:groups"];
+  if (!raw) return [];
+  return Array.isArray(raw) ? raw : String(raw).split(/\s+/).filter(Boolean);
+};
+
+function TokenSummary({ label, token, now }) {
+  if (!token) {
+    return (
+      <div className="token-card">
+        <strong>{label}</strong>
+        <div className="net-muted">None</div>
+      </div>
+    );
+  }
+  const decoded = decodeJwt(token);
+  if (!decoded) {
+    return (
+      <div className="token-card">
+        <strong>{label}</strong>
+        <div className="net-muted">Opaque token ({token.length} chars)</div>
+      </div>
+    );
+  }
+  const { header, payload } = decoded;
+  const expMs = typeof payload.exp === "number" ? payload.exp * 1000 : null;
+  const expired = expMs !== null && expMs <= now;
+  const scopes = scopesOf(payload);
+  return (
+    <div className="token-card">
+      <strong>{label}</strong>
+      <span className={`token-countdown ${expired ? "expired" : ""}`}>{countdown(expMs, now)}</span>
+      <table className="net-kv">
+        <tbody>
+          <tr>
+            <th>Issuer</th>
+            <td>{payload.iss || "—"}</td>
+          </tr>
+          <tr>
+            <th>Audience</th>
+            <td>{Array.isArray(payload.aud) ? payload.aud.join(", ") : payload.aud || payload.client_id || "—"}</td>
+          </tr>
+          <tr>
+            <th>Subject</th>
+            <td>{payload.sub || "—"}</td>
+          </tr>
+          <tr>
+            <th>Scopes / roles</th>
+            <td>{scopes.length ? scopes.join(", ") : "—"}</td>
+          </tr>
+          <tr>
+            <th>Issued</th>
+            <td>{fmtDateTime(typeof payload.iat === "number" ? payload.iat * 1000 : null)}</td>
+          </tr>
+          <tr>
+            <th>Expires</th>
+            <td>{fmtDateTime(expMs)}</td>
+          </tr>
+          <tr>
+            <th>Algorithm</th>
+            <td>{header.alg || "—"}</td>
+          </tr>
+        </tbody>
+      </table>
+      <details>
+        <summary>All claims</summary>
+        <pre>{JSON.stringify(payload, null, 2)}</pre>
+      </details>
+    </div>
+  );
+}
+
+// Latest authFetch call to this API, else a template against the workflow state endpoint
+const curlForCurrentSession = (apiBase, headers) => {
+  const last = getNetworkRecords()
+    .filter((r) => r.kind === "http" && r.url?.startsWith(apiBase) && r.requestHeaders?.authorization)
+    .at(-1);
+  if (last) return buildCurl(last);
+  return buildCurl({
+    method: "GET",
+    url: `${apiBase}/api/v1/vet/<session_id>/state`,
+    requestHeaders: { accept: "application/json", ...redactHeaders(headers) },
+  });
+};
+
+// Collapsible session diagnostics for the identity bound to this LoginBox
+export default function TokenInspector() {
+  const {
+    apiBase,
+    identity,
+    token,
+    refreshToken,
+    userId,
+    userEmail,
+    getAuthHeaders,
+    refreshSession,
+    invalidateSession,
+  } = useAuth();
+  const [open, setOpen] = useState(false);
+  const now = useNow(open); // live countdown only while expanded
+  const [note, setNote] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleRefresh = async () => {
+    setBusy(true);
+    setNote(null);
+    try {
+      await refreshSession();
+      setNote("Tokens refreshed");
+    } catch (err) {
+      setNote(`Refresh failed: ${err?.message || "unknown error"}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopyCurl = async () => {
+    try {
+      await navigator.clipboard.writeText(curlForCurrentSession(apiBase, getAuthHeaders()));
+      setNote("Redacted curl copied");
+    } catch {
+      setNote("Clipboard unavailable");
+    }
+  };
+
+  return (
+    <details className="token-inspector" open={open} onToggle={(evt) => setOpen(evt.currentTarget.open)}>
+      <summary>Session details</summary>
+      <table className="net-kv">
+        <tbody>
+          <tr>
+            <th>Identity</th>
+            <td>
+              {identity?.label || "—"}
+              {userEmail && userEmail !== identity?.label ? ` · ${userEmail}` : ""}
+            </td>
+          </tr>
+          <tr>
+            <th>User id</th>
+            <td>{userId || "—"}</td>
+          </tr>
+          <tr>
+            <th>Signed in</th>
+            <td>{fmtDateTime(identity?.signedInAt)}</td>
+          </tr>
+          <tr>
+            <th>Last rotation</th>
+            <td>
+              {identity?.rotatedAt
+                ? `${fmtDateTime(identity.rotatedAt)} via ${identity.rotatedVia || "unknown"}`
+                : "Not rotated yet"}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="token-cards">
+        <TokenSummary label="Access token" token={token} now={now} />
+        <TokenSummary label="Refresh token" token={refreshToken} now={now} />
+      </div>
+
+      <div className="token-actions">
+        <button type="button" onClick={handleRefresh} disabled={busy || !refreshToken}>
+          Force refresh
+        </button>
+        <button type="button" onClick={handleCopyCurl} disabled={!token}>
+          Copy curl (redacted)
+        </button>
+        <button
+          type="button"
+          onClick={invalidateSession}
+          disabled={!token}
+          title="Drop the tokens in this browser only; the server session is untouched"
+        >
+          Invalidate locally
+        </button>
+        {note && <span className="net-muted">{note}</span>}
+      </div>
+    </details>
+  );
+}
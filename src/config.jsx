@@ -6,7 +6,72 @@ export const API_BASE = DEFAULT_API_BASE; // legacy export kept for compatibilit
 
 export const RELAY_BASE = "https://chatbot-relay-628790375254.us-east1.run.app";
 
+// Offline stand-in (src/mock/mockBackend.js): requests to these origins never leave the browser
+export const MOCK_API_HOST = "https://mock.vet-tester.local";
+export const MOCK_RELAY_BASE = "https://relay.mock.vet-tester.local";
+export const MOCK_SIGN_IN_CODE = "123456";
+
+// Environment profiles selectable in LoginBox (src/auth/profiles.js). Edits to a
+// built-in profile fork it into a "Custom" one; custom profiles can be imported/exported.
+export const ENV_PROFILES = [
+  { id: "dev", label: "Dev", apiHost: DEFAULT_API_HOST, apiPath: VET_API_PATH, relayBase: RELAY_BASE },
+  // Prod shares the Cloud Run relay until it gets its own deployment
+  { id: "prod", label: "Prod", apiHost: "https://api.bepetz.com", apiPath: VET_API_PATH, relayBase: RELAY_BASE },
+  { id: "local", label: "Local", apiHost: "http://localhost:8000", apiPath: VET_API_PATH, relayBase: "http://localhost:8001" },
+  { id: "mock", label: "Mock", apiHost: MOCK_API_HOST, apiPath: VET_API_PATH, relayBase: MOCK_RELAY_BASE },
+];
+export const DEFAULT_PROFILE_ID = "dev";
+
 export const AUTH_HEADER_NAMES = {
   access: "x-access-token",
   refresh: "x-refresh-token",
 };
+
+// Email-code sign-in; the server's expires_in / remaining_attempts win when present
+export const SIGN_IN_CODE = {
+  length: 6,
+  ttlMs: 3 * 60 * 1000,
+  resendCooldownMs: 30000,
+  maxAttempts: 3,
+};
+
+export const AUTH_REFRESH_PATH = "/vets/refresh-token";
+export const AUTH_REFRESH_LEEWAY_MS = 60000; // refresh this long before the access token expires
+// Waits before retrying a refresh that failed on the network or with a 5xx/429
+export const AUTH_REFRESH_RETRY_DELAYS_MS = [1000, 4000];
+
+// Relay stream reconnect policy shared by both testers (see src/stream/streamConnection.js)
+export const STREAM_DEFAULTS = {
+  baseDelayMs: 1000,
+  maxDelayMs: 15000,
+  jitter: 0.3, // ± fraction applied to each backoff delay
+  maxAttempts: 10, // consecutive failed attempts before giving up ("failed")
+  idleTimeoutMs: 60000, // no bytes (incl. heartbeats) for this long → reconnect
+};
+
+// Open Vet Chat tabs beyond this many keep their state but park their relay stream
+// (browsers cap HTTP/1.1 connections per origin at 6, shared with API calls)
+export const CHAT_MAX_STREAMS = 3;
+
+// Chat reducer events kept per pane for replayChatLog; the log also restarts at each reset
+export const CHAT_LOG_LIMIT = 2000;
+
+// Vet Chat citations panel: domains (and their subdomains) to mark as trusted or
+// blocked sources. Testers can edit both lists; edits are kept in localStorage.
+export const CITATION_SOURCE_LISTS = {
+  trusted: [
+    "merckvetmanual.com",
+    "msdvetmanual.com",
+    "wsava.org",
+    "plumbs.com",
+    "vin.com",
+    "avma.org",
+    "aaha.org",
+    "iris-kidney.com",
+    "esccap.org",
+    "bsava.com",
+    "ncbi.nlm.nih.gov",
+    "onlinelibrary.wiley.com",
+  ],
+  blocked: ["wikipedia.org", "pinterest.com", "quora.com", "reddit.com"],
+};
@@ -0,0 +1,215 @@
+// src/inspector/harExport.js
+// Turns network inspector records into attachments for backend tickets:
+//   buildHar()     – HAR 1.2; relay SSE frames ride on the stream entry as
+//                    `_webSocketMessages` (the extension Chrome DevTools uses)
+//   buildBundle()  – compact JSON: requests + streams with their events
+//   buildCurl()    – one request as a shell command
+// Headers and bodies are redacted at capture time (networkLog.js); bodies go
+// through redactBody() again here so hand-built records can't leak tokens.
+import { classifyUrl, redactBody } from "./networkLog.js";
+
+const CREATOR = { name: "vet_flow_tester", version: "0.0.0" };
+
+const toNameValue = (obj) =>
+  Object.entries(obj || {}).map(([name, value]) => ({ name, value: String(value) }));
+
+const queryString = (url) => {
+  try {
+    return Array.from(new URL(url, window.location.href).searchParams.entries()).map(
+      ([name, value]) => ({ name, value })
+    );
+  } catch {
+    return [];
+  }
+};
+
+const byteLength = (text) => (text ? new TextEncoder().encode(text).length : 0);
+
+const headerValue = (headers, name) => {
+  const hit = Object.entries(headers || {}).find(([k]) => k.toLowerCase() === name);
+  return hit ? hit[1] : "";
+};
+
+const authOpts = (url) => ({ auth: classifyUrl(url).tester === "auth" });
+
+const withRedactedBodies = (r) => ({
+  ...r,
+  requestBody: redactBody(r.requestBody, authOpts(r.url)),
+  responseBody: redactBody(r.responseBody, authOpts(r.url)),
+});
+
+const eventsByStream = (records) => {
+  const map = new Map();
+  for (const r of records) {
+    if (r.kind !== "sse") continue;
+    if (!map.has(r.streamId)) map.set(r.streamId, []);
+    map.get(r.streamId).push(r);
+  }
+  return map;
+};
+
+/* ───────────────────── HAR 1.2 ───────────────────── */
+function httpEntry(record) {
+  const r = withRedactedBodies(record);
+  const reqMime = headerValue(r.requestHeaders, "content-type") || "application/json";
+  const resMime = headerValue(r.responseHeaders, "content-type") || "application/octet-stream";
+  const time = r.durationMs ?? 0;
+  return {
+    startedDateTime: new Date(r.startedAt).toISOString(),
+    time,
+    request: {
+      method: r.method,
+      url: r.url,
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toNameValue(r.requestHeaders),
+      queryString: queryString(r.url),
+      ...(r.requestBody ? { postData: { mimeType: reqMime, text: r.requestBody } } : {}),
+      headersSize: -1,
+      bodySize: byteLength(r.requestBody),
+    },
+    response: {
+      status: r.status ?? 0,
+      statusText: r.error || "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toNameValue(r.responseHeaders),
+      content: {
+        size: byteLength(r.responseBody),
+        mimeType: resMime,
+        ...(r.responseBody ? { text: r.responseBody } : {}),
+      },
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: r.responseBody ? byteLength(r.responseBody) : -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    _tester: r.tester,
+    _sessionId: r.sessionId,
+    ...(r.error ? { _error: r.error } : {}),
+  };
+}
+
+function streamEntry(r, events) {
+  const end = r.closedAt || events.at(-1)?.at || r.openedAt || r.startedAt;
+  return {
+    startedDateTime: new Date(r.startedAt).toISOString(),
+    time: Math.max(0, end - r.startedAt),
+    _resourceType: "eventsource",
+    request: {
+      method: "GET",
+      url: r.url,
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toNameValue(r.requestHeaders),
+      queryString: queryString(r.url),
+      headersSize: -1,
+      bodySize: 0,
+    },
+    response: {
+      status: r.status ?? 0,
+      statusText: r.error || "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: [{ name: "content-type", value: "text/event-stream" }],
+      content: { size: 0, mimeType: "text/event-stream" },
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: {
+      send: 0,
+      wait: r.openedAt ? r.openedAt - r.startedAt : 0,
+      receive: r.openedAt ? Math.max(0, end - r.openedAt) : 0,
+    },
+    _tester: r.tester,
+    _sessionId: r.sessionId,
+    ...(r.error ? { _error: r.error } : {}),
+    _webSocketMessages: events.map((e) => ({
+      type: "receive",
+      time: e.at / 1000,
+      opcode: 1,
+      data: e.data,
+      _event: e.event,
+      _lastEventId: e.lastEventId,
+    })),
+  };
+}
+
+export function buildHar(records, { comment } = {}) {
+  const streamEvents = eventsByStream(records);
+  const entries = records
+    .filter((r) => r.kind === "http" || r.kind === "stream")
+    .map((r) => (r.kind === "http" ? httpEntry(r) : streamEntry(r, streamEvents.get(r.id) || [])));
+  return {
+    log: {
+      version: "1.2",
+      creator: CREATOR,
+      pages: [],
+      entries,
+      ...(comment ? { comment } : {}),
+    },
+  };
+}
+
+/* ───────────────────── Compact bundle ───────────────────── */
+export function buildBundle(records, meta = {}) {
+  const streamEvents = eventsByStream(records);
+  const requests = records
+    .filter((r) => r.kind === "http")
+    .map(withRedactedBodies)
+    .map((r) => ({
+      at: new Date(r.startedAt).toISOString(),
+      tester: r.tester,
+      sessionId: r.sessionId,
+      method: r.method,
+      url: r.url,
+      status: r.status,
+      durationMs: r.durationMs,
+      error: r.error || undefined,
+      requestHeaders: r.requestHeaders,
+      requestBody: r.requestBody,
+      responseBody: r.responseBody,
+    }));
+  const streams = records
+    .filter((r) => r.kind === "stream")
+    .map((r) => ({
+      at: new Date(r.startedAt).toISOString(),
+      tester: r.tester,
+      sessionId: r.sessionId,
+      url: r.url,
+      status: r.status,
+      error: r.error || undefined,
+      openedAt: r.openedAt ? new Date(r.openedAt).toISOString() : null,
+      closedAt: r.closedAt ? new Date(r.closedAt).toISOString() : null,
+      events: (streamEvents.get(r.id) || []).map((e) => ({
+        t: e.at - (r.openedAt || r.startedAt), // ms since the stream opened
+        event: e.event,
+        id: e.lastEventId || undefined,
+        data: e.data,
+      })),
+    }));
+  return {
+    format: "vet-tester-capture",
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    meta,
+    requests,
+    streams,
+  };
+}
+
+/* ───────────────────── curl ───────────────────── */
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+// { method, url, requestHeaders, requestBody } — an http record, or the same shape built by hand
+export function buildCurl({ method = "GET", url, requestHeaders, requestBody }) {
+  const parts = [`curl -sS -X ${method} ${shellQuote(url)}`];
+  for (const [name, value] of Object.entries(requestHeaders || {})) {
+    parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  if (requestBody) parts.push(`--data-raw ${shellQuote(redactBody(requestBody, authOpts(url)))}`);
+  return parts.join(" \\\n  ");
+}
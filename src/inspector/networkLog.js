@@ -0,0 +1,232 @@
+// src/inspector/networkLog.js
+// Global capture of HTTP exchanges (authFetch / sign-in) and relay SSE traffic
+// for the network inspector drawer. Plain JS store; React reads it through
+// useNetworkLog(). Credentials are masked at capture time, in headers and in
+// JSON/form bodies, so the drawer, HAR export and curl never see them.
+
+import { AUTH_HEADER_NAMES } from "../config.jsx";
+
+const MAX_RECORDS = 2000;
+const MAX_BODY_CHARS = 100000;
+const SENSITIVE_HEADERS = new Set([
+  "authorization",
+  AUTH_HEADER_NAMES.access,
+  AUTH_HEADER_NAMES.refresh,
+  "cookie",
+  "set-cookie",
+]);
+
+let records = [];
+let nextId = 1;
+const subscribers = new Set();
+
+const notify = () => {
+  for (const fn of Array.from(subscribers)) fn();
+};
+
+const push = (record) => {
+  records = [...records, record];
+  if (records.length > MAX_RECORDS) records = records.slice(records.length - MAX_RECORDS);
+  notify();
+  return record.id;
+};
+
+const update = (id, patch) => {
+  let changed = false;
+  records = records.map((r) => {
+    if (r.id !== id) return r;
+    changed = true;
+    return { ...r, ...patch };
+  });
+  if (changed) notify();
+};
+
+/* ───────────────────── Helpers ───────────────────── */
+export const redactValue = (value = "") => {
+  const v = String(value);
+  const bearer = v.match(/^(Bearer\s+)(.+)$/i);
+  const secret = bearer ? bearer[2] : v;
+  const masked = secret.length > 8 ? `••••${secret.slice(-4)}` : "••••";
+  return bearer ? `${bearer[1]}${masked}` : masked;
+};
+
+export function redactHeaders(headersLike) {
+  const out = {};
+  const headers = new Headers(headersLike || {});
+  headers.forEach((value, key) => {
+    out[key] = SENSITIVE_HEADERS.has(key.toLowerCase()) ? redactValue(value) : value;
+  });
+  return out;
+}
+
+// JSON body fields carrying credentials (token responses, refresh, sign-in session and code)
+const SENSITIVE_BODY_FIELDS = new Set(["access_token", "refresh_token", "session", "code"]);
+
+const redactFields = (value) => {
+  if (Array.isArray(value)) return value.map(redactFields);
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const secret = SENSITIVE_BODY_FIELDS.has(key.toLowerCase()) && v != null && typeof v !== "object";
+    out[key] = secret ? redactValue(v) : redactFields(v);
+  }
+  return out;
+};
+
+// Sign-in answers with the bare session token as { data: "<session>" }
+const redactAuthData = (value) =>
+  value && typeof value === "object" && typeof value.data === "string"
+    ? { ...value, data: redactValue(value.data) }
+    : value;
+
+// Masks SENSITIVE_BODY_FIELDS at any depth of a JSON or form-encoded body; other text is kept.
+// `auth` bodies (the /vets/ sign-in endpoints) also have a string `data` masked.
+export function redactBody(text, { auth = false } = {}) {
+  if (typeof text !== "string" || !text) return text;
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      const fields = redactFields(parsed);
+      const redacted = JSON.stringify(auth ? redactAuthData(fields) : fields);
+      // Untouched bodies keep their original formatting
+      return redacted === JSON.stringify(parsed) ? text : redacted;
+    } catch {
+      return text;
+    }
+  }
+  if (/^[\w.%-]+=/.test(trimmed) && !/\s/.test(trimmed)) {
+    const params = new URLSearchParams(trimmed);
+    for (const key of [...params.keys()]) {
+      if (SENSITIVE_BODY_FIELDS.has(key.toLowerCase())) params.set(key, redactValue(params.get(key)));
+    }
+    return params.toString();
+  }
+  return text;
+}
+
+const truncate = (s) =>
+  typeof s === "string" && s.length > MAX_BODY_CHARS
+    ? `${s.slice(0, MAX_BODY_CHARS)}\n… [truncated ${s.length - MAX_BODY_CHARS} chars]`
+    : s;
+
+const bodyToText = (body, opts) => {
+  if (body === undefined || body === null) return null;
+  if (typeof body === "string") return truncate(redactBody(body, opts));
+  if (body instanceof URLSearchParams) return redactBody(body.toString(), opts);
+  if (typeof FormData !== "undefined" && body instanceof FormData) return "[FormData]";
+  return `[${body?.constructor?.name || typeof body}]`;
+};
+
+// Which tester / session a URL belongs to, for filtering
+export function classifyUrl(input) {
+  const raw = typeof input === "string" ? input : input?.url || "";
+  let path = raw;
+  try {
+    path = new URL(raw, window.location.href).pathname;
+  } catch {
+    // keep raw
+  }
+  let m = path.match(/\/vet_chat\/([^/]+)/) || path.match(/\/vet-chat-stream\/([^/]+)/);
+  if (m) return { tester: "chat", sessionId: decodeURIComponent(m[1]) };
+  m = path.match(/\/vet\/([^/]+)\//) || path.match(/\/vet-stream\/([^/]+)/);
+  if (m) return { tester: "workflow", sessionId: decodeURIComponent(m[1]) };
+  if (/\/vets\//.test(path)) return { tester: "auth", sessionId: null };
+  return { tester: "other", sessionId: null };
+}
+
+/* ───────────────────── HTTP exchanges ───────────────────── */
+// Drop-in fetch replacement that records the exchange. The response body is
+// read from a clone, so callers consume the original as usual.
+export async function tracedFetch(input, init = {}) {
+  const url = typeof input === "string" ? input : input.url;
+  const method = (init.method || input?.method || "GET").toUpperCase();
+  const startedAt = Date.now();
+  const where = classifyUrl(url);
+  const redactOpts = { auth: where.tester === "auth" };
+  const id = push({
+    id: nextId++,
+    kind: "http",
+    ...where,
+    method,
+    url,
+    requestHeaders: redactHeaders(init.headers),
+    requestBody: bodyToText(init.body, redactOpts),
+    startedAt,
+    status: null,
+    durationMs: null,
+    responseHeaders: null,
+    responseBody: null,
+    error: null,
+  });
+
+  let response;
+  try {
+    response = await fetch(input, init);
+  } catch (err) {
+    update(id, { durationMs: Date.now() - startedAt, error: err?.message || String(err) });
+    throw err;
+  }
+
+  update(id, {
+    status: response.status,
+    durationMs: Date.now() - startedAt,
+    responseHeaders: redactHeaders(response.headers),
+  });
+  response
+    .clone()
+    .text()
+    .then((text) => update(id, { responseBody: truncate(redactBody(text, redactOpts)) }))
+    .catch((err) => update(id, { responseBody: `[unreadable body: ${err?.message || err}]` }));
+
+  return response;
+}
+
+/* ───────────────────── SSE streams ───────────────────── */
+export function recordStreamOpen({ url, headers }) {
+  return push({
+    id: nextId++,
+    kind: "stream",
+    ...classifyUrl(url),
+    method: "GET",
+    url,
+    requestHeaders: redactHeaders(headers),
+    startedAt: Date.now(),
+    status: null,
+    openedAt: null,
+    closedAt: null,
+    error: null,
+  });
+}
+
+export function recordStreamUpdate(streamId, patch) {
+  if (streamId) update(streamId, patch);
+}
+
+export function recordStreamEvent(streamId, { event, data, lastEventId }) {
+  const stream = records.find((r) => r.id === streamId);
+  return push({
+    id: nextId++,
+    kind: "sse",
+    streamId,
+    tester: stream?.tester || "other",
+    sessionId: stream?.sessionId || null,
+    event,
+    data: truncate(data ?? ""),
+    lastEventId: lastEventId || "",
+    at: Date.now(),
+  });
+}
+
+/* ───────────────────── Store access ───────────────────── */
+export const getNetworkRecords = () => records;
+
+export function subscribeNetworkLog(fn) {
+  subscribers.add(fn);
+  return () => subscribers.delete(fn);
+}
+
+export function clearNetworkLog() {
+  records = [];
+  notify();
+}
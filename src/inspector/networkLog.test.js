@@ -0,0 +1,78 @@
+// src/inspector/networkLog.test.js
+// Credential masking in captured bodies and in the exports built from them.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { buildBundle, buildCurl, buildHar } from "./harExport.js";
+import { clearNetworkLog, getNetworkRecords, redactBody, tracedFetch } from "./networkLog.js";
+
+const SESSION = "sess-4f9c2a7be01d";
+const SIGN_IN_URL = "https://api.example.test/vets/sign-in";
+const signInResponse = JSON.stringify({ success: true, data: SESSION });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  clearNetworkLog();
+});
+
+describe("redactBody", () => {
+  it("masks token fields at any depth", () => {
+    const body = JSON.stringify({ data: { access_token: "aaaa.bbbb.cccc", user: { refresh_token: "rrrr.ssss" } } });
+    const out = redactBody(body);
+    expect(out).not.toContain("aaaa.bbbb.cccc");
+    expect(out).not.toContain("rrrr.ssss");
+  });
+
+  it("masks the bare session that sign-in returns as `data`", () => {
+    const out = JSON.parse(redactBody(signInResponse, { auth: true }));
+    expect(out.success).toBe(true);
+    expect(out.data).not.toContain(SESSION);
+    expect(out.data).toMatch(/^••••/);
+  });
+
+  it("leaves `data` alone outside the auth endpoints", () => {
+    const body = JSON.stringify({ data: "plain text" });
+    expect(redactBody(body)).toBe(body);
+  });
+
+  it("keeps an untouched body byte for byte", () => {
+    const body = '{ "email": "vet@example.test" }';
+    expect(redactBody(body, { auth: true })).toBe(body);
+  });
+});
+
+describe("sign-in session in captures and exports", () => {
+  const capture = async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response(signInResponse, { status: 200 })));
+    await tracedFetch(SIGN_IN_URL, { method: "POST", body: JSON.stringify({ email: "vet@example.test" }) });
+    await vi.waitFor(() => expect(getNetworkRecords()[0].responseBody).toBeTruthy());
+    return getNetworkRecords();
+  };
+
+  it("is masked when the response is captured", async () => {
+    const [record] = await capture();
+    expect(record.tester).toBe("auth");
+    expect(record.responseBody).not.toContain(SESSION);
+  });
+
+  it("stays masked in HAR and bundle exports of hand-built records", () => {
+    const record = {
+      id: 1,
+      kind: "http",
+      tester: "auth",
+      method: "POST",
+      url: SIGN_IN_URL,
+      startedAt: Date.now(),
+      status: 200,
+      requestHeaders: {},
+      responseHeaders: {},
+      requestBody: null,
+      responseBody: signInResponse,
+    };
+    expect(JSON.stringify(buildHar([record]))).not.toContain(SESSION);
+    expect(JSON.stringify(buildBundle([record]))).not.toContain(SESSION);
+  });
+
+  it("is masked in a curl request body aimed at an auth endpoint", () => {
+    const curl = buildCurl({ method: "POST", url: SIGN_IN_URL, requestBody: signInResponse });
+    expect(curl).not.toContain(SESSION);
+  });
+});
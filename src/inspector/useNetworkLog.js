@@ -0,0 +1,7 @@
+// src/inspector/useNetworkLog.js
+import { useSyncExternalStore } from "react";
+import { getNetworkRecords, subscribeNetworkLog } from "./networkLog.js";
+
+export function useNetworkLog() {
+  return useSyncExternalStore(subscribeNetworkLog, getNetworkRecords, getNetworkRecords);
+}
@@ -0,0 +1,517 @@
+// src/mock/mockBackend.js
+// In-browser stand-in for api-dev and the Cloud Run relay. installMockBackend()
+// wraps window.fetch: requests to MOCK_API_HOST / MOCK_RELAY_BASE are answered
+// from in-memory state, everything else goes to the network untouched.
+// Pick "Mock" in LoginBox's host presets to use it; sign in with any email and
+// the code MOCK_SIGN_IN_CODE ("+expiring" emails get 90 s access tokens).
+import {
+  AUTH_HEADER_NAMES,
+  MOCK_API_HOST,
+  MOCK_RELAY_BASE,
+  MOCK_SIGN_IN_CODE,
+  SIGN_IN_CODE,
+  VET_API_PATH,
+} from "../config.jsx";
+import {
+  SEED_CONSULTATIONS,
+  WORKFLOW_RESULTS,
+  chatTurnScriptFor,
+  workflowCancelScript,
+  workflowRunScript,
+} from "./mockScripts.js";
+
+const ACCESS_TTL_S = 60 * 60;
+const SHORT_ACCESS_TTL_S = 90; // for "+expiring" emails, to exercise token refresh
+const HEARTBEAT_MS = 15000;
+const REPLAY_BUFFER = 200; // events kept per channel for Last-Event-ID resume
+const WORKFLOW_KINDS = Object.keys(WORKFLOW_RESULTS);
+
+/* ───────────────────── Tokens ───────────────────── */
+const b64url = (obj) =>
+  btoa(unescape(encodeURIComponent(JSON.stringify(obj))))
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+
+const decodeMockToken = (token) => {
+  try {
+    const [, payload, sig] = String(token).split(".");
+    if (sig !== "mock-signature") return null;
+    const json = atob(payload.replace(/-/g, "+").replace(/_/g, "/"));
+    return JSON.parse(decodeURIComponent(escape(json)));
+  } catch {
+    return null;
+  }
+};
+
+const userIdFor = (email) => `mock-vet-${String(email).toLowerCase().replace(/[^a-z0-9]+/g, "-")}`;
+
+export function issueMockTokens(email, ttlSeconds = ACCESS_TTL_S) {
+  const iat = Math.floor(Date.now() / 1000);
+  const base = { iss: MOCK_API_HOST, aud: "vet-tester", sub: userIdFor(email), email, iat };
+  const header = b64url({ alg: "none", typ: "JWT" });
+  return {
+    access_token: `${header}.${b64url({ ...base, token_use: "access", roles: ["vet"], exp: iat + ttlSeconds })}.mock-signature`,
+    refresh_token: `${header}.${b64url({ ...base, token_use: "refresh", exp: iat + 30 * 24 * 3600 })}.mock-signature`,
+    user_id: base.sub,
+  };
+}
+
+/* ───────────────────── State ───────────────────── */
+const state = {
+  signIns: new Map(), // session → { email, expiresAt, attemptsLeft }
+  codeSentAt: new Map(), // email → ms, for the resend rate limit
+  consultations: new Map(), // cid → [{ role, content, created_at, ... }]
+  consultationOwners: new Map(), // cid → vet userId; seeded ones are shared by every vet
+  nextMessageId: 1,
+  chatTurns: new Map(), // cid → { timers }
+  sessions: new Map(), // sid → { runs: {kind: run}, outputs: {kind: {updated_at, result}} }
+  workflowTimers: new Map(), // `${sid}:${kind}` → timers
+  channels: new Map(), // relay channel → { subscribers: Set, buffer: [], nextId }
+};
+
+const nowIso = () => new Date().toISOString();
+const newMessageId = () => `msg_${String(state.nextMessageId++).padStart(6, "0")}`;
+
+function seed() {
+  for (const [cid, msgs] of Object.entries(SEED_CONSULTATIONS)) {
+    state.consultations.set(
+      cid,
+      msgs.map(({ minutesAgo, ...m }) => ({
+        id: newMessageId(),
+        ...m,
+        created_at: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+      }))
+    );
+  }
+}
+
+const consultation = (cid) => {
+  if (!state.consultations.has(cid)) state.consultations.set(cid, []);
+  return state.consultations.get(cid);
+};
+
+const session = (sid) => {
+  if (!state.sessions.has(sid)) state.sessions.set(sid, { runs: {}, outputs: {} });
+  return state.sessions.get(sid);
+};
+
+/* ───────────────────── Relay channels ───────────────────── */
+const channel = (name) => {
+  if (!state.channels.has(name)) {
+    state.channels.set(name, { subscribers: new Set(), buffer: [], nextId: 1 });
+  }
+  return state.channels.get(name);
+};
+
+const encoder = new TextEncoder();
+const frame = ({ id, event, data }) => {
+  const body = typeof data === "string" ? data : JSON.stringify(data ?? {});
+  const lines = body.split("\n").map((l) => `data: ${l}`).join("\n");
+  return encoder.encode(`id: ${id}\n${event === "message" ? "" : `event: ${event}\n`}${lines}\n\n`);
+};
+
+function publish(name, event, data) {
+  const ch = channel(name);
+  const entry = { id: String(ch.nextId++), event, data };
+  ch.buffer.push(entry);
+  if (ch.buffer.length > REPLAY_BUFFER) ch.buffer.shift();
+  for (const sub of ch.subscribers) sub(entry);
+}
+
+function runScript(channelName, steps, { onStep, onEnd } = {}) {
+  const timers = [];
+  let at = 0;
+  steps.forEach((step, i) => {
+    at += step.delay;
+    timers.push(
+      setTimeout(() => {
+        publish(channelName, step.event, step.data);
+        onStep?.(step);
+        if (i === steps.length - 1) onEnd?.();
+      }, at)
+    );
+  });
+  return timers;
+}
+
+function streamResponse(name, request) {
+  const ch = channel(name);
+  const lastId = Number(request.headers.get("last-event-id") || 0);
+  let cleanup = () => {};
+
+  const body = new ReadableStream({
+    start(controller) {
+      const write = (bytes) => {
+        try {
+          controller.enqueue(bytes);
+        } catch {
+          cleanup();
+        }
+      };
+      const send = (entry) => write(frame(entry));
+      controller.enqueue(encoder.encode(`retry: 2000\n: connected to ${name}\n\n`));
+      if (lastId) ch.buffer.filter((e) => Number(e.id) > lastId).forEach(send);
+      controller.enqueue(encoder.encode("event: ready\ndata: {}\n\n"));
+
+      ch.subscribers.add(send);
+      // Heartbeats are SSE comments, not events
+      const hb = setInterval(() => write(encoder.encode(": heartbeat\n\n")), HEARTBEAT_MS);
+      cleanup = () => {
+        clearInterval(hb);
+        ch.subscribers.delete(send);
+      };
+      request.signal?.addEventListener("abort", () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // already closed
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: { "content-type": "text/event-stream", "cache-control": "no-cache" },
+  });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+const json = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json", ...headers },
+  });
+
+const readJson = async (request) => {
+  try {
+    return await request.json();
+  } catch {
+    return {};
+  }
+};
+
+const requireAuth = (request) => {
+  const header = request.headers.get("authorization") || "";
+  const claims = decodeMockToken(header.replace(/^Bearer\s+/i, ""));
+  if (!claims || claims.token_use !== "access") return null;
+  if (claims.exp * 1000 < Date.now()) return null;
+  return claims;
+};
+
+const accessTtlFor = (email) => (/\+expiring@/i.test(String(email)) ? SHORT_ACCESS_TTL_S : ACCESS_TTL_S);
+
+const unauthorized = () => json(401, { success: false, message: "Unauthorized" });
+
+/* ───────────────────── API routes ───────────────────── */
+const API = `${VET_API_PATH}/api/v1`;
+
+const routes = [
+  {
+    method: "POST",
+    path: /^\/vets\/sign-in$/,
+    handler: async ({ request }) => {
+      const { email } = await readJson(request);
+      if (!email) return json(400, { success: false, message: "Email is required" });
+      const key = String(email).toLowerCase();
+      const waitMs = (state.codeSentAt.get(key) || 0) + SIGN_IN_CODE.resendCooldownMs - Date.now();
+      if (waitMs > 0) {
+        return json(
+          429,
+          { success: false, message: "Too many sign-in requests" },
+          { "retry-after": String(Math.ceil(waitMs / 1000)) }
+        );
+      }
+      state.codeSentAt.set(key, Date.now());
+      const sessionToken = `mock-session-${Math.random().toString(36).slice(2)}`;
+      state.signIns.set(sessionToken, {
+        email,
+        expiresAt: Date.now() + SIGN_IN_CODE.ttlMs,
+        attemptsLeft: SIGN_IN_CODE.maxAttempts,
+      });
+      const data = { session: sessionToken, expires_in: SIGN_IN_CODE.ttlMs / 1000, attempts: SIGN_IN_CODE.maxAttempts };
+      return json(200, { success: true, data });
+    },
+  },
+  {
+    method: "POST",
+    path: /^\/vets\/confirm-sign-in$/,
+    handler: async ({ request }) => {
+      const { email, code, session: sessionToken } = await readJson(request);
+      const pending = state.signIns.get(sessionToken);
+      if (pending?.email !== email) {
+        return json(400, { success: false, message: "Sign-in session expired" });
+      }
+      if (pending.expiresAt < Date.now()) {
+        state.signIns.delete(sessionToken);
+        return json(400, { success: false, message: "Code expired", remaining_attempts: 0 });
+      }
+      if (String(code) !== MOCK_SIGN_IN_CODE) {
+        pending.attemptsLeft -= 1;
+        if (pending.attemptsLeft <= 0) state.signIns.delete(sessionToken);
+        return json(400, {
+          success: false,
+          message: `Invalid code (mock code is ${MOCK_SIGN_IN_CODE})`,
+          remaining_attempts: pending.attemptsLeft,
+        });
+      }
+      state.signIns.delete(sessionToken);
+      return json(200, { success: true, data: issueMockTokens(email, accessTtlFor(email)) });
+    },
+  },
+  {
+    method: "POST",
+    path: /^\/vets\/refresh-token$/,
+    handler: ({ request }) => {
+      const claims = decodeMockToken(request.headers.get(AUTH_HEADER_NAMES.refresh));
+      if (!claims || claims.token_use !== "refresh" || claims.exp * 1000 < Date.now()) {
+        return json(401, { success: false, message: "Refresh token invalid or expired" });
+      }
+      return json(200, { success: true, data: issueMockTokens(claims.email, accessTtlFor(claims.email)) });
+    },
+  },
+
+  /* vet_chat */
+  {
+    method: "GET",
+    path: new RegExp(`^${API}/vet_chat$`),
+    auth: true,
+    handler: ({ url, claims }) => {
+      const limit = Number(url.searchParams.get("limit") || 50);
+      const items = [...state.consultations.entries()]
+        .filter(([cid, msgs]) => msgs.length && (state.consultationOwners.get(cid) ?? claims.sub) === claims.sub)
+        .map(([cid, msgs]) => ({ consultation_id: cid, updated_at: msgs.at(-1).created_at }))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+      return json(200, { consultations: items.slice(0, limit) });
+    },
+  },
+  {
+    method: "GET",
+    path: new RegExp(`^${API}/vet_chat/([^/]+)/history$`),
+    auth: true,
+    handler: ({ params: [cid], url }) => {
+      const limit = Number(url.searchParams.get("limit") || 1000);
+      const order = url.searchParams.get("order") || "asc";
+      const after = url.searchParams.get("after");
+      // Cursor: id of the oldest message seen. Messages can share a created_at, so the
+      // page boundary is its position in the log; a timestamp still works as a fallback.
+      const before = url.searchParams.get("before");
+      const all = consultation(cid);
+      let msgs = all.slice();
+      if (after) msgs = msgs.filter((m) => m.created_at > new Date(after).toISOString());
+      if (before) {
+        const at = msgs.findIndex((m) => m.id === before);
+        msgs = at >= 0 ? msgs.slice(0, at) : msgs.filter((m) => m.created_at < new Date(before).toISOString());
+      }
+      if (order === "desc") msgs.reverse();
+      const page = msgs.slice(0, limit);
+      const hasMore = msgs.length > limit;
+      return json(200, {
+        consultation_id: cid,
+        total: all.length,
+        messages: page,
+        has_more: hasMore,
+        next_cursor: hasMore && order === "desc" ? page.at(-1).id : null,
+      });
+    },
+  },
+  {
+    method: "POST",
+    path: new RegExp(`^${API}/vet_chat/([^/]+)/message$`),
+    auth: true,
+    handler: async ({ params: [cid], request, claims }) => {
+      const { message, client_message_id: clientMessageId } = await readJson(request);
+      if (!message) return json(422, { success: false, message: "message is required" });
+      if (state.chatTurns.has(cid)) return json(409, { success: false, message: "A turn is already running" });
+
+      if (!consultation(cid).length) state.consultationOwners.set(cid, claims.sub);
+      const sent = {
+        id: newMessageId(),
+        role: "user",
+        content: message,
+        client_message_id: clientMessageId || null,
+        created_at: nowIso(),
+      };
+      consultation(cid).push(sent);
+
+      // Status / done events name the reply so the client can match it to the persisted copy
+      const replyId = newMessageId();
+      const { steps, persisted } = chatTurnScriptFor(message);
+      const tagged = steps.map((step) =>
+        step.event === "status" || step.event === "done"
+          ? { ...step, data: { ...step.data, message_id: replyId, reply_to: sent.id } }
+          : step
+      );
+      const turn = { timers: [] };
+      turn.timers = runScript(`vet-chat-stream/${cid}`, tagged, {
+        onEnd: () => {
+          state.chatTurns.delete(cid);
+          if (persisted) {
+            consultation(cid).push({
+              id: replyId,
+              reply_to: sent.id,
+              role: "assistant",
+              ...persisted,
+              created_at: nowIso(),
+            });
+          }
+        },
+      });
+      state.chatTurns.set(cid, turn);
+      return json(202, {
+        accepted: true,
+        turn_id: `turn-${Date.now()}`,
+        message_id: sent.id,
+        client_message_id: sent.client_message_id,
+        created_at: sent.created_at,
+      });
+    },
+  },
+  {
+    method: "POST",
+    path: new RegExp(`^${API}/vet_chat/([^/]+)/cancel$`),
+    auth: true,
+    handler: ({ params: [cid] }) => {
+      const turn = state.chatTurns.get(cid);
+      if (!turn) return json(409, { success: false, message: "No turn in progress" });
+      turn.timers.forEach(clearTimeout);
+      state.chatTurns.delete(cid);
+      runScript(`vet-chat-stream/${cid}`, [
+        { delay: 50, event: "status", data: { phase: "cancel_requested" } },
+        { delay: 400, event: "status", data: { phase: "cancelled" } },
+      ]);
+      return json(200, { cancelled: true });
+    },
+  },
+
+  /* vet workflow */
+  {
+    method: "GET",
+    path: new RegExp(`^${API}/vet/([^/]+)/state$`),
+    auth: true,
+    handler: ({ params: [sid] }) => {
+      const s = session(sid);
+      const outputs_updated_at = Object.fromEntries(
+        Object.entries(s.outputs).map(([k, v]) => [k, v.updated_at])
+      );
+      return json(200, { session_id: sid, runs: s.runs, outputs_updated_at });
+    },
+  },
+  {
+    method: "GET",
+    path: new RegExp(`^${API}/vet/([^/]+)/outputs/([^/]+)$`),
+    auth: true,
+    handler: ({ params: [sid, kind] }) => {
+      const out = session(sid).outputs[kind];
+      if (!out) return json(404, { success: false, message: `No output for ${kind}` });
+      return json(200, { kind, ...out });
+    },
+  },
+  {
+    method: "POST",
+    path: new RegExp(`^${API}/vet/([^/]+)/([^/]+)/queue$`),
+    auth: true,
+    handler: ({ params: [sid, kind] }) => {
+      if (!WORKFLOW_KINDS.includes(kind)) return json(404, { success: false, message: `Unknown kind ${kind}` });
+      const s = session(sid);
+      const key = `${sid}:${kind}`;
+      if (state.workflowTimers.has(key)) return json(409, { success: false, message: "Run already in progress" });
+
+      const startedAt = nowIso();
+      s.runs[kind] = { status: "queued", phase: `${kind}_queued`, started_at: startedAt, updated_at: startedAt };
+      const timers = runScript(`vet-stream/${sid}`, workflowRunScript(kind), {
+        onStep: (step) => {
+          const run = s.runs[kind];
+          run.updated_at = nowIso();
+          if (step.event === "status") {
+            run.phase = step.data.phase;
+            if (run.phase.endsWith("_started")) run.status = "running";
+          }
+          if (step.event === kind) s.outputs[kind] = { updated_at: nowIso(), result: step.data };
+          if (step.event === "done") {
+            run.status = "done";
+            run.finished_at = nowIso();
+          }
+        },
+        onEnd: () => state.workflowTimers.delete(key),
+      });
+      state.workflowTimers.set(key, timers);
+      return json(202, { task_id: `mock-task-${kind}-${Date.now()}`, kind });
+    },
+  },
+  {
+    method: "POST",
+    path: new RegExp(`^${API}/vet/([^/]+)/([^/]+)/cancel$`),
+    auth: true,
+    handler: ({ params: [sid, kind] }) => {
+      const key = `${sid}:${kind}`;
+      const timers = state.workflowTimers.get(key);
+      if (!timers) return json(409, { success: false, message: "Nothing to cancel" });
+      timers.forEach(clearTimeout);
+      state.workflowTimers.delete(key);
+      const run = session(sid).runs[kind];
+      runScript(`vet-stream/${sid}`, workflowCancelScript(kind), {
+        onStep: (step) => {
+          run.phase = step.data.phase;
+          run.status = run.phase.endsWith("_cancelled") ? "cancelled" : "cancel_requested";
+          run.updated_at = nowIso();
+          if (run.status === "cancelled") run.finished_at = run.updated_at;
+        },
+      });
+      return json(200, { kind, cancel_requested: true });
+    },
+  },
+];
+
+/* ───────────────────── Dispatch ───────────────────── */
+async function handleApi(request, url) {
+  for (const route of routes) {
+    if (route.method !== request.method) continue;
+    const m = url.pathname.match(route.path);
+    if (!m) continue;
+    const claims = route.auth ? requireAuth(request) : null;
+    if (route.auth && !claims) return unauthorized();
+    return route.handler({ request, url, claims, params: m.slice(1).map(decodeURIComponent) });
+  }
+  return json(404, { success: false, message: `mock: no route for ${request.method} ${url.pathname}` });
+}
+
+function handleRelay(request, url) {
+  const m = url.pathname.match(/^\/(vet-stream|vet-chat-stream)\/([^/]+)$/);
+  if (!m || request.method !== "GET") return json(404, { message: "mock relay: unknown stream" });
+  return streamResponse(`${m[1]}/${decodeURIComponent(m[2])}`, request);
+}
+
+const latency = () => new Promise((r) => setTimeout(r, 80 + Math.random() * 120));
+
+export function isMockUrl(input) {
+  try {
+    const url = new URL(typeof input === "string" ? input : input.url, window.location.href);
+    return url.origin === MOCK_API_HOST || url.origin === MOCK_RELAY_BASE;
+  } catch {
+    return false;
+  }
+}
+
+let installed = false;
+
+export function installMockBackend() {
+  if (installed || typeof window === "undefined") return;
+  installed = true;
+  seed();
+
+  const realFetch = window.fetch.bind(window);
+  window.fetch = async (input, init) => {
+    if (!isMockUrl(input)) return realFetch(input, init);
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+    if (url.origin === MOCK_RELAY_BASE) return handleRelay(request, url);
+    await latency();
+    return handleApi(request, url);
+  };
+}
@@ -0,0 +1,301 @@
+// src/mock/mockScripts.js
+// Scripted, realistic relay event sequences for the offline mock backend.
+// Each script is a list of steps: { delay (ms after previous), event, data }.
+
+/* ───────────────────── Vet Chat turns ───────────────────── */
+const CHAT_CITATIONS = [
+  { title: "Merck Veterinary Manual — Gastroenteritis in dogs", url: "https://www.merckvetmanual.com/digestive-system" },
+  { title: "WSAVA Global Nutrition Guidelines", url: "https://wsava.org/global-guidelines/global-nutrition-guidelines/" },
+  { title: "Plumb's Veterinary Drug Handbook — Maropitant", url: "https://plumbs.com/" },
+];
+
+const STRUCTURED_ANSWER = [
+  { kind: "heading", text: "Evaluación inicial" },
+  {
+    kind: "paragraph",
+    text: "Con vómitos agudos de menos de 48 h y buen estado general, lo más probable es una **gastroenteritis inespecífica**\uE200cite\uE2021\uE201. Conviene descartar cuerpo extraño si hay dolor abdominal.",
+  },
+  {
+    kind: "bullet_list",
+    title: "Signos de alarma",
+    items: ["Vómitos con sangre", "Letargo marcado o deshidratación > 5 %", "Dolor abdominal a la palpación"],
+  },
+  {
+    kind: "table",
+    title: "Manejo sugerido",
+    table: {
+      columns: ["Medida", "Detalle", "Duración"],
+      rows: [
+        { cells: ["Ayuno", "Sólido; agua en pequeñas tomas", "12 h"] },
+        { cells: ["Maropitant", "1 mg/kg SC cada 24 h", "2–5 días"] },
+        ["Dieta blanda", "Pollo y arroz en raciones pequeñas", "3–5 días"],
+      ],
+      caption: "Ajustar según respuesta clínica.",
+    },
+    citations: [CHAT_CITATIONS[2], CHAT_CITATIONS[1]],
+  },
+  {
+    kind: "callout",
+    severity: "warning",
+    title: "Atención",
+    text: "Si persisten los vómitos más de 24 h con tratamiento, indicar radiografía abdominal.",
+  },
+];
+
+const STRUCTURED_SUMMARY =
+  "Probable gastroenteritis inespecífica: ayuno corto, antiemético y dieta blanda; reevaluar en 24 h.\uE200cite\uE2021\uE2022\uE201";
+
+// Clinical block kinds (send a message starting with "/clinical")
+const CLINICAL_ANSWER = [
+  {
+    kind: "facts",
+    title: "Constantes del paciente",
+    items: [
+      { label: "Peso", value: "18.4", unit: "kg" },
+      { label: "Temperatura", value: "39.4", unit: "°C", flag: "high" },
+      { label: "FC", value: "112", unit: "lpm" },
+      { label: "TRC", value: "< 2", unit: "s" },
+    ],
+  },
+  {
+    kind: "differential",
+    title: "Diagnóstico diferencial",
+    items: [
+      { name: "Gastroenteritis aguda inespecífica", probability: 0.62, rationale: "Inicio agudo, apetito conservado." },
+      { name: "Pancreatitis", probability: 0.21, rationale: "Dolor abdominal craneal a la palpación." },
+      { name: "Cuerpo extraño gastrointestinal", probability: 0.09 },
+    ],
+  },
+  {
+    kind: "lab_values",
+    title: "Bioquímica",
+    items: [
+      { name: "Lipasa pancreática (cPL)", value: 412, unit: "µg/L", low: 0, high: 200 },
+      { name: "Urea", value: 38, unit: "mg/dL", low: 20, high: 50 },
+      { name: "Potasio", value: 3.1, unit: "mmol/L", low: 3.5, high: 5.8 },
+    ],
+  },
+  {
+    kind: "dosage",
+    drug: "Cerenia",
+    active_principle: "Maropitant",
+    dose: 1,
+    dose_unit: "mg/kg",
+    route: "SC",
+    frequency: "Cada 24 h",
+    duration: "5 días",
+    notes: "18.4 kg → 1.8 ml de la solución de 10 mg/ml.",
+    citations: [{ title: "Plumb's Veterinary Drug Handbook — Maropitant", url: "https://www.plumbs.com" }],
+  },
+  {
+    kind: "checklist",
+    title: "Antes del alta",
+    items: [{ text: "Tolera agua sin vómitos", checked: true }, "Explicar dieta blanda", "Control en 24 h"],
+  },
+  {
+    kind: "section",
+    title: "Cálculo de fluidoterapia",
+    chunks: [
+      { kind: "paragraph", text: "Déficit estimado del 5 % más mantenimiento de 24 h." },
+      { kind: "code", language: "text", text: "Déficit: 18.4 kg × 0.05 × 1000 = 920 ml\nMantenimiento: 60 ml/kg/día × 18.4 = 1104 ml" },
+    ],
+  },
+];
+
+const CLINICAL_SUMMARY = "Sospecha de pancreatitis leve: cPL elevada e hipopotasemia; fluidoterapia, antiemético y control.";
+
+// Sources with problems for the citations panel: no title over plain HTTP, and a blocked domain
+const CLINICAL_CITATIONS = [
+  ...CHAT_CITATIONS,
+  { url: "http://www.vin.com/doc/?id=4952710" },
+  { title: "r/DogAdvice — perro con vómitos", url: "https://www.reddit.com/r/DogAdvice/" },
+];
+
+const PLAIN_ANSWER =
+  "Gracias por la consulta. Con la información disponible recomendaría **hidratación**, un antiemético\uE200cite\uE2023\uE201 y control en 24 horas. Si aparecen signos de alarma, acudir de inmediato.";
+
+// Assistant turn using `structured` events (the normal production path)
+export function structuredTurnScript(
+  answer = STRUCTURED_ANSWER,
+  summary = STRUCTURED_SUMMARY,
+  citations = CHAT_CITATIONS
+) {
+  const steps = [
+    { delay: 150, event: "status", data: { phase: "accepted" } },
+    { delay: 400, event: "status", data: { phase: "thinking" } },
+  ];
+  answer.forEach((chunk, index) => {
+    steps.push({ delay: 350, event: "structured", data: { index, chunk } });
+  });
+  steps.push({ delay: 250, event: "structured", data: { summary } });
+  steps.push({ delay: 150, event: "structured", data: { citations } });
+  steps.push({ delay: 150, event: "status", data: { phase: "completed" } });
+  steps.push({ delay: 50, event: "done", data: {} });
+  return {
+    steps,
+    persisted: {
+      content: "",
+      structured_chunks: answer,
+      structured_summary: summary,
+      structured_citations: citations,
+    },
+  };
+}
+
+// Assistant turn streamed as plain `message` text chunks (send a message starting with "/plain")
+export function plainTurnScript() {
+  const words = PLAIN_ANSWER.split(/(?<= )/);
+  const steps = [
+    { delay: 150, event: "status", data: { phase: "accepted" } },
+    { delay: 300, event: "status", data: { phase: "thinking" } },
+  ];
+  for (let i = 0; i < words.length; i += 3) {
+    steps.push({ delay: 120, event: "message", data: words.slice(i, i + 3).join("") });
+  }
+  steps.push({ delay: 150, event: "structured", data: { citations: CHAT_CITATIONS } });
+  steps.push({ delay: 150, event: "status", data: { phase: "completed" } });
+  steps.push({ delay: 50, event: "done", data: {} });
+  return { steps, persisted: { content: PLAIN_ANSWER, structured_citations: CHAT_CITATIONS } };
+}
+
+// Assistant turn that fails mid-way (send a message starting with "/error")
+export function errorTurnScript() {
+  return {
+    steps: [
+      { delay: 150, event: "status", data: { phase: "accepted" } },
+      { delay: 300, event: "status", data: { phase: "thinking" } },
+      { delay: 300, event: "structured", data: { index: 0, chunk: STRUCTURED_ANSWER[0] } },
+      { delay: 400, event: "error", data: { message: "mock: upstream model timeout" } },
+    ],
+    persisted: null,
+  };
+}
+
+export function chatTurnScriptFor(message = "") {
+  const text = String(message).trim().toLowerCase();
+  if (text.startsWith("/plain")) return plainTurnScript();
+  if (text.startsWith("/error")) return errorTurnScript();
+  if (text.startsWith("/clinical")) return structuredTurnScript(CLINICAL_ANSWER, CLINICAL_SUMMARY, CLINICAL_CITATIONS);
+  return structuredTurnScript();
+}
+
+/* ───────────────────── Vet Workflow runs ───────────────────── */
+export const WORKFLOW_RESULTS = {
+  diagnostics: {
+    items: [
+      { name: "Gastroenteritis aguda inespecífica", probability: 0.62, rationale: "Inicio agudo, sin fiebre, apetito conservado." },
+      { name: "Indiscreción alimentaria", probability: 0.24, rationale: "Antecedente de acceso a basura." },
+      { name: "Cuerpo extraño gastrointestinal", probability: 0.09, rationale: "Descartar si hay dolor abdominal o vómitos persistentes." },
+    ],
+  },
+  additional_exams: {
+    items: [
+      { name: "Hemograma completo", priority: "alta", indications: "Valorar deshidratación e infección." },
+      { name: "Radiografía abdominal", priority: "media", indications: "Si los vómitos persisten > 24 h." },
+      { name: "Coproparasitario", priority: "baja", indications: "Control de rutina." },
+    ],
+  },
+  prescription: {
+    items: [
+      {
+        name: "Cerenia",
+        active_principle: "Maropitant",
+        dose: 1,
+        dose_unit: "mg/kg",
+        presentation: "Solución inyectable 10 mg/ml",
+        frequency: "Cada 24 h",
+        quantity: 3,
+        quantity_unit: "dosis",
+        notes: "Vía subcutánea.",
+      },
+      {
+        name: "Omeprazol",
+        active_principle: "Omeprazol",
+        dose: 1,
+        dose_unit: "mg/kg",
+        presentation: "Cápsulas 10 mg",
+        frequency: "Cada 24 h en ayunas",
+        quantity: 7,
+        quantity_unit: "cápsulas",
+      },
+    ],
+  },
+  complementary_treatments: {
+    items: [
+      { name: "Dieta gastrointestinal", quantity: "5 días", notes: "Raciones pequeñas 4–5 veces al día." },
+      { name: "Probiótico", quantity: "1 sobre diario", notes: "Durante 7 días." },
+    ],
+  },
+};
+
+export function workflowRunScript(kind) {
+  return [
+    { delay: 200, event: "status", data: { phase: `${kind}_started` } },
+    { delay: 1200, event: "status", data: { phase: `${kind}_generating` } },
+    { delay: 1200, event: kind, data: WORKFLOW_RESULTS[kind] || { items: [] } },
+    { delay: 150, event: "status", data: { phase: `${kind}_finished` } },
+    { delay: 50, event: "done", data: { kind } },
+  ];
+}
+
+export function workflowCancelScript(kind) {
+  return [
+    { delay: 100, event: "status", data: { phase: `${kind}_cancel_requested` } },
+    { delay: 500, event: "status", data: { phase: `${kind}_cancelled` } },
+  ];
+}
+
+/* ───────────────────── Seed data ───────────────────── */
+// Follow-up consultation with `turns` question/answer pairs, one every 10 minutes,
+// long enough to need history pagination
+function longConsultation(turns) {
+  const msgs = [];
+  for (let i = 0; i < turns; i++) {
+    const minutesAgo = (turns - i) * 10;
+    msgs.push({ role: "user", content: `Control ${i + 1}: ¿cómo sigue la glucemia de Luna?`, minutesAgo });
+    msgs.push({
+      role: "assistant",
+      content: `Registro ${i + 1}: curva estable. Mantener **insulina glargina** a la misma dosis y repetir control en 7 días.`,
+      minutesAgo: minutesAgo - 1,
+    });
+  }
+  return msgs;
+}
+
+export const SEED_CONSULTATIONS = {
+  "demo-887scv": [
+    { role: "user", content: "Perro de 4 años con vómitos desde ayer, ¿qué recomiendas?", minutesAgo: 30 },
+    {
+      role: "assistant",
+      content: "",
+      structured_chunks: STRUCTURED_ANSWER,
+      structured_summary: STRUCTURED_SUMMARY,
+      structured_citations: CHAT_CITATIONS,
+      minutesAgo: 29,
+    },
+  ],
+  "demo-cat-412": [
+    { role: "user", content: "Gata de 12 años, bebe mucha agua y ha perdido peso. ¿Qué pruebas pedirías?", minutesAgo: 60 * 26 },
+    {
+      role: "assistant",
+      content:
+        "Pediría **bioquímica completa con SDMA**, T4 total, urianálisis con densidad y glucemia. La poliuria/polidipsia con pérdida de peso en una gata geriátrica apunta a enfermedad renal crónica, hipertiroidismo o diabetes.",
+      minutesAgo: 60 * 26 - 1,
+    },
+    { role: "user", content: "La T4 sale alta. ¿Tratamiento de inicio?", minutesAgo: 60 * 2 },
+    {
+      role: "assistant",
+      content: "Metimazol a dosis baja con control de T4 y función renal a las 2–3 semanas antes de plantear tratamiento definitivo.",
+      minutesAgo: 60 * 2 - 1,
+    },
+  ],
+  "demo-long-history": longConsultation(400),
+  "demo-rabbit-05": [
+    { role: "user", content: "Conejo que no come desde esta mañana y no hace heces.", minutesAgo: 60 * 24 * 3 },
+    {
+      role: "assistant",
+      content: "Es una **urgencia**: sospecha de estasis gastrointestinal. Analgesia, fluidoterapia, procinéticos si no hay obstrucción y alimentación asistida.",
+      minutesAgo: 60 * 24 * 3 - 1,
+    },
+  ],
+};
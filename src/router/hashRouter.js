@@ -0,0 +1,73 @@
+// src/router/hashRouter.js
+// Minimal hash router for shareable deep links:
+//   #/chat/{consultationId}
+//   #/workflow/{sessionId}/{workflow|explorer}
+// Routes are plain objects { tab, id, view }; missing parts are null and each
+// tester applies its own default. The query string (?env=…) is left alone.
+
+export const TESTER_TABS = ["chat", "workflow"];
+export const WORKFLOW_VIEWS = ["workflow", "explorer"];
+
+const decode = (part) => {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return part;
+  }
+};
+
+export function parseHash(hash = "") {
+  const parts = String(hash).replace(/^#\/?/, "").split("/").filter(Boolean).map(decode);
+  const [tab, id = null, view = null] = parts;
+  if (!TESTER_TABS.includes(tab)) return { tab: null, id: null, view: null };
+  return {
+    tab,
+    id: id || null,
+    view: tab === "workflow" && WORKFLOW_VIEWS.includes(view) ? view : null,
+  };
+}
+
+export function formatRoute({ tab, id, view } = {}) {
+  if (!TESTER_TABS.includes(tab)) return "#/";
+  let hash = `#/${tab}`;
+  if (id) hash += `/${encodeURIComponent(id)}`;
+  if (id && view && tab === "workflow") hash += `/${view}`;
+  return hash;
+}
+
+/* ───────────────────── Store ───────────────────── */
+const subscribers = new Set();
+let current = parseHash(typeof window === "undefined" ? "" : window.location.hash);
+
+const sync = () => {
+  const next = parseHash(window.location.hash);
+  if (formatRoute(next) === formatRoute(current)) return;
+  current = next;
+  for (const fn of Array.from(subscribers)) fn();
+};
+
+export const getRoute = () => current;
+
+export function subscribeRoute(fn) {
+  if (!subscribers.size) window.addEventListener("hashchange", sync);
+  subscribers.add(fn);
+  return () => {
+    subscribers.delete(fn);
+    if (!subscribers.size) window.removeEventListener("hashchange", sync);
+  };
+}
+
+// Pushes a history entry (back/forward work); `replace` rewrites the current one,
+// e.g. while an id is being typed
+export function navigate(route, { replace = false } = {}) {
+  const hash = formatRoute(route);
+  if (hash === window.location.hash) return;
+  if (replace) {
+    const url = new URL(window.location.href);
+    url.hash = hash;
+    window.history.replaceState(window.history.state, "", url);
+    sync(); // replaceState doesn't fire hashchange
+  } else {
+    window.location.hash = hash;
+  }
+}
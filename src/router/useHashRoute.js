@@ -0,0 +1,7 @@
+// src/router/useHashRoute.js
+import { useSyncExternalStore } from "react";
+import { getRoute, subscribeRoute } from "./hashRouter.js";
+
+export function useHashRoute() {
+  return useSyncExternalStore(subscribeRoute, getRoute, getRoute);
+}
@@ -0,0 +1,207 @@
+// src/stream/sseClient.js
+// fetch + ReadableStream based Server-Sent Events client.
+// Unlike the native EventSource it can send arbitrary headers (bearer token,
+// x-refresh-token, Last-Event-ID), so the relay can require auth.
+
+export const READY_STATE = { CONNECTING: 0, OPEN: 1, CLOSED: 2 };
+
+/* ───────────────────── Wire-format parser ───────────────────── */
+// Incremental parser for the text/event-stream format. Feed it decoded text
+// with push(); it calls onEvent({ type, data, lastEventId }) per dispatched
+// event and onRetry(ms) whenever the server sends a `retry:` field.
+export function createSSEParser({ onEvent, onRetry } = {}) {
+  let buffer = "";
+  let eventType = "";
+  let data = "";
+  let hasData = false;
+  let lastEventId = "";
+  let pendingCR = false; // input so far ended in "\r": a "\n" up next is its other half
+
+  const dispatch = () => {
+    if (!hasData) {
+      eventType = "";
+      return;
+    }
+    const evt = {
+      type: eventType || "message",
+      data: data.endsWith("\n") ? data.slice(0, -1) : data,
+      lastEventId,
+    };
+    eventType = "";
+    data = "";
+    hasData = false;
+    onEvent?.(evt);
+  };
+
+  const processLine = (line) => {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) return; // comment / heartbeat
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "event") eventType = value;
+    else if (field === "data") {
+      data += `${value}\n`;
+      hasData = true;
+    } else if (field === "id") {
+      if (!value.includes("\0")) lastEventId = value;
+    } else if (field === "retry") {
+      if (/^\d+$/.test(value)) onRetry?.(Number(value));
+    }
+  };
+
+  // A trailing "\r" ends its line right away, so CR-only streams dispatch without
+  // waiting for the next chunk; a "\n" that then opens the next chunk is skipped.
+  const push = (text) => {
+    if (!text) return;
+    buffer += text;
+    if (pendingCR && buffer.startsWith("\n")) buffer = buffer.slice(1);
+    pendingCR = false;
+    const re = /\r\n|\r|\n/g;
+    let start = 0;
+    let m;
+    while ((m = re.exec(buffer))) {
+      processLine(buffer.slice(start, m.index));
+      start = m.index + m[0].length;
+      pendingCR = m[0] === "\r" && start === buffer.length;
+    }
+    buffer = buffer.slice(start);
+  };
+
+  // End of stream: a partially received event is discarded, per spec.
+  const reset = () => {
+    buffer = "";
+    eventType = "";
+    data = "";
+    hasData = false;
+    pendingCR = false;
+  };
+
+  return {
+    push,
+    reset,
+    get lastEventId() {
+      return lastEventId;
+    },
+  };
+}
+
+/* ───────────────────── EventSource-compatible client ───────────────────── */
+// Mirrors the EventSource surface the testers already use (onopen, onmessage,
+// onerror, addEventListener, close, readyState) so it is a drop-in swap.
+// It does NOT reconnect on its own: callers own the retry policy and pass the
+// previous `lastEventId` back in to resume.
+//
+//   getHeaders  – () => headers object, read on connect (tokens may rotate)
+//   lastEventId – sent as Last-Event-ID so the relay can replay missed events
+export function createAuthEventSource(url, { getHeaders, lastEventId = "", fetchImpl } = {}) {
+  const listeners = new Map();
+  const controller = new AbortController();
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+
+  const source = {
+    url,
+    readyState: READY_STATE.CONNECTING,
+    lastEventId: lastEventId || "",
+    retry: null,
+    status: null,
+    onopen: null,
+    onmessage: null,
+    onerror: null,
+    onprogress: null, // any bytes received, including `:` heartbeat comments
+    addEventListener(type, cb) {
+      let set = listeners.get(type);
+      if (!set) {
+        set = new Set();
+        listeners.set(type, set);
+      }
+      set.add(cb);
+    },
+    removeEventListener(type, cb) {
+      listeners.get(type)?.delete(cb);
+    },
+    close() {
+      if (source.readyState === READY_STATE.CLOSED) return;
+      source.readyState = READY_STATE.CLOSED;
+      controller.abort();
+    },
+  };
+
+  const fire = (type, evt) => {
+    if (type === "message" && typeof source.onmessage === "function") source.onmessage(evt);
+    const set = listeners.get(type);
+    if (set) for (const cb of Array.from(set)) cb(evt);
+  };
+
+  const fail = (error) => {
+    if (source.readyState === READY_STATE.CLOSED) return;
+    source.readyState = READY_STATE.CLOSED;
+    controller.abort();
+    if (typeof source.onerror === "function") {
+      source.onerror({ type: "error", error, status: source.status });
+    }
+  };
+
+  const parser = createSSEParser({
+    onEvent: (evt) => {
+      if (source.readyState !== READY_STATE.OPEN) return;
+      source.lastEventId = evt.lastEventId;
+      fire(evt.type, { ...evt, target: source });
+    },
+    onRetry: (ms) => {
+      source.retry = ms;
+    },
+  });
+
+  const run = async () => {
+    const headers = new Headers(getHeaders?.() || {});
+    headers.set("accept", "text/event-stream");
+    headers.set("cache-control", "no-cache");
+    if (source.lastEventId) headers.set("last-event-id", source.lastEventId);
+
+    const res = await doFetch(url, {
+      method: "GET",
+      headers,
+      cache: "no-store",
+      signal: controller.signal,
+    });
+    source.status = res.status;
+
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const ctype = res.headers.get("content-type") || "";
+    if (!ctype.includes("text/event-stream")) throw new Error(`Unexpected content-type: ${ctype || "none"}`);
+    if (!res.body) throw new Error("Response has no body");
+    if (source.readyState === READY_STATE.CLOSED) return;
+
+    source.readyState = READY_STATE.OPEN;
+    if (typeof source.onopen === "function") source.onopen({ type: "open", target: source });
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      if (typeof source.onprogress === "function") source.onprogress();
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.reset();
+    throw new Error("Stream ended");
+  };
+
+  // Defer so callers can attach handlers right after construction, like EventSource.
+  Promise.resolve()
+    .then(run)
+    .catch((err) => {
+      if (controller.signal.aborted && source.readyState === READY_STATE.CLOSED) return;
+      fail(err);
+    });
+
+  return source;
+}
@@ -0,0 +1,44 @@
+// src/stream/sseClient.test.js
+// Line endings and chunk boundaries in the text/event-stream parser.
+import { describe, expect, it } from "vitest";
+import { createSSEParser } from "./sseClient.js";
+
+// Feeds the chunks in order; returns [type, data] per dispatched event
+const parse = (...chunks) => {
+  const events = [];
+  const parser = createSSEParser({ onEvent: (evt) => events.push([evt.type, evt.data]) });
+  for (const chunk of chunks) parser.push(chunk);
+  return events;
+};
+
+describe("createSSEParser line endings", () => {
+  it("splits LF and CRLF streams", () => {
+    expect(parse("event: status\ndata: a\n\n", "data: b\r\n\r\n")).toEqual([
+      ["status", "a"],
+      ["message", "b"],
+    ]);
+  });
+
+  it("splits a CR-only stream, including its empty lines", () => {
+    expect(parse("data: a\r\rdata: b\rdata: c\r\r")).toEqual([
+      ["message", "a"],
+      ["message", "b\nc"],
+    ]);
+  });
+
+  it("dispatches a CR-only event whose blank line ends the chunk", () => {
+    const events = [];
+    const parser = createSSEParser({ onEvent: (evt) => events.push(evt.data) });
+    parser.push("data: a\r\r");
+    expect(events).toEqual(["a"]);
+  });
+
+  it("reads a CRLF split across chunks as one line ending", () => {
+    expect(parse("data: a\r", "\n\r", "\n")).toEqual([["message", "a"]]);
+    expect(parse("data: a\r", "\ndata: b\r", "\n\r\n")).toEqual([["message", "a\nb"]]);
+  });
+
+  it("keeps a CR-only line ending split from the next line", () => {
+    expect(parse("data: a\r", "data: b\r", "\r")).toEqual([["message", "a\nb"]]);
+  });
+});
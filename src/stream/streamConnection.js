@@ -0,0 +1,259 @@
+// src/stream/streamConnection.js
+// Framework-free relay stream: owns one SSE connection plus the reconnect
+// policy (jittered exponential backoff, max attempts, idle timeout) and a
+// uniform status. React code goes through useEventStream.js.
+import { STREAM_DEFAULTS } from "../config.jsx";
+import { createAuthEventSource } from "./sseClient.js";
+import { recordStreamEvent, recordStreamOpen, recordStreamUpdate } from "../inspector/networkLog.js";
+
+export const STREAM_STATUS = {
+  IDLE: "idle",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  FAILED: "failed",
+};
+
+/* ───────────────────── Payload parsers ───────────────────── */
+export const parseJSON = (d) => {
+  try {
+    return JSON.parse(d || "{}");
+  } catch {
+    return {};
+  }
+};
+export const parseText = (d) => d ?? "";
+// Some relays wrap payloads as { data: {...} }
+export const parseJSONUnwrap = (d) => {
+  const payload = parseJSON(d);
+  return payload && payload.data ? payload.data : payload;
+};
+
+const PARSERS = { json: parseJSON, text: parseText, none: () => ({}) };
+
+/* ───────────────────── Event registries ───────────────────── */
+// A registry maps SSE event names to payload parsers. Values may be "json",
+// "text", "none" or a custom (raw) => payload function. Registries are
+// immutable; extend() returns a new one so testers can layer their own events.
+export function createEventRegistry(defs = {}) {
+  const entries = new Map();
+  for (const [name, parser] of Object.entries(defs)) {
+    const fn = typeof parser === "function" ? parser : PARSERS[parser];
+    if (!fn) throw new Error(`Unknown parser "${parser}" for event "${name}"`);
+    entries.set(name, fn);
+  }
+  return {
+    names: () => Array.from(entries.keys()),
+    parse: (name, raw) => (entries.get(name) || parseText)(raw),
+    has: (name) => entries.has(name),
+    extend: (more) => createEventRegistry({ ...Object.fromEntries(entries), ...more }),
+  };
+}
+
+// Events every relay feed may send
+export const BASE_EVENTS = createEventRegistry({
+  message: "text",
+  ready: "none",
+  status: "json",
+  done: "json",
+  error: "json",
+});
+
+/* ───────────────────── Backoff ───────────────────── */
+export function computeBackoff(attempt, opts = {}) {
+  const { baseDelayMs, maxDelayMs, jitter } = { ...STREAM_DEFAULTS, ...opts };
+  const raw = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+  const spread = raw * jitter;
+  return Math.max(0, Math.round(raw - spread + Math.random() * spread * 2));
+}
+
+/* ───────────────────── Connection ───────────────────── */
+// Options:
+//   url          – string, or () => string (evaluated on every connect)
+//   getHeaders   – () => headers (auth), evaluated on every connect
+//   events       – registry from createEventRegistry()
+//   onEvent      – (name, payload, rawEvent) => void
+//   onOpen       – ({ reconnected }) => void | Promise; a throw is reported through onStatus
+//   onStatus     – (status, { attempt, error }) => void
+//   onUnauthorized – () => Promise, awaited before reconnecting after a 401
+//   cacheBust    – append ?v=<timestamp> to the url (default true)
+//   openSource   – factory used to open the stream (default createAuthEventSource)
+//   trace        – record the stream in the network inspector (default true; off for replays)
+//   + any STREAM_DEFAULTS key to override the policy
+export function createStreamConnection(options) {
+  const {
+    url,
+    getHeaders,
+    events = BASE_EVENTS,
+    onEvent,
+    onOpen,
+    onStatus,
+    onUnauthorized,
+    cacheBust = true,
+    openSource = createAuthEventSource,
+    trace = true,
+    ...policyOverrides
+  } = options;
+  const policy = { ...STREAM_DEFAULTS, ...policyOverrides };
+
+  let source = null;
+  let status = STREAM_STATUS.IDLE;
+  let attempt = 0;
+  let everConnected = false;
+  let lastEventId = "";
+  let lastError = null;
+  let retryTimer = null;
+  let idleTimer = null;
+  let stopped = true;
+  let traceId = null; // network inspector record for the current attempt
+
+  const setStatus = (next) => {
+    status = next;
+    onStatus?.(next, { attempt, error: lastError });
+  };
+
+  const resolveUrl = () => {
+    const base = typeof url === "function" ? url() : url;
+    if (!cacheBust) return base;
+    return `${base}${base.includes("?") ? "&" : "?"}v=${Date.now()}`;
+  };
+
+  const clearTimers = () => {
+    clearTimeout(retryTimer);
+    clearTimeout(idleTimer);
+    retryTimer = null;
+    idleTimer = null;
+  };
+
+  const closeSource = () => {
+    if (!source) return;
+    recordStreamUpdate(traceId, { closedAt: Date.now() });
+    lastEventId = source.lastEventId || lastEventId;
+    try {
+      source.close();
+    } catch {
+      // already closed
+    }
+    source = null;
+  };
+
+  const armIdleTimer = () => {
+    clearTimeout(idleTimer);
+    if (!policy.idleTimeoutMs || policy.idleTimeoutMs <= 0) return;
+    idleTimer = setTimeout(() => {
+      scheduleReconnect(new Error(`No data for ${Math.round(policy.idleTimeoutMs / 1000)}s`));
+    }, policy.idleTimeoutMs);
+  };
+
+  function scheduleReconnect(error) {
+    if (stopped) return;
+    lastError = error || null;
+    closeSource();
+    clearTimers();
+    attempt += 1;
+    if (policy.maxAttempts > 0 && attempt > policy.maxAttempts) {
+      setStatus(STREAM_STATUS.FAILED);
+      return;
+    }
+    setStatus(STREAM_STATUS.RECONNECTING);
+    retryTimer = setTimeout(connect, computeBackoff(attempt, policy));
+  }
+
+  function connect() {
+    if (stopped) return;
+    closeSource();
+    if (attempt === 0) setStatus(STREAM_STATUS.CONNECTING);
+
+    const target = resolveUrl();
+    traceId = trace ? recordStreamOpen({ url: target, headers: getHeaders?.() }) : null;
+    const es = openSource(target, { getHeaders, lastEventId });
+    source = es;
+    const esTraceId = traceId;
+
+    es.onopen = async () => {
+      if (source !== es) return;
+      const reconnected = everConnected;
+      everConnected = true;
+      attempt = 0;
+      lastError = null;
+      recordStreamUpdate(esTraceId, { status: es.status, openedAt: Date.now() });
+      armIdleTimer();
+      setStatus(STREAM_STATUS.CONNECTED);
+      try {
+        await onOpen?.({ reconnected });
+      } catch (err) {
+        // The stream itself is up: stay connected and report the failure as lastError
+        if (source !== es) return;
+        lastError = err instanceof Error ? err : new Error(String(err));
+        setStatus(STREAM_STATUS.CONNECTED);
+      }
+    };
+    es.onprogress = () => {
+      if (source === es) armIdleTimer();
+    };
+    es.onerror = (evt) => {
+      if (source !== es) return;
+      const error = evt?.error || new Error("Stream error");
+      recordStreamUpdate(esTraceId, { status: es.status, error: error.message });
+      if (es.status === 401 && onUnauthorized) {
+        // Let the auth layer refresh first; getHeaders() picks up the new token on reconnect
+        closeSource();
+        Promise.resolve()
+          .then(onUnauthorized)
+          .catch(() => {})
+          .then(() => {
+            if (!source) scheduleReconnect(error);
+          });
+        return;
+      }
+      scheduleReconnect(error);
+    };
+
+    const dispatch = (name) => (e) => {
+      if (source !== es) return;
+      if (esTraceId) recordStreamEvent(esTraceId, { event: name, data: e?.data, lastEventId: e?.lastEventId });
+      onEvent?.(name, events.parse(name, e?.data), e);
+    };
+    for (const name of events.names()) {
+      if (name === "message") es.onmessage = dispatch(name);
+      else es.addEventListener(name, dispatch(name));
+    }
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      attempt = 0;
+      lastError = null;
+      connect();
+    },
+    stop() {
+      stopped = true;
+      clearTimers();
+      closeSource();
+      attempt = 0;
+      setStatus(STREAM_STATUS.IDLE);
+    },
+    // Manual retry (e.g. after "failed"): resets the attempt counter
+    retryNow() {
+      stopped = false;
+      clearTimers();
+      attempt = 0;
+      lastError = null;
+      connect();
+    },
+    get status() {
+      return status;
+    },
+    get attempt() {
+      return attempt;
+    },
+    get lastError() {
+      return lastError;
+    },
+    get lastEventId() {
+      return source?.lastEventId || lastEventId;
+    },
+  };
+}
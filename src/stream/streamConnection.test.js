@@ -0,0 +1,73 @@
+// src/stream/streamConnection.test.js
+// What the connection reports when onOpen fails, and what it leaves in the network inspector.
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { clearNetworkLog, getNetworkRecords } from "../inspector/networkLog.js";
+import { STREAM_STATUS, createStreamConnection } from "./streamConnection.js";
+
+// Transport stand-in that opens on the next tick
+const openingSource = () => {
+  const listeners = {};
+  const es = {
+    status: 200,
+    lastEventId: "",
+    addEventListener: (name, cb) => (listeners[name] = cb),
+    emit: (name, data) => listeners[name]?.({ data, lastEventId: "" }),
+    close() {},
+  };
+  queueMicrotask(() => es.onopen?.());
+  return es;
+};
+
+afterEach(() => clearNetworkLog());
+
+describe("createStreamConnection onOpen failures", () => {
+  it("stays connected and reports the error through onStatus", async () => {
+    const statuses = [];
+    const conn = createStreamConnection({
+      url: "https://relay.example.test/vet-chat-stream/c1",
+      openSource: openingSource,
+      idleTimeoutMs: 0,
+      onOpen: async () => {
+        throw new Error("Failed to load history");
+      },
+      onStatus: (status, { error }) => statuses.push([status, error?.message ?? null]),
+    });
+    conn.start();
+    await vi.waitFor(() => expect(statuses).toHaveLength(3));
+    expect(conn.status).toBe(STREAM_STATUS.CONNECTED);
+    conn.stop();
+
+    expect(statuses.slice(0, 3)).toEqual([
+      [STREAM_STATUS.CONNECTING, null],
+      [STREAM_STATUS.CONNECTED, null],
+      [STREAM_STATUS.CONNECTED, "Failed to load history"],
+    ]);
+  });
+});
+
+describe("createStreamConnection tracing", () => {
+  // Opens a connection, delivers one status event and returns the inspector records
+  const recordsFor = async (options) => {
+    let source;
+    const conn = createStreamConnection({
+      url: "https://relay.example.test/vet-chat-stream/c1",
+      openSource: (...args) => (source = openingSource(...args)),
+      idleTimeoutMs: 0,
+      ...options,
+    });
+    conn.start();
+    await vi.waitFor(() => expect(conn.status).toBe(STREAM_STATUS.CONNECTED));
+    source.emit("status", '{"phase":"started"}');
+    conn.stop();
+    return getNetworkRecords();
+  };
+
+  it("records live streams and their events", async () => {
+    const records = await recordsFor({});
+    expect(records.map((r) => r.kind)).toEqual(["stream", "sse"]);
+  });
+
+  it("records nothing when tracing is off, as for replays", async () => {
+    expect(await recordsFor({ trace: false })).toEqual([]);
+  });
+});
@@ -0,0 +1,195 @@
+// src/stream/streamReplay.js
+// Record relay SSE traffic to a file and play it back without a backend.
+// A player exposes `openSource`, an EventSource-compatible factory that
+// createStreamConnection accepts in place of createAuthEventSource, so replayed
+// events reach SSEProvider listeners / the chat handlers through the same path
+// as live ones.
+import { READY_STATE } from "./sseClient.js";
+
+export const RECORDING_FORMAT = "vet-tester-stream-recording";
+
+/* ───────────────────── Recorder ───────────────────── */
+export function createStreamRecorder({ channel, targetId }) {
+  const startedAt = Date.now();
+  const events = [];
+  return {
+    record(event, data, id) {
+      events.push({ t: Date.now() - startedAt, event, data: data ?? "", id: id || undefined });
+    },
+    get count() {
+      return events.length;
+    },
+    finish() {
+      return {
+        format: RECORDING_FORMAT,
+        version: 1,
+        channel,
+        targetId,
+        recordedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        events: events.slice(),
+      };
+    },
+  };
+}
+
+/* ───────────────────── Loading ───────────────────── */
+// Accepts a recording, or a capture bundle exported from the network
+// inspector (harExport.buildBundle) — in that case the streams for `channel`
+// are concatenated.
+export function parseRecording(text, { channel } = {}) {
+  let doc;
+  try {
+    doc = typeof text === "string" ? JSON.parse(text) : text;
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+
+  if (doc?.format === RECORDING_FORMAT) {
+    if (!Array.isArray(doc.events)) throw new Error("Recording has no events");
+    if (channel && doc.channel && doc.channel !== channel) {
+      throw new Error(`Recording is for ${doc.channel}, not ${channel}`);
+    }
+    return doc;
+  }
+
+  if (doc?.format === "vet-tester-capture" && Array.isArray(doc.streams)) {
+    const streams = doc.streams.filter((s) => !channel || s.url?.includes(`/${channel}/`));
+    if (!streams.length) throw new Error(channel ? `Capture has no ${channel} streams` : "Capture has no streams");
+    const base = Date.parse(streams[0].openedAt || streams[0].at);
+    const events = streams.flatMap((s) => {
+      const offset = Date.parse(s.openedAt || s.at) - base;
+      return (s.events || []).map((e) => ({ t: offset + e.t, event: e.event, data: e.data, id: e.id }));
+    });
+    return {
+      format: RECORDING_FORMAT,
+      version: 1,
+      channel,
+      targetId: streams[0].sessionId,
+      recordedAt: streams[0].at,
+      durationMs: events.at(-1)?.t || 0,
+      events,
+    };
+  }
+
+  throw new Error("Unrecognised file: expected a stream recording or a capture bundle");
+}
+
+/* ───────────────────── Player ───────────────────── */
+// speed: 1 = original timing, >1 accelerated. stepMode: events only advance on step().
+export function createReplayPlayer(recording, { speed = 1, stepMode = false } = {}) {
+  const events = recording.events || [];
+  const subscribers = new Set();
+  let position = 0; // index of the next event to emit
+  let playing = !stepMode;
+  let currentSpeed = speed;
+  let timer = null;
+  let source = null;
+
+  const snapshot = () => ({
+    position,
+    total: events.length,
+    playing,
+    speed: currentSpeed,
+    finished: position >= events.length,
+  });
+  let state = snapshot();
+  const notify = () => {
+    state = snapshot();
+    for (const fn of Array.from(subscribers)) fn();
+  };
+
+  const emitNext = () => {
+    if (!source || source.readyState !== READY_STATE.OPEN || position >= events.length) return false;
+    const e = events[position++];
+    source.lastEventId = e.id || source.lastEventId;
+    source.dispatch(e.event, { type: e.event, data: e.data, lastEventId: e.id || "" });
+    return true;
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!playing || !source || position >= events.length) {
+      if (position >= events.length) playing = false;
+      notify();
+      return;
+    }
+    const prevT = position > 0 ? events[position - 1].t : 0;
+    const gap = Math.max(0, (events[position].t - prevT) / currentSpeed);
+    timer = setTimeout(() => {
+      emitNext();
+      schedule();
+    }, gap);
+    notify();
+  };
+
+  // EventSource-compatible factory for createStreamConnection({ openSource })
+  const openSource = (url) => {
+    const listeners = new Map();
+    const es = {
+      url,
+      readyState: READY_STATE.CONNECTING,
+      lastEventId: "",
+      status: 200,
+      onopen: null,
+      onmessage: null,
+      onerror: null,
+      onprogress: null,
+      addEventListener(type, cb) {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(cb);
+      },
+      removeEventListener(type, cb) {
+        listeners.get(type)?.delete(cb);
+      },
+      close() {
+        es.readyState = READY_STATE.CLOSED;
+        if (source === es) {
+          source = null;
+          clearTimeout(timer);
+        }
+      },
+      dispatch(type, evt) {
+        if (type === "message" && typeof es.onmessage === "function") es.onmessage(evt);
+        const set = listeners.get(type);
+        if (set) for (const cb of Array.from(set)) cb(evt);
+      },
+    };
+    source = es;
+    Promise.resolve().then(() => {
+      if (es.readyState === READY_STATE.CLOSED) return;
+      es.readyState = READY_STATE.OPEN;
+      es.onopen?.({ type: "open", target: es });
+      schedule();
+    });
+    return es;
+  };
+
+  return {
+    openSource,
+    play() {
+      if (position >= events.length) return;
+      playing = true;
+      schedule();
+    },
+    pause() {
+      playing = false;
+      schedule();
+    },
+    step() {
+      playing = false;
+      emitNext();
+      schedule();
+    },
+    setSpeed(next) {
+      currentSpeed = next > 0 ? next : 1;
+      schedule();
+    },
+    getState: () => state,
+    subscribe(fn) {
+      subscribers.add(fn);
+      return () => subscribers.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,64 @@
+// src/stream/useEventStream.js
+// React binding for createStreamConnection. The connection is (re)created when
+// `url` or `enabled` changes; callbacks are read through refs so handlers can
+// close over fresh state without tearing the stream down. Passing `openSource`
+// (e.g. a replay player's) swaps the transport; the stream restarts when it changes.
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "../auth/AuthContext.jsx";
+import { BASE_EVENTS, STREAM_STATUS, createStreamConnection } from "./streamConnection.js";
+
+export function useEventStream({
+  url,
+  enabled = true,
+  events = BASE_EVENTS,
+  onEvent,
+  onOpen,
+  openSource,
+  ...policy
+}) {
+  const { getAuthHeaders, refreshSession } = useAuth();
+  const [status, setStatus] = useState(STREAM_STATUS.IDLE);
+  const [attempt, setAttempt] = useState(0);
+  const [lastError, setLastError] = useState(null);
+  const connRef = useRef(null);
+
+  const handlersRef = useRef({ onEvent, onOpen });
+  useEffect(() => {
+    handlersRef.current = { onEvent, onOpen };
+  });
+
+  // Policy is captured per connection; serialise so inline objects don't reconnect.
+  const policyKey = JSON.stringify(policy);
+
+  useEffect(() => {
+    if (!enabled || !url) {
+      setStatus(STREAM_STATUS.IDLE);
+      return;
+    }
+    const conn = createStreamConnection({
+      url,
+      getHeaders: getAuthHeaders,
+      events,
+      ...JSON.parse(policyKey),
+      ...(openSource ? { openSource } : {}),
+      onEvent: (name, payload, raw) => handlersRef.current.onEvent?.(name, payload, raw),
+      onOpen: (info) => handlersRef.current.onOpen?.(info),
+      onUnauthorized: refreshSession,
+      onStatus: (next, info) => {
+        setStatus(next);
+        setAttempt(info.attempt);
+        setLastError(info.error?.message || null);
+      },
+    });
+    connRef.current = conn;
+    conn.start();
+    return () => {
+      conn.stop();
+      if (connRef.current === conn) connRef.current = null;
+    };
+  }, [url, enabled, events, policyKey, getAuthHeaders, refreshSession, openSource]);
+
+  const retry = useCallback(() => connRef.current?.retryNow(), []);
+
+  return { status, attempt, lastError, retry, connectionRef: connRef };
+}
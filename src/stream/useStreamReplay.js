@@ -0,0 +1,89 @@
+// src/stream/useStreamReplay.js
+// Per-tester record/replay state. Feed live events through capture(); spread
+// streamOptions into useEventStream so a loaded recording replaces the relay.
+import { useCallback, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import { downloadText, fileStamp } from "../utils/download.js";
+import { createReplayPlayer, createStreamRecorder, parseRecording } from "./streamReplay.js";
+
+const noopSubscribe = () => () => {};
+const noState = () => null;
+
+export function useStreamReplay({ channel, targetId }) {
+  const recorderRef = useRef(null);
+  const [recordedCount, setRecordedCount] = useState(null); // null = not recording
+  const [player, setPlayer] = useState(null);
+  const [error, setError] = useState(null);
+
+  const playerState = useSyncExternalStore(
+    player ? player.subscribe : noopSubscribe,
+    player ? player.getState : noState
+  );
+
+  const capture = useCallback(
+    (name, raw) => {
+      const rec = recorderRef.current;
+      if (!rec || player) return;
+      rec.record(name, raw?.data, raw?.lastEventId);
+      setRecordedCount(rec.count);
+    },
+    [player]
+  );
+
+  const startRecording = useCallback(() => {
+    setError(null);
+    recorderRef.current = createStreamRecorder({ channel, targetId });
+    setRecordedCount(0);
+  }, [channel, targetId]);
+
+  const stopRecording = useCallback(() => {
+    const rec = recorderRef.current;
+    recorderRef.current = null;
+    setRecordedCount(null);
+    if (!rec) return;
+    const recording = rec.finish();
+    const safeId = String(targetId || "stream").replace(/[^\w.-]+/g, "_");
+    downloadText(`${channel}-${safeId}-${fileStamp()}.json`, JSON.stringify(recording, null, 2));
+  }, [channel, targetId]);
+
+  const loadFile = useCallback(
+    async (file, { speed = 1, stepMode = false } = {}) => {
+      setError(null);
+      try {
+        const recording = parseRecording(await file.text(), { channel });
+        recorderRef.current = null;
+        setRecordedCount(null);
+        setPlayer(createReplayPlayer(recording, { speed, stepMode }));
+      } catch (err) {
+        setError(err?.message || "Could not load recording");
+      }
+    },
+    [channel]
+  );
+
+  const exitReplay = useCallback(() => setPlayer(null), []);
+
+  // Replay: no cache buster, no idle timeout (step mode may sit still), no reconnect
+  // loop, and nothing in the network inspector: the events are not real traffic
+  const streamOptions = useMemo(
+    () =>
+      player
+        ? { openSource: player.openSource, cacheBust: false, idleTimeoutMs: 0, maxAttempts: 1, trace: false }
+        : {},
+    [player]
+  );
+
+  return {
+    isReplaying: Boolean(player),
+    isRecording: recordedCount !== null,
+    recordedCount,
+    player,
+    playerState,
+    error,
+    capture,
+    startRecording,
+    stopRecording,
+    loadFile,
+    exitReplay,
+    streamOptions,
+  };
+}
@@ -1,10 +1,39 @@
 // src/testers/VetChatTester.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
 import { marked } from "marked";
 import DOMPurify from "dompurify";
-import { RELAY_BASE } from "../config";
 import { useAuth } from "../auth/AuthContext.jsx";
+import { CHAT_MAX_STREAMS } from "../config.jsx";
+import ConsultationBrowser from "../components/ConsultationBrowser.jsx";
 import LoginBox from "../components/LoginBox.jsx";
+import { BASE_EVENTS, parseJSONUnwrap } from "../stream/streamConnection.js";
+import { useEventStream } from "../stream/useEventStream.js";
+import { useStreamReplay } from "../stream/useStreamReplay.js";
+import StreamReplayBar from "../components/StreamReplayBar.jsx";
+import StructuredEventInspector from "../components/StructuredEventInspector.jsx";
+import ContractReport from "../components/ContractReport.jsx";
+import CitationPanel from "../components/CitationPanel.jsx";
+import {
+  Checklist,
+  CodeBlock,
+  CollapsibleSection,
+  DifferentialList,
+  DosageCard,
+  FactSheet,
+  LabValues,
+} from "../components/ClinicalBlocks.jsx";
+import { normaliseClinical } from "../chat/clinicalBlocks.js";
+import { navigate } from "../router/hashRouter.js";
+import { useHashRoute } from "../router/useHashRoute.js";
+import { useVirtualList } from "../utils/useVirtualList.js";
+import { CHAT_EVENT, chatEvent, chatReducer, createChatState, stripInternalCites } from "../chat/chatReducer.js";
+import { citationPreview, dropPartialCite, matchChunkCitation, replaceCiteTokens } from "../chat/citations.js";
+import { collectCitations } from "../chat/citationQuality.js";
+import { ratingsFor } from "../chat/citationReview.js";
+import { newClientMessageId } from "../chat/reconcile.js";
+import { buildTranscript, transcriptToHtml, transcriptToMarkdown } from "../chat/transcriptExport.js";
+import { parseTranscriptFile } from "../chat/transcriptImport.js";
+import { downloadText, fileStamp } from "../utils/download.js";
 
 /* ───────────────────── Markdown helpers ───────────────────── */
 marked.setOptions({ gfm: true, breaks: true });
@@ -16,13 +45,60 @@ const mdToHtml = (s = "") =>
 const escapeHtml = (s = "") =>
   String(s).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
 
-// Strip any internal hidden-cite tokens if they ever slip through
-const INTERNAL_CITE_RE = /\uE200cite\uE202[\s\S]*?\uE201/g;
-const stripInternalCites = (s = "") => String(s).replace(INTERNAL_CITE_RE, "");
 
 /* ───────────────────── Citations ───────────────────── */
-function PerChunkCites({ citations = [] }) {
+// Inline cite tokens become superscript markers; clicking one scrolls to its
+// entry in the Fuentes list (data-cite-entry) in the same bubble.
+const escapeAttr = (s = "") => escapeHtml(s).replaceAll('"', "&quot;");
+
+function citeMarkerHtml(marker, citations) {
+  const attrs = (preview) => `tabindex="0" data-preview="${escapeAttr(preview)}"`;
+  // The Fuentes list streams in after the text; until then show the raw ref
+  if (!Array.isArray(citations)) {
+    return `<span class="vc-cite-marker pending" ${attrs("Fuentes pendientes")}>${escapeHtml(marker.ref)}</span>`;
+  }
+  if (marker.number == null) {
+    const preview = marker.citation
+      ? `No está en Fuentes: ${citationPreview(marker.citation)}`
+      : `Cita no encontrada: ${marker.ref}`;
+    return `<span class="vc-cite-marker missing" ${attrs(preview)} aria-label="${escapeAttr(preview)}">?</span>`;
+  }
+  const preview = citationPreview(citations[marker.number - 1]);
+  return `<span class="vc-cite-marker" role="link" data-cite="${marker.number}" ${attrs(preview)} aria-label="Fuente ${
+    marker.number
+  }: ${escapeAttr(preview)}">${marker.number}</span>`;
+}
+
+const citeMarkersHtml = (markers, citations) =>
+  markers.length ? `<sup class="vc-cite-ref">${markers.map((m) => citeMarkerHtml(m, citations)).join("")}</sup>` : "";
+
+// Markdown with its cite tokens turned into markers
+const citedHtml = (text, citations) =>
+  mdToHtml(replaceCiteTokens(text, citations, (markers) => citeMarkersHtml(markers, citations)));
+
+function jumpToCitation(e) {
+  const marker = e.target.closest?.("[data-cite]");
+  if (!marker || (e.type === "keydown" && e.key !== "Enter")) return;
+  const entry = e.currentTarget.querySelector(`[data-cite-entry="${marker.dataset.cite}"]`);
+  if (!entry) return;
+  e.preventDefault();
+  entry.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  entry.classList.remove("flash");
+  void entry.offsetWidth; // restart the animation on repeated clicks
+  entry.classList.add("flash");
+}
+
+function PerChunkCites({ citations = [], sources }) {
   if (!Array.isArray(citations) || citations.length === 0) return null;
+  // With a Fuentes list, point into it; otherwise list the chunk's own links
+  if (Array.isArray(sources) && sources.length) {
+    const markers = citations.map((c, i) => ({
+      ref: String(i + 1),
+      number: matchChunkCitation(c, sources),
+      citation: c,
+    }));
+    return <div className="vc-chunk-cites" dangerouslySetInnerHTML={{ __html: citeMarkersHtml(markers, sources) }} />;
+  }
   return (
     <ol className="vc-cites">
       {citations.map((c, i) => {
@@ -54,7 +130,7 @@ function GlobalCites({ citations = [] }) {
           const url = (c?.url || "").trim();
           const title = c?.title || url || "Fuente";
           return (
-            <li key={i}>
+            <li key={i} data-cite-entry={i + 1}>
               {url ? (
                 <a href={url} target="_blank" rel="noopener">
                   {title}
@@ -73,7 +149,18 @@ function GlobalCites({ citations = [] }) {
 /* ───────────────────── Structured blocks ───────────────────── */
 const SEVERITY_CLASS = { info: "info", warning: "warning", danger: "danger" };
 
-function StructuredBlock({ chunk, index }) {
+// Clinical kinds (see chat/clinicalBlocks.js); unusable chunks fall back to the paragraph path
+const CLINICAL_RENDERERS = {
+  facts: FactSheet,
+  dosage: DosageCard,
+  differential: DifferentialList,
+  checklist: Checklist,
+  section: CollapsibleSection,
+  code: CodeBlock,
+  lab_values: LabValues,
+};
+
+function StructuredBlock({ chunk, index, citations }) {
   if (!chunk) return null;
   const kind = String(chunk.kind || "paragraph").toLowerCase();
   const title = chunk.title || "";
@@ -85,31 +172,29 @@ function StructuredBlock({ chunk, index }) {
     <div className={`vc-structured-block ${kind} ${extraClass}`.trim()}>
       {child}
       {/* Per-chunk footnotes (kept for backward compat if present) */}
-      <PerChunkCites citations={chunk.citations} />
+      <PerChunkCites citations={chunk.citations} sources={citations} />
     </div>
   );
 
   if (kind === "heading") {
-    const base = stripInternalCites(text || title);
-    if (!base) return null;
-    return wrap(<h3 dangerouslySetInnerHTML={{ __html: mdToHtml(base) }} />);
+    const base = text || title;
+    if (!stripInternalCites(base).trim()) return null;
+    return wrap(<h3 dangerouslySetInnerHTML={{ __html: citedHtml(base, citations) }} />);
   }
 
   if (kind === "paragraph") {
     if (!text) return null;
-    const base = stripInternalCites(text);
-    return wrap(<p dangerouslySetInnerHTML={{ __html: mdToHtml(base) }} />);
+    return wrap(<p dangerouslySetInnerHTML={{ __html: citedHtml(text, citations) }} />);
   }
 
   if (kind === "callout" || kind === "note") {
     const sev = String(chunk.severity || "info").toLowerCase();
     const sevClass = SEVERITY_CLASS[sev] || "info";
     const t = title ? stripInternalCites(title) : "";
-    const body = text ? stripInternalCites(text) : "";
     return wrap(
       <div className={`vc-structured-callout ${sevClass}`}>
         {t ? <strong>{t}</strong> : null}
-        {body ? <p dangerouslySetInnerHTML={{ __html: mdToHtml(body) }} /> : null}
+        {text ? <p dangerouslySetInnerHTML={{ __html: citedHtml(text, citations) }} /> : null}
       </div>
     );
   }
@@ -123,15 +208,12 @@ function StructuredBlock({ chunk, index }) {
         {t ? <div className="vc-structured-title">{t}</div> : null}
         {items.length ? (
           <ListTag>
-            {items.map((item, i) => {
-              const base = stripInternalCites(String(item));
-              return (
-                <li
-                  key={`${index}-item-${i}`}
-                  dangerouslySetInnerHTML={{ __html: mdToHtml(base) }}
-                />
-              );
-            })}
+            {items.map((item, i) => (
+              <li
+                key={`${index}-item-${i}`}
+                dangerouslySetInnerHTML={{ __html: citedHtml(String(item), citations) }}
+              />
+            ))}
           </ListTag>
         ) : null}
       </div>
@@ -184,137 +266,383 @@ function StructuredBlock({ chunk, index }) {
     );
   }
 
-  const base = stripInternalCites(text || "");
-  return wrap(base ? <p dangerouslySetInnerHTML={{ __html: mdToHtml(base) }} /> : null);
+  const clinical = CLINICAL_RENDERERS[kind] ? normaliseClinical(kind, chunk) : null;
+  if (clinical) {
+    const Block = CLINICAL_RENDERERS[kind];
+    return wrap(
+      <Block
+        data={clinical}
+        renderChunk={(child, i) => (
+          <StructuredBlock chunk={child} index={`${index}.${i}`} citations={citations} key={i} />
+        )}
+      />
+    );
+  }
+
+  return wrap(text ? <p dangerouslySetInnerHTML={{ __html: citedHtml(text, citations) }} /> : null);
+}
+
+/* Non-blocking marker for schema issues (see chat/structuredSchema.js) */
+function SchemaBadge({ issues }) {
+  if (!issues?.length) return null;
+  const level = issues.some((i) => i.level === "error") ? "error" : "warning";
+  return (
+    <span
+      className={`vc-schema-badge ${level}`}
+      title={issues.map((i) => `${i.path}: ${i.message}`).join("\n")}
+      aria-label={`${issues.length} schema issue${issues.length === 1 ? "" : "s"}`}
+    >
+      ⚠ {issues.length}
+    </span>
+  );
 }
 
 /* A single renderer for structured content + optional summary + global citations */
-function StructuredRenderer({ chunks = [], summary, citations }) {
+function StructuredRenderer({ chunks = [], summary, citations, issues = [] }) {
   const clean = Array.isArray(chunks) ? chunks.filter((c) => c && typeof c === "object") : [];
   const hasSummary = summary && String(summary).trim().length > 0;
   const hasCitations = Array.isArray(citations) && citations.length > 0;
 
   if (!clean.length && !hasSummary && !hasCitations) return null;
 
+  // Issues are keyed by the chunk's position in the payload, holes included
+  const issuesAt = (index) => issues.filter((i) => i.target === "chunk" && i.index === index);
+  const issuesFor = (target) => issues.filter((i) => i.target === target);
+  const worst = (list) => (list.some((i) => i.level === "error") ? "error" : "warning");
+
   return (
     <div className="vc-structured">
-      {clean.map((chunk, index) => (
-        <StructuredBlock chunk={chunk} index={index} key={`structured-${index}`} />
-      ))}
+      {(Array.isArray(chunks) ? chunks : []).map((chunk, index) => {
+        if (!chunk || typeof chunk !== "object") return null;
+        const blockIssues = issuesAt(index);
+        const block = <StructuredBlock chunk={chunk} index={index} citations={citations} />;
+        return blockIssues.length ? (
+          <div className={`vc-schema-slot ${worst(blockIssues)}`} key={`structured-${index}`}>
+            <SchemaBadge issues={blockIssues} />
+            {block}
+          </div>
+        ) : (
+          <React.Fragment key={`structured-${index}`}>{block}</React.Fragment>
+        );
+      })}
 
       {hasSummary ? (
         <div className="vc-structured-summary">
+          <SchemaBadge issues={issuesFor("summary")} />
           <strong>Resumen:</strong>
           <p
-            dangerouslySetInnerHTML={{ __html: mdToHtml(stripInternalCites(String(summary))) }}
+            dangerouslySetInnerHTML={{ __html: citedHtml(String(summary), citations) }}
           />
         </div>
       ) : null}
 
-      {hasCitations ? <GlobalCites citations={citations} /> : null}
+      {hasCitations ? (
+        <>
+          <SchemaBadge issues={issuesFor("citations")} />
+          <GlobalCites citations={citations} />
+        </>
+      ) : null}
     </div>
   );
 }
 
 /* ───────────────────── Plain text fallback (rare) ───────────────────── */
-function applyCitationsToText(rawText, citations = []) {
-  // We are NOT injecting links inline anymore — keep as-is.
-  return rawText ?? "";
+function applyCitationsToText(rawText, citations) {
+  return citedHtml(dropPartialCite(rawText ?? ""), citations);
 }
 
-/* ───────────────────── Component ───────────────────── */
-export default function VetChatTester() {
-  const { apiBase, authFetch } = useAuth();
-  const [consultationId, setConsultationId] = useState("demo-887scv");
+/* ───────────────────── Message row ───────────────────── */
+function ChatMessage({ msg, consultationId, savedRatings }) {
+  const [showRaw, setShowRaw] = useState(false);
+  const [showSources, setShowSources] = useState(false);
+
+  if (msg.type === "system" || msg.type === "error") {
+    return (
+      <div className="vc-system">
+        <span className={`vc-system-pill ${msg.type}`}>{msg.text}</span>
+      </div>
+    );
+  }
+
+  const container = `vc-row ${msg.type}`;
+  const bubble = `vc-bubble ${msg.type} ${msg.isStreaming ? "streaming" : ""} ${msg.pending ? "pending" : ""}`;
+
+  const hasStructured = Array.isArray(msg.structuredChunks)
+    ? msg.structuredChunks.some((chunk) => chunk && typeof chunk === "object")
+    : false;
+
+  const inspectable = msg.type === "received" && (hasStructured || msg.structuredEvents?.length > 0);
+  const sourceCount = msg.type === "received" && !msg.isStreaming ? collectCitations(msg).length : 0;
+
+  let tailCandidate = "";
+  let shouldShowTail = false;
+  let html = "";
+
+  if (!hasStructured) {
+    const full = msg.text || "";
+    tailCandidate = msg.isStreaming ? msg.lastChunk || "" : "";
+    // A tail carrying part of a cite token is rendered with the rest, as a marker
+    shouldShowTail = !!tailCandidate && full.endsWith(tailCandidate) && !/[\uE200-\uE202]/.test(tailCandidate);
+    const stable = shouldShowTail ? full.slice(0, full.length - tailCandidate.length) : full;
+    html = applyCitationsToText(stable, msg.structuredCitations);
+  }
+
+  return (
+    <div className={container}>
+      <div className={`vc-avatar ${msg.type}`} aria-hidden="true">
+        {msg.type === "sent" ? "U" : "A"}
+      </div>
+      <div className={bubble}>
+        <div className="vc-text" onClick={jumpToCitation} onKeyDown={jumpToCitation}>
+          {hasStructured ? (
+            <StructuredRenderer
+              chunks={msg.structuredChunks}
+              summary={msg.structuredSummary}
+              citations={msg.structuredCitations}
+              issues={msg.schemaIssues}
+            />
+          ) : (
+            <>
+              <div className="markdown" dangerouslySetInnerHTML={{ __html: html }} />
+              {shouldShowTail && (
+                <span key={msg.animTick} className="chunk-fade">
+                  {escapeHtml(tailCandidate)}
+                </span>
+              )}
+              <GlobalCites citations={msg.structuredCitations} />
+            </>
+          )}
+        </div>
+        {showRaw && <StructuredEventInspector message={msg} />}
+        {showSources && sourceCount > 0 && (
+          <CitationPanel message={msg} consultationId={consultationId} savedRatings={savedRatings} />
+        )}
+        <div className="vc-meta">
+          <span className="vc-ts">{msg.timestamp}</span>
+          {inspectable && (
+            <button
+              className={`vc-raw-toggle ${showRaw ? "on" : ""}`}
+              onClick={() => setShowRaw((v) => !v)}
+              aria-pressed={showRaw}
+              title="Show the raw structured events behind this answer"
+            >
+              {"{ }"} raw
+            </button>
+          )}
+          {sourceCount > 0 && (
+            <button
+              className={`vc-raw-toggle ${showSources ? "on" : ""}`}
+              onClick={() => setShowSources((v) => !v)}
+              aria-pressed={showSources}
+              title="Review the sources behind this answer"
+            >
+              Sources {sourceCount}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ───────────────────── Stream events ───────────────────── */
+const CHAT_EVENTS = BASE_EVENTS.extend({ structured: parseJSONUnwrap });
+
+const DEFAULT_CONSULTATION_ID = "demo-887scv";
+
+// History is read newest-first, one page at a time; older pages load on scroll-up
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_MAX_PAGES = 200; // export stops here rather than paging forever
+
+// History responses are dropped once the view they were requested for is gone
+// (consultation switch, replay toggle, a newer full reload): `ref` counts those.
+const staleSince = (ref) => {
+  const gen = ref.current;
+  return () => ref.current !== gen;
+};
+
+/* ───────────────────── Consultation pane ───────────────────── */
+// One open consultation with its own stream, messages, turn phase and cancel
+// state. Panes stay mounted while their tab is open; `connected` turns false
+// when the workspace parks this pane's stream to stay under CHAT_MAX_STREAMS.
+function ConsultationPane({ consultationId, visible, active, connected, onFocus, onConnect, onSummary }) {
+  const { apiBase, relayBase, authFetch } = useAuth();
   const [conversationKey, setConversationKey] = useState(null);
-  const [messages, setMessages] = useState([]);
-  const [connectionStatus, setConnectionStatus] = useState("idle");
-  const [turnPhase, setTurnPhase] = useState(null);
+  // Messages, turn phase and cancel state all come from the event-sourced chat reducer
+  const [chat, dispatch] = useReducer(chatReducer, undefined, createChatState);
+  const { messages, turnPhase, isCancelling } = chat;
+  const emit = (type, fields) => dispatch(chatEvent(type, fields));
+  const addLog = (text) => emit(CHAT_EVENT.NOTE, { level: "system", text });
+  const addError = (text) => emit(CHAT_EVENT.NOTE, { level: "error", text });
   const [loadingHistory, setLoadingHistory] = useState(false);
-  const [isCancelling, setIsCancelling] = useState(false);
+  const [olderCursor, setOlderCursor] = useState(null); // null = no older pages
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const loadingOlderRef = useRef(false);
+  const historyGenRef = useRef(0); // see staleSince
+  const [exporting, setExporting] = useState(false);
+  const [hasUnread, setHasUnread] = useState(false); // live activity while the pane was hidden
+  const parkedRef = useRef(false); // stream was parked; resync history when it comes back
 
   const inputRef = useRef(null);
-  const endRef = useRef(null);
-  const esRef = useRef(null);
-  const retryTimer = useRef(null);
-  const firstConnect = useRef(false);
-  const reconnectingRef = useRef(false);
+
+  // Only rows near the viewport are mounted; scrolling near the top pulls the previous page
+  const messageKeys = useMemo(() => messages.map((m) => m.uid), [messages]);
+  const vlist = useVirtualList({ keys: messageKeys, onNearTop: loadOlderHistory });
 
   useEffect(() => {
+    if (!active) return;
     try {
       inputRef.current?.focus();
     } catch {}
-  }, []);
+  }, [active]);
+
+  useEffect(() => {
+    if (visible) setHasUnread(false);
+  }, [visible]);
 
   useEffect(() => {
-    endRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+    if (!connected) return;
+    return () => {
+      parkedRef.current = true;
+    };
+  }, [connected]);
+
+  // One page, oldest first. The server's next_cursor wins; otherwise a full page
+  // means there may be more before its oldest message, named by id because
+  // several messages can share a created_at.
+  const fetchHistoryPage = useCallback(
+    async (id, before) => {
+      const q = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE), order: "desc" });
+      if (before) q.set("before", before);
+      const url = `${apiBase}/api/v1/vet_chat/${encodeURIComponent(id)}/history?${q.toString()}`;
+      const res = await authFetch(url, { headers: { accept: "application/json" } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      const page = (data?.messages || []).slice().reverse();
+      const fallback = page.length >= HISTORY_PAGE_SIZE ? page[0].id ?? page[0].created_at ?? null : null;
+      const cursor = data?.has_more === false ? null : data?.next_cursor ?? fallback;
+      return { page, cursor };
+    },
+    [apiBase, authFetch]
+  );
 
-  const now = (d = new Date()) =>
-    new Date(d).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  // Replaces the list, so any history request still in flight is superseded
+  const loadLatestHistory = useCallback(
+    async (id) => {
+      if (!id) return;
+      historyGenRef.current += 1;
+      const isStale = staleSince(historyGenRef);
+      setLoadingHistory(true);
+      try {
+        const { page, cursor } = await fetchHistoryPage(id);
+        if (isStale()) return;
+        dispatch(chatEvent(CHAT_EVENT.HISTORY_LOADED, { messages: page }));
+        setOlderCursor(cursor);
+      } catch (err) {
+        if (isStale()) return;
+        dispatch(chatEvent(CHAT_EVENT.HISTORY_LOADED, { messages: [] }));
+        dispatch(chatEvent(CHAT_EVENT.NOTE, { level: "error", text: `Failed to load history: ${err.message}` }));
+        setOlderCursor(null);
+      } finally {
+        if (!isStale()) setLoadingHistory(false);
+      }
+    },
+    [fetchHistoryPage]
+  );
 
-  function toDisplayTs(tsLike) {
+  async function loadOlderHistory() {
+    if (!olderCursor || loadingOlderRef.current || isReplaying) return;
+    const isStale = staleSince(historyGenRef);
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
     try {
-      return now(new Date(tsLike));
-    } catch {
-      return now();
+      const { page, cursor } = await fetchHistoryPage(consultationId, olderCursor);
+      if (isStale()) return;
+      emit(CHAT_EVENT.HISTORY_MERGED, { messages: page, prepend: true });
+      setOlderCursor(page.length && cursor !== olderCursor ? cursor : null);
+    } catch (err) {
+      if (!isStale()) addError(`Failed to load older messages: ${err.message}`);
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
     }
   }
 
-  // Map persisted history → UI (includes structured chunks, summary, and citations if present)
-  function mapHistoryMsgToUI(m) {
-    const type = m.role === "user" ? "sent" : "received";
-    const createdAt = m.created_at ? new Date(m.created_at) : new Date();
-
-    const structuredChunks = Array.isArray(m.structured_chunks)
-      ? m.structured_chunks
-      : Array.isArray(m.structuredChunks)
-      ? m.structuredChunks
-      : [];
-    const structuredSummary =
-      m.structured_summary ?? m.summary ?? m.structuredSummary ?? null;
-    const structuredCitations =
-      m.structured_citations ?? m.structuredCitations ?? null;
-
-    return {
-      type,
-      text: stripInternalCites(m.content || ""),
-      isStreaming: false,
-      lastChunk: "",
-      timestamp: toDisplayTs(createdAt),
-      createdAt,
-      structuredChunks,
-      structuredSummary,
-      structuredCitations,
-    };
+  // Every older page still on the server, merged into the list like scrolling up would
+  async function loadAllHistory() {
+    let snapshot = chat;
+    if (!olderCursor || isReplaying) return snapshot.messages;
+    const isStale = staleSince(historyGenRef);
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const older = [];
+      let cursor = olderCursor;
+      for (let pages = 0; cursor; pages++) {
+        if (pages >= HISTORY_MAX_PAGES) {
+          addLog(`Export stopped after ${HISTORY_MAX_PAGES} older pages`);
+          break;
+        }
+        const next = await fetchHistoryPage(consultationId, cursor);
+        if (isStale()) throw new Error("the conversation was reloaded");
+        older.unshift(...next.page);
+        // A server that ignores the cursor hands back the same page forever
+        cursor = next.page.length && next.cursor !== cursor ? next.cursor : null;
+      }
+      const ev = chatEvent(CHAT_EVENT.HISTORY_MERGED, { messages: older, prepend: true });
+      snapshot = chatReducer(snapshot, ev);
+      dispatch(ev);
+      setOlderCursor(cursor);
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+    return snapshot.messages;
   }
 
-  async function fetchFullHistory(id) {
-    if (!id) return;
-    setLoadingHistory(true);
+  async function exportTranscript(format) {
+    if (!format || exporting) return;
+    setExporting(true);
     try {
-      const url = `${apiBase}/api/v1/vet_chat/${encodeURIComponent(id)}/history?limit=1000&order=asc`;
-      const res = await authFetch(url, { headers: { accept: "application/json" } });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      const mapped = (data?.messages || []).map(mapHistoryMsgToUI);
-      setMessages(mapped);
+      const all = await loadAllHistory();
+      const doc = buildTranscript({
+        consultationId,
+        apiBase,
+        messages: all,
+        citationRatings: ratingsFor(consultationId),
+      });
+      const name = `vet-chat-${String(consultationId).replace(/[^\w.-]+/g, "_")}-${fileStamp()}`;
+      if (format === "json") {
+        downloadText(`${name}.json`, JSON.stringify(doc, null, 2));
+      } else if (format === "md") {
+        downloadText(`${name}.md`, transcriptToMarkdown(doc), "text/markdown");
+      } else if (format === "html") {
+        downloadText(`${name}.html`, transcriptToHtml(doc), "text/html");
+      } else if (format === "print") {
+        const win = window.open("", "_blank");
+        if (!win) throw new Error("pop-up blocked");
+        win.document.write(transcriptToHtml(doc));
+        win.document.close();
+        win.focus();
+        win.print();
+      }
     } catch (err) {
-      addError(`Failed to load history: ${err.message}`);
-      setMessages([]);
+      addError(`Export failed: ${err.message}`);
     } finally {
-      setLoadingHistory(false);
+      setExporting(false);
     }
   }
 
   function getLastPersistedCreatedAt() {
-    const persisted = messages.filter((m) => !!m.createdAt && m.isStreaming === false);
+    // Only server timestamps: optimistic and streamed bubbles carry client clocks
+    const persisted = messages.filter((m) => m.persisted && !!m.createdAt);
     if (persisted.length === 0) return null;
     return new Date(Math.max(...persisted.map((m) => m.createdAt.getTime())));
   }
 
   async function fetchHistoryAfter(id, afterDate) {
     if (!id || !afterDate) return;
+    const isStale = staleSince(historyGenRef);
     try {
       const q = new URLSearchParams({
         limit: String(500),
@@ -325,214 +653,112 @@ export default function VetChatTester() {
       const res = await authFetch(url, { headers: { accept: "application/json" } });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
-      const incoming = (data?.messages || []).map(mapHistoryMsgToUI);
-      if (incoming.length === 0) return;
-
-      setMessages((prev) => {
-        const key = (m) => `${m.type}|${m.createdAt?.toISOString?.() || ""}|${m.text}`;
-        const existing = new Set(prev.map(key));
-        const dedup = incoming.filter((m) => !existing.has(key(m)));
-        return [...prev, ...dedup];
-      });
+      const incoming = data?.messages || [];
+      if (incoming.length === 0 || isStale()) return;
+      emit(CHAT_EVENT.HISTORY_MERGED, { messages: incoming });
     } catch (err) {
-      addError(`Failed to resync history: ${err.message}`);
+      if (!isStale()) addError(`Failed to resync history: ${err.message}`);
     }
   }
 
-  // ---------------- SSE connect ----------------
+  const replay = useStreamReplay({ channel: "vet-chat-stream", targetId: consultationId });
+  const { isReplaying } = replay;
+
+  // ---------------- Consultation switch ----------------
+  // Also runs when entering/leaving replay: a replay starts from an empty
+  // conversation, going back to live reloads the persisted history.
   useEffect(() => {
     if (!consultationId) return;
 
-    const key = `vet_chat:${consultationId}`;
-    setConversationKey(key);
-    setMessages([]);
-    setTurnPhase(null);
-    setIsCancelling(false);
-    firstConnect.current = false;
-
-    let stopped = false;
-    let attempt = 0;
-
-    fetchFullHistory(consultationId);
-
-    const url = `${RELAY_BASE}/vet-chat-stream/${encodeURIComponent(
-      consultationId
-    )}?v=${Date.now()}`;
-
-    const connect = () => {
-      if (stopped) return;
-
-      const reconnecting = attempt > 0;
-      reconnectingRef.current = reconnecting;
-      setConnectionStatus(attempt === 0 ? "connecting" : "reconnecting");
-
-      try {
-        esRef.current?.close();
-      } catch {}
-
-      const es = new EventSource(url);
-      esRef.current = es;
-
-      es.onopen = async () => {
-        const wasReconnecting = attempt > 0;
-        attempt = 0;
-        setConnectionStatus("connected");
-
-        if (!firstConnect.current) {
-          addLog(`Connected to ${key}`);
-          firstConnect.current = true;
-        } else if (wasReconnecting) {
-          const last = getLastPersistedCreatedAt();
-          if (last) await fetchHistoryAfter(consultationId, last);
-          else await fetchFullHistory(consultationId);
-        }
-      };
-
-      // default message = plain text chunk (used only if not structured)
-      es.onmessage = (e) => handleIncomingChunk(e.data);
-
-      // Structured chunks, summary, and top-level citations
-      es.addEventListener("structured", (e) => {
-        try {
-          const payload = JSON.parse(e.data || "{}");
-          const data = payload && payload.data ? payload.data : payload;
-          addStructuredChunk(data);
-        } catch {}
-      });
-
-      es.addEventListener("status", (e) => {
-        try {
-          const payload = JSON.parse(e.data || "{}");
-          const phase = payload && payload.phase;
-
-          if (phase === "started" || phase === "accepted" || phase === "thinking") {
-            setTurnPhase("thinking");
-            ensureAssistantStreamingBubble();
-          }
-
-          if (phase === "cancel_requested") {
-            setIsCancelling(true);
-            setTurnPhase("canceling");
-            addLog("Cancel requested…");
-          }
-
-          if (phase === "cancelled") {
-            setIsCancelling(false);
-            setTurnPhase(null);
-            handleIncomingChunk("[END-OF-STREAM]");
-            addLog("Turn cancelled.");
-          }
-
-          if (phase === "completed" || phase === "done" || phase === "error") {
-            setTurnPhase(null);
-            setIsCancelling(false);
-            handleIncomingChunk("[END-OF-STREAM]");
-          }
-        } catch {}
-      });
-
-      es.addEventListener("done", () => {
-        setTurnPhase(null);
-        setIsCancelling(false);
-        handleIncomingChunk("[END-OF-STREAM]");
-      });
-
-      es.addEventListener("error", (e) => {
-        setTurnPhase(null);
-        setIsCancelling(false);
-        try {
-          const payload = JSON.parse(e.data || "{}");
-          addError(payload?.message ? `Stream error: ${payload.message}` : "Stream error.");
-        } catch {
-          addError("Stream error.");
-        }
-        handleIncomingChunk("[END-OF-STREAM]");
-      });
-
-      es.onerror = () => {
-        setConnectionStatus("reconnecting");
-        try {
-          es.close();
-        } catch {}
-        attempt += 1;
-        const delay = Math.min(1000 * Math.pow(2, attempt), 15000);
-        clearTimeout(retryTimer.current);
-        retryTimer.current = setTimeout(connect, delay);
-      };
-    };
-
-    connect();
-
+    setConversationKey(`vet_chat:${consultationId}`);
+    dispatch(chatEvent(CHAT_EVENT.RESET));
+    setOlderCursor(null);
+    if (!isReplaying) loadLatestHistory(consultationId);
     return () => {
-      stopped = true;
-      try {
-        esRef.current?.close();
-      } catch {}
-      clearTimeout(retryTimer.current);
-      setConnectionStatus("idle");
+      historyGenRef.current += 1;
+      setLoadingHistory(false);
     };
-  }, [consultationId, apiBase]);
-
-  function ensureAssistantStreamingBubble() {
-    setMessages((prev) => {
-      if (prev && prev.length) {
-        for (let j = prev.length - 1; j >= 0; j--) {
-          const m = prev[j];
-          if (m.type === "received" && m.isStreaming) return prev;
-        }
-      }
-      const createdAt = new Date();
-      return [
-        ...(prev || []),
-        {
-          type: "received",
-          text: "",
-          isStreaming: true,
-          lastChunk: "",
-          timestamp: toDisplayTs(createdAt),
-          createdAt,
-          animTick: Date.now(),
-          structuredChunks: [],
-          structuredSummary: null,
-          structuredCitations: null,
-        },
-      ];
-    });
+  }, [consultationId, isReplaying, loadLatestHistory]);
+
+  // ---------------- SSE stream ----------------
+  function handleStreamEvent(name, payload) {
+    if (!visible && name !== "status") setHasUnread(true);
+
+    // default message = plain text chunk (used only if not structured);
+    // `structured` carries chunks, summary, and top-level citations
+    if (name === "message") emit(CHAT_EVENT.CHUNK, { text: payload });
+    else if (name === "structured") emit(CHAT_EVENT.STRUCTURED, { payload });
+    else if (name === "status") emit(CHAT_EVENT.STATUS, { payload });
+    else if (name === "done") emit(CHAT_EVENT.DONE, { payload });
+    else if (name === "error") emit(CHAT_EVENT.STREAM_ERROR, { message: payload?.message });
+  }
+
+  async function handleStreamOpen({ reconnected }) {
+    if (isReplaying) {
+      addLog(`Replaying recorded vet-chat-stream (${replay.playerState?.total ?? 0} events)`);
+      return;
+    }
+    if (parkedRef.current) {
+      // Anything sent while parked is only in the persisted history
+      parkedRef.current = false;
+      emit(CHAT_EVENT.RESET);
+      await loadLatestHistory(consultationId);
+      return;
+    }
+    if (!reconnected) {
+      addLog(`Connected to vet_chat:${consultationId}`);
+      return;
+    }
+    const last = getLastPersistedCreatedAt();
+    if (last) await fetchHistoryAfter(consultationId, last);
+    else await loadLatestHistory(consultationId);
   }
 
+  const {
+    status: connectionStatus,
+    lastError: streamError,
+    retry: retryStream,
+  } = useEventStream({
+    enabled: connected,
+    url: consultationId
+      ? `${relayBase}/vet-chat-stream/${encodeURIComponent(consultationId)}${isReplaying ? "?replay=1" : ""}`
+      : null,
+    events: CHAT_EVENTS,
+    onEvent: (name, payload, raw) => {
+      replay.capture(name, raw);
+      handleStreamEvent(name, payload);
+    },
+    onOpen: handleStreamOpen,
+    ...replay.streamOptions,
+  });
+
   /* -------------- Send message -------------- */
   async function sendMessage() {
     const text = (inputRef.current?.value || "").trim();
-    if (!text || !consultationId) return;
+    if (!text || !consultationId || isReplaying) return;
 
-    try {
-      setTurnPhase("sending");
+    // Optimistic bubble; the correlation id lets the persisted copy replace it later
+    const clientId = newClientMessageId();
+    emit(CHAT_EVENT.USER_SENT, { clientId, text });
+    inputRef.current.value = "";
+    vlist.scrollToBottom();
 
+    try {
       const res = await authFetch(
         `${apiBase}/api/v1/vet_chat/${encodeURIComponent(consultationId)}/message`,
         {
           method: "POST",
           headers: { "Content-Type": "application/json", accept: "application/json" },
-          body: JSON.stringify({ message: text }),
+          body: JSON.stringify({ message: text, client_message_id: clientId }),
         }
       );
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-      const createdAt = new Date();
-      setMessages((prev) => [
-        ...prev,
-        {
-          type: "sent",
-          text,
-          isStreaming: false,
-          timestamp: toDisplayTs(createdAt),
-          createdAt,
-        },
-      ]);
-      inputRef.current.value = "";
+      const response = await res.json().catch(() => null);
+      emit(CHAT_EVENT.USER_CONFIRMED, { clientId, response });
     } catch (err) {
-      setTurnPhase(null);
-      addError(`Failed to send: ${err.message}`);
+      emit(CHAT_EVENT.USER_FAILED, { clientId, message: err.message });
+      // Give the text back unless something new was typed meanwhile
+      if (inputRef.current && !inputRef.current.value) inputRef.current.value = text;
     }
   }
 
@@ -547,8 +773,7 @@ export default function VetChatTester() {
   async function cancelTurn() {
     if (!canCancel || isCancelling) return;
     try {
-      setIsCancelling(true);
-      setTurnPhase("canceling");
+      emit(CHAT_EVENT.CANCEL_REQUESTED);
 
       const res = await authFetch(
         `${apiBase}/api/v1/vet_chat/${encodeURIComponent(consultationId)}/cancel`,
@@ -560,157 +785,16 @@ export default function VetChatTester() {
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       addLog("Cancel requested…");
     } catch (err) {
-      setIsCancelling(false);
-      setTurnPhase(null);
-      addError(`Failed to cancel: ${err.message}`);
-    }
-  }
-
-  /* -------------- Streaming handlers -------------- */
-  function addStructuredChunk(payload) {
-    if (!payload || typeof payload !== "object") return;
-    const { index, chunk, summary, citations } = payload;
-    const hasIndex = typeof index === "number" && Number.isFinite(index);
-    const hasChunk = chunk && typeof chunk === "object";
-    const hasSummary = Object.prototype.hasOwnProperty.call(payload, "summary");
-    const hasCitations = Object.prototype.hasOwnProperty.call(payload, "citations");
-    if (!hasIndex && !hasSummary && !hasCitations) return;
-
-    setMessages((prev) => {
-      const next = prev ? prev.slice() : [];
-      // Find last assistant bubble, prefer a streaming one
-      let targetIdx = -1;
-      for (let j = next.length - 1; j >= 0; j--) {
-        const msg = next[j];
-        if (msg.type === "received") {
-          targetIdx = j;
-          if (msg.isStreaming) break;
-        }
-      }
-      if (targetIdx < 0) {
-        const createdAt = new Date();
-        next.push({
-          type: "received",
-          text: "",
-          isStreaming: true,
-          lastChunk: "",
-          timestamp: toDisplayTs(createdAt),
-          createdAt,
-          animTick: Date.now(),
-          structuredChunks: [],
-          structuredSummary: null,
-          structuredCitations: null,
-        });
-        targetIdx = next.length - 1;
-      }
-
-      const target = { ...next[targetIdx] };
-      let mutated = false;
-
-      if (hasSummary) {
-        target.structuredSummary = summary ?? null;
-        mutated = true;
-      }
-
-      if (hasCitations) {
-        target.structuredCitations = Array.isArray(citations) ? citations : [];
-        mutated = true;
-      }
-
-      if (hasIndex && hasChunk) {
-        const arr = Array.isArray(target.structuredChunks)
-          ? target.structuredChunks.slice()
-          : [];
-        arr[index] = chunk;
-        target.structuredChunks = arr;
-        mutated = true;
-      }
-
-      if (!mutated) return prev;
-
-      target.animTick = Date.now();
-      next[targetIdx] = target;
-      return next;
-    });
-  }
-
-  function handleIncomingChunk(raw) {
-    const chunk = stripInternalCites(raw ?? "");
-    const sentinel = "[END-OF-STREAM]";
-
-    if (chunk.trim() === sentinel) {
-      setMessages((prev) => {
-        for (let j = prev.length - 1; j >= 0; j--) {
-          const m = prev[j];
-          if (m.type === "received" && m.isStreaming) {
-            const copy = prev.slice();
-            copy[j] = { ...m, isStreaming: false, lastChunk: "" };
-            return copy;
-          }
-        }
-        return prev;
-      });
-      return;
+      emit(CHAT_EVENT.CANCEL_FAILED, { message: err.message });
     }
-
-    if (!chunk) return;
-    setTurnPhase(null);
-
-    setMessages((prev) => {
-      for (let j = prev.length - 1; j >= 0; j--) {
-        const m = prev[j];
-        const hasStructured =
-          Array.isArray(m.structuredChunks) &&
-          m.structuredChunks.some((c) => c && typeof c === "object");
-
-        if (m.type === "received" && m.isStreaming && !hasStructured) {
-          const copy = prev.slice();
-          copy[j] = {
-            ...m,
-            text: (m.text || "") + chunk,
-            lastChunk: chunk,
-            animTick: Date.now(),
-          };
-          return copy;
-        }
-        if (m.type === "received") break;
-      }
-
-      const createdAt = new Date();
-      return [
-        ...prev,
-        {
-          type: "received",
-          text: chunk,
-          isStreaming: true,
-          lastChunk: chunk,
-          timestamp: toDisplayTs(createdAt),
-          createdAt,
-          animTick: Date.now(),
-          structuredChunks: [],
-          structuredSummary: null,
-          structuredCitations: null,
-        },
-      ];
-    });
   }
 
   /* -------------- Helpers & rendering -------------- */
-  const addLog = (text) =>
-    setMessages((p) => [
-      ...p,
-      { type: "system", text, isStreaming: false, timestamp: now(), createdAt: new Date() },
-    ]);
-  const addError = (text) =>
-    setMessages((p) => [
-      ...p,
-      { type: "error", text, isStreaming: false, timestamp: now(), createdAt: new Date() },
-    ]);
-
   const isStreaming =
     messages.length > 0 && messages.some((m) => m.type === "received" && m.isStreaming);
 
   const connectionLabel = useMemo(() => {
+    if (!connected) return "Parked";
     if (connectionStatus !== "connected") {
       return connectionStatus.charAt(0).toUpperCase() + connectionStatus.slice(1);
     }
@@ -720,121 +804,105 @@ export default function VetChatTester() {
     if (turnPhase === "sending") return "Sending…";
     if (loadingHistory) return "Loading history…";
     return "Connected";
-  }, [connectionStatus, isStreaming, turnPhase, loadingHistory, isCancelling]);
+  }, [connected, connectionStatus, isStreaming, turnPhase, loadingHistory, isCancelling]);
 
-  function renderMessage(msg, i) {
-    if (msg.type === "system" || msg.type === "error") {
-      return (
-        <div key={i} className="vc-system">
-          <span className={`vc-system-pill ${msg.type}`}>{msg.text}</span>
-        </div>
-      );
-    }
-
-    const container = `vc-row ${msg.type}`;
-    const bubble = `vc-bubble ${msg.type} ${msg.isStreaming ? "streaming" : ""}`;
-
-    const hasStructured = Array.isArray(msg.structuredChunks)
-      ? msg.structuredChunks.some((chunk) => chunk && typeof chunk === "object")
-      : false;
-
-    let tailCandidate = "";
-    let shouldShowTail = false;
-    let html = "";
-
-    if (!hasStructured) {
-      const full = msg.text || "";
-      tailCandidate = msg.isStreaming ? msg.lastChunk || "" : "";
-      shouldShowTail = !!tailCandidate && full.endsWith(tailCandidate);
-      const stable = shouldShowTail ? full.slice(0, full.length - tailCandidate.length) : full;
-      const withCites = applyCitationsToText(stable); // no inline cites in plain mode
-      html = mdToHtml(stripInternalCites(withCites));
-    }
-
-    return (
-      <div key={i} className={container}>
-        <div className={`vc-avatar ${msg.type}`} aria-hidden="true">
-          {msg.type === "sent" ? "U" : "A"}
-        </div>
-        <div className={bubble}>
-          <div className="vc-text">
-            {hasStructured ? (
-              <StructuredRenderer
-                chunks={msg.structuredChunks}
-                summary={msg.structuredSummary}
-                citations={msg.structuredCitations}
-              />
-            ) : (
-              <>
-                <div className="markdown" dangerouslySetInnerHTML={{ __html: html }} />
-                {shouldShowTail && (
-                  <span key={msg.animTick} className="chunk-fade">
-                    {escapeHtml(tailCandidate)}
-                  </span>
-                )}
-              </>
-            )}
-          </div>
-          <div className="vc-meta">
-            <span className="vc-ts">{msg.timestamp}</span>
-          </div>
-        </div>
-      </div>
-    );
-  }
+  // Tab strip indicators
+  const isBusy = isStreaming || turnPhase === "thinking" || turnPhase === "sending";
+  useEffect(() => {
+    onSummary(consultationId, { streaming: isBusy, unread: hasUnread, status: connectionStatus });
+  }, [onSummary, consultationId, isBusy, hasUnread, connectionStatus]);
 
   return (
-    <div className="vc-root">
-      <div className="vc-auth">
-        <LoginBox title="Vet Chat Auth" />
-      </div>
-      {/* Header */}
-      <header className="vc-header">
-        <div className="vc-brand">
-          <h1>Vet-Chat Tester</h1>
-        </div>
-
+    <section
+      className={`vc-pane ${active ? "active" : ""}`}
+      hidden={!visible}
+      aria-label={`Consultation ${consultationId}`}
+      onFocusCapture={onFocus}
+      onMouseDown={onFocus}
+    >
+      {/* Pane toolbar */}
+      <div className="vc-pane-bar">
+        <strong className="vc-pane-title">{consultationId}</strong>
         <div className="vc-controls">
-          <div className="field">
-            <label htmlFor="cid">Consultation ID</label>
-            <input
-              id="cid"
-              value={consultationId}
-              onChange={(e) => setConsultationId(e.target.value)}
-              placeholder="demo-123"
-            />
-          </div>
           <button
             className="vc-reload"
-            onClick={() => fetchFullHistory(consultationId)}
+            onClick={() => loadLatestHistory(consultationId)}
             title="Reload history"
-            style={{ marginLeft: 8 }}
           >
             Reload
           </button>
-          <div className="vc-conn">
-            <span className={`vc-dot ${connectionStatus}`} />
+          <ContractReport consultationId={consultationId} messages={messages} />
+          <select
+            className="vc-export"
+            value=""
+            onChange={(e) => exportTranscript(e.target.value)}
+            disabled={exporting || messages.length === 0}
+            title="Export the full conversation, including earlier pages"
+            aria-label="Export transcript"
+          >
+            <option value="">{exporting ? "Exporting…" : "Export…"}</option>
+            <option value="md">Markdown (.md)</option>
+            <option value="json">JSON (.json, re-importable)</option>
+            <option value="html">HTML (.html)</option>
+            <option value="print">Print / PDF…</option>
+          </select>
+          <div className="vc-conn" title={streamError || undefined}>
+            <span className={`vc-dot ${connected ? connectionStatus : "parked"}`} />
             <span className="vc-conn-label">{connectionLabel}</span>
+            {!connected && (
+              <button
+                className="vc-reload"
+                onClick={onConnect}
+                title="Reconnect this consultation; the least recently used one is parked instead"
+              >
+                Connect
+              </button>
+            )}
+            {connected && connectionStatus === "failed" && (
+              <button className="vc-reload" onClick={retryStream} title="Reconnect to the relay">
+                Retry
+              </button>
+            )}
           </div>
           <button
             className={`vc-cancel ${canCancel ? "" : "disabled"}`}
             onClick={cancelTurn}
             disabled={!canCancel || isCancelling}
             title="Cancel current turn"
-            style={{ marginLeft: 8 }}
           >
             {isCancelling ? "Canceling…" : "Cancel"}
           </button>
         </div>
-      </header>
+      </div>
 
       {/* Small info line */}
       <div className="vc-sub">
-        {conversationKey ? `Connected to ${conversationKey}` : "Not connected"}
+        <span>
+          {isReplaying
+            ? `Replaying into ${conversationKey} (offline)`
+            : !connected
+            ? `Stream parked (max ${CHAT_MAX_STREAMS} open connections)`
+            : conversationKey
+            ? `Connected to ${conversationKey}`
+            : "Not connected"}
+        </span>
+        <StreamReplayBar replay={replay} />
       </div>
 
       {/* Messages */}
-      <main className="vc-list" aria-live="polite">
+      <div
+        className="vc-list"
+        ref={vlist.scrollRef}
+        onScroll={vlist.onScroll}
+        aria-live={visible ? "polite" : "off"}
+      >
+        {(loadingOlder || (olderCursor && messages.length > 0)) && (
+          <div className="vc-history-status">
+            <span className="vc-system-pill">
+              {loadingOlder ? "Loading earlier messages…" : "Scroll up for earlier messages"}
+            </span>
+          </div>
+        )}
         {messages.length === 0 ? (
           <div className="vc-empty">
             <div className="vc-empty-emoji" aria-hidden="true">
@@ -844,17 +912,23 @@ export default function VetChatTester() {
             <p>{loadingHistory ? "Please wait." : "Type a message to begin."}</p>
           </div>
         ) : (
-          messages.map((m, i) => renderMessage(m, i))
+          <div ref={vlist.innerRef} style={{ paddingTop: vlist.padTop, paddingBottom: vlist.padBottom }}>
+            {messages.slice(vlist.start, vlist.end).map((m) => (
+              <div key={m.uid} data-vkey={m.uid} ref={vlist.measureRef} className="vc-vrow">
+                <ChatMessage msg={m} consultationId={consultationId} />
+              </div>
+            ))}
+          </div>
         )}
-        <div ref={endRef} />
-      </main>
+      </div>
 
       {/* Input */}
       <footer className="vc-input">
         <input
           ref={inputRef}
           type="text"
-          placeholder="Type a message…"
+          placeholder={isReplaying ? "Replay mode — sending is disabled" : "Type a message…"}
+          disabled={isReplaying}
           onKeyDown={(e) => e.key === "Enter" && sendMessage()}
         />
         <div className="vc-actions">
@@ -867,11 +941,327 @@ export default function VetChatTester() {
           >
             {isCancelling ? "Canceling…" : "Cancel"}
           </button>
-          <button className="vc-send" onClick={sendMessage} title="Send" aria-label="Send message">
+          <button
+            className="vc-send"
+            onClick={sendMessage}
+            disabled={isReplaying}
+            title="Send"
+            aria-label="Send message"
+          >
             ➤
           </button>
         </div>
       </footer>
+    </section>
+  );
+}
+
+/* ───────────────────── Imported transcript ───────────────────── */
+// Read-only view of a transcript file: no API calls, no stream, no sign-in.
+function TranscriptViewer({ transcript, onClose }) {
+  const messages = useMemo(
+    () =>
+      chatReducer(createChatState(), chatEvent(CHAT_EVENT.HISTORY_LOADED, { messages: transcript.history }))
+        .messages,
+    [transcript]
+  );
+  const messageKeys = useMemo(() => messages.map((m) => m.uid), [messages]);
+  const vlist = useVirtualList({ keys: messageKeys });
+  const title = transcript.consultationId || transcript.fileName;
+
+  return (
+    <section className="vc-pane active vc-imported" aria-label={`Imported transcript ${title}`}>
+      <div className="vc-pane-bar">
+        <strong className="vc-pane-title">{title}</strong>
+        <div className="vc-controls">
+          <ContractReport consultationId={title} messages={messages} />
+          <span className="vc-readonly-badge">Read-only</span>
+          <button className="vc-reload" onClick={onClose} title="Close the imported transcript">
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="vc-sub">
+        <span>
+          {transcript.source === "history" ? "History response" : "Transcript"} from {transcript.fileName}
+          {transcript.exportedAt ? `, exported ${new Date(transcript.exportedAt).toLocaleString()}` : ""}
+          {transcript.apiBase ? ` (${transcript.apiBase})` : ""} · {messages.length} messages
+        </span>
+      </div>
+
+      <div className="vc-list" ref={vlist.scrollRef} onScroll={vlist.onScroll}>
+        {messages.length === 0 ? (
+          <div className="vc-empty">
+            <div className="vc-empty-emoji" aria-hidden="true">
+              📄
+            </div>
+            <h3>Empty transcript</h3>
+            <p>The file has no chat messages.</p>
+          </div>
+        ) : (
+          <div ref={vlist.innerRef} style={{ paddingTop: vlist.padTop, paddingBottom: vlist.padBottom }}>
+            {messages.slice(vlist.start, vlist.end).map((m) => (
+              <div key={m.uid} data-vkey={m.uid} ref={vlist.measureRef} className="vc-vrow">
+                <ChatMessage msg={m} consultationId={title} savedRatings={transcript.citationRatings} />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+/* ───────────────────── Workspace ───────────────────── */
+const OPEN_TABS_KEY = "vetChatOpenTabs";
+const LAYOUT_KEY = "vetChatLayout";
+
+function readOpenTabs() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(OPEN_TABS_KEY) || "[]");
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === "string" && id) : [];
+  } catch {
+    return [];
+  }
+}
+
+const sameSummary = (a, b) =>
+  !!a && a.streaming === b.streaming && a.unread === b.unread && a.status === b.status;
+
+export default function VetChatTester() {
+  // The focused consultation lives in the URL (#/chat/{id}) so links open the same conversation
+  const route = useHashRoute();
+  const activeId = route.id || "";
+  const [openIds, setOpenIds] = useState(readOpenTabs);
+  const [recentIds, setRecentIds] = useState([]); // most recently focused first
+  const [layout, setLayout] = useState(() =>
+    localStorage.getItem(LAYOUT_KEY) === "split" ? "split" : "tabs"
+  );
+  const [summaries, setSummaries] = useState({});
+  const [draftId, setDraftId] = useState("");
+  const [showBrowser, setShowBrowser] = useState(true);
+  const [imported, setImported] = useState(null); // transcript opened from a file
+  const [importError, setImportError] = useState(null);
+  const importRef = useRef(null);
+
+  // A deep link opens its consultation next to the saved tabs
+  const tabs = activeId && !openIds.includes(activeId) ? [...openIds, activeId] : openIds;
+
+  // Only a bare #/chat on arrival gets a default; closing every tab leaves the workspace empty
+  const arrivedRef = useRef(false);
+  useEffect(() => {
+    if (arrivedRef.current) return;
+    arrivedRef.current = true;
+    if (!route.id) navigate({ tab: "chat", id: openIds[0] || DEFAULT_CONSULTATION_ID }, { replace: true });
+  }, [route.id, openIds]);
+
+  useEffect(() => {
+    if (!activeId) return;
+    setOpenIds((prev) => (prev.includes(activeId) ? prev : [...prev, activeId]));
+    setRecentIds((prev) => [activeId, ...prev.filter((id) => id !== activeId)]);
+  }, [activeId]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(OPEN_TABS_KEY, JSON.stringify(openIds));
+      localStorage.setItem(LAYOUT_KEY, layout);
+    } catch {
+      // storage unavailable: tabs just won't survive a reload
+    }
+  }, [openIds, layout]);
+
+  // The focused pane plus the most recently used ones keep a live stream
+  const connectedIds = new Set(
+    [activeId, ...recentIds, ...tabs]
+      .filter((id, i, all) => id && tabs.includes(id) && all.indexOf(id) === i)
+      .slice(0, CHAT_MAX_STREAMS)
+  );
+
+  const handleSummary = useCallback((id, summary) => {
+    setSummaries((prev) => (sameSummary(prev[id], summary) ? prev : { ...prev, [id]: summary }));
+  }, []);
+
+  const selectTab = (id, { replace = false } = {}) => {
+    setImported(null);
+    if (id !== activeId) navigate({ tab: "chat", id }, { replace });
+  };
+
+  const openConsultation = (evt) => {
+    evt.preventDefault();
+    const id = draftId.trim();
+    if (!id) return;
+    setDraftId("");
+    selectTab(id);
+  };
+
+  const closeTab = (id) => {
+    const rest = tabs.filter((t) => t !== id);
+    setOpenIds((prev) => prev.filter((t) => t !== id));
+    setRecentIds((prev) => prev.filter((t) => t !== id));
+    setSummaries((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    if (id !== activeId) return;
+    const next = recentIds.find((t) => rest.includes(t)) || rest[0];
+    navigate(next ? { tab: "chat", id: next } : { tab: "chat" }, { replace: true });
+  };
+
+  const handleImport = async (evt) => {
+    const file = evt.target.files?.[0];
+    evt.target.value = "";
+    if (!file) return;
+    try {
+      setImported({ ...parseTranscriptFile(await file.text()), fileName: file.name });
+      setImportError(null);
+    } catch (err) {
+      setImportError(`Could not import ${file.name}: ${err?.message || err}`);
+    }
+  };
+
+  return (
+    <div className="vc-root">
+      <div className="vc-auth">
+        <LoginBox title="Vet Chat Auth" />
+      </div>
+      {/* Header */}
+      <header className="vc-header">
+        <div className="vc-brand">
+          <h1>Vet-Chat Tester</h1>
+        </div>
+
+        <div className="vc-controls">
+          <form className="field" onSubmit={openConsultation}>
+            <label htmlFor="cid">Open consultation</label>
+            <input
+              id="cid"
+              value={draftId}
+              onChange={(e) => setDraftId(e.target.value)}
+              placeholder="demo-123"
+            />
+          </form>
+          <button className="vc-reload" onClick={openConsultation} disabled={!draftId.trim()}>
+            Open
+          </button>
+          <button
+            className={`seg-btn ${showBrowser ? "active" : ""}`}
+            onClick={() => setShowBrowser((v) => !v)}
+            aria-pressed={showBrowser}
+            title="Show or hide the consultation list"
+          >
+            Browse
+          </button>
+          <button
+            className="vc-reload"
+            onClick={() => importRef.current?.click()}
+            title="View an exported transcript or a saved history response, offline"
+          >
+            Import…
+          </button>
+          <input ref={importRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+          <div className="segmented" role="group" aria-label="Layout">
+            <button
+              className={`seg-btn ${layout === "tabs" ? "active" : ""}`}
+              onClick={() => setLayout("tabs")}
+              aria-pressed={layout === "tabs"}
+            >
+              Tabs
+            </button>
+            <button
+              className={`seg-btn ${layout === "split" ? "active" : ""}`}
+              onClick={() => setLayout("split")}
+              aria-pressed={layout === "split"}
+            >
+              Side by side
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <div className={`vc-body ${showBrowser ? "with-browser" : ""}`}>
+        {showBrowser && <ConsultationBrowser activeId={activeId} openIds={tabs} onOpen={selectTab} />}
+        <div className="vc-main">
+          {importError && (
+            <div className="vc-import-error" role="alert">
+              <span>{importError}</span>
+              <button className="vc-tab-close" onClick={() => setImportError(null)} aria-label="Dismiss">
+                ×
+              </button>
+            </div>
+          )}
+          {/* Open consultations */}
+          <nav className="vc-tabs" role="tablist" aria-label="Open consultations">
+            {imported && (
+              <div className="vc-tab active imported">
+                <button role="tab" aria-selected className="vc-tab-label" title={`Imported from ${imported.fileName}`}>
+                  📄 {imported.consultationId || imported.fileName}
+                </button>
+                <button className="vc-tab-close" onClick={() => setImported(null)} aria-label="Close imported transcript">
+                  ×
+                </button>
+              </div>
+            )}
+            {tabs.map((id) => {
+              const summary = summaries[id];
+              const parked = !connectedIds.has(id);
+              const current = !imported && id === activeId;
+              return (
+                <div key={id} className={`vc-tab ${current ? "active" : ""} ${parked ? "parked" : ""}`}>
+                  <button
+                    role="tab"
+                    aria-selected={current}
+                    className="vc-tab-label"
+                    onClick={() => selectTab(id)}
+                    title={parked ? `${id} (stream parked)` : id}
+                  >
+                    {summary?.streaming ? (
+                      <span className="vc-tab-dot streaming" title="Streaming" />
+                    ) : summary?.unread ? (
+                      <span className="vc-tab-dot unread" title="New activity" />
+                    ) : null}
+                    {id}
+                  </button>
+                  <button className="vc-tab-close" onClick={() => closeTab(id)} aria-label={`Close ${id}`}>
+                    ×
+                  </button>
+                </div>
+              );
+            })}
+            <span className="vc-tabs-cap" title="Open relay streams / limit">
+              {connectedIds.size}/{CHAT_MAX_STREAMS} streams
+            </span>
+          </nav>
+
+          <div className={`vc-workspace ${layout}`}>
+            {imported ? (
+              <TranscriptViewer transcript={imported} onClose={() => setImported(null)} />
+            ) : tabs.length === 0 ? (
+              <div className="vc-empty">
+                <div className="vc-empty-emoji" aria-hidden="true">
+                  🗂️
+                </div>
+                <h3>No open consultations</h3>
+                <p>Pick one from the list, enter a consultation ID above, or import a transcript.</p>
+              </div>
+            ) : null}
+            {/* Panes stay mounted behind an imported transcript so their streams keep running */}
+            {tabs.map((id) => (
+              <ConsultationPane
+                key={id}
+                consultationId={id}
+                visible={!imported && (layout === "split" || id === activeId)}
+                active={!imported && id === activeId}
+                connected={connectedIds.has(id)}
+                onFocus={() => selectTab(id, { replace: true })}
+                onConnect={() => selectTab(id)}
+                onSummary={handleSummary}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
     </div>
   );
 }
@@ -1,7 +1,12 @@
 import React, { useEffect, useMemo, useRef, useState, useContext, useCallback } from "react";
-import { RELAY_BASE } from "../config";
 import { useAuth } from "../auth/AuthContext.jsx";
 import LoginBox from "../components/LoginBox.jsx";
+import { BASE_EVENTS, STREAM_STATUS } from "../stream/streamConnection.js";
+import { useEventStream } from "../stream/useEventStream.js";
+import { useStreamReplay } from "../stream/useStreamReplay.js";
+import StreamReplayBar from "../components/StreamReplayBar.jsx";
+import { navigate } from "../router/hashRouter.js";
+import { useHashRoute } from "../router/useHashRoute.js";
 
 /* ─────────────────────────── Helpers ────────────────────────── */
 const KINDS = {
@@ -50,14 +55,14 @@ function PriorityBadge({ priority }) {
 /* ─────────────────────────── SSE Context (for Workflow tab only) ─────────────────────────── */
 const SSEContext = React.createContext(null);
 
+// Workflow feed: base events + one payload event per kind (underscore names)
+const WORKFLOW_EVENTS = BASE_EVENTS.extend(
+  Object.fromEntries(Object.keys(KINDS).map((k) => [k, "json"]))
+);
+
 function SSEProvider({ sessionId, children }) {
-  const { apiBase, authFetch } = useAuth();
-  const esRef = useRef(null);
-  const retryTimerRef = useRef(null);
-  const attemptRef = useRef(0);
+  const { apiBase, relayBase, authFetch } = useAuth();
   const openPromiseRef = useRef(null);
-
-  const [status, setStatus] = useState("idle"); // idle | connecting | connected | reconnecting
   const listenersRef = useRef(new Map());
 
   const addListener = useCallback((evt, cb) => {
@@ -74,15 +79,6 @@ function SSEProvider({ sessionId, children }) {
     if (set) for (const cb of Array.from(set)) { try { cb(data, raw); } catch {} }
   }, []);
 
-  const tearDown = useCallback(() => {
-    clearTimeout(retryTimerRef.current);
-    retryTimerRef.current = null;
-    try {
-      esRef.current?.close();
-    } catch {}
-    esRef.current = null;
-  }, []);
-
   const rehydrateFromState = useCallback(
     async (sid) => {
       if (!sid) return;
@@ -103,84 +99,60 @@ function SSEProvider({ sessionId, children }) {
     [emit, apiBase, authFetch]
   );
 
-  const ensureConnected = useCallback(() => {
-    if (!sessionId) return Promise.resolve();
-    if (esRef.current && esRef.current.readyState === 1) return Promise.resolve();
-    if (openPromiseRef.current?.promise) return openPromiseRef.current.promise;
-
-    setStatus("connecting");
-    const url = `${RELAY_BASE}/vet-stream/${encodeURIComponent(sessionId)}?v=${Date.now()}`;
-
-    let resolveOuter;
-    const promise = new Promise((res) => (resolveOuter = res));
-    openPromiseRef.current = { promise, resolve: resolveOuter };
-
-    const start = () => {
-      try {
-        esRef.current?.close();
-      } catch {}
-      const es = new EventSource(url);
-      esRef.current = es;
-
-      const parse = (d) => {
-        try {
-          return JSON.parse(d || "{}");
-        } catch {
-          return {};
-        }
-      };
-
-      es.onopen = async () => {
-        attemptRef.current = 0;
-        setStatus("connected");
-        await rehydrateFromState(sessionId); // persisted state fetch
-        if (openPromiseRef.current?.resolve) {
-          openPromiseRef.current.resolve();
-          openPromiseRef.current = null;
-        }
-      };
-
-      es.onmessage = (e) => emit("message", e?.data, e);
-      es.addEventListener("ready", (e) => emit("ready", {}, e));
-      es.addEventListener("status", (e) => emit("status", parse(e.data), e));
-      es.addEventListener("done", (e) => emit("done", parse(e.data), e));
-      es.addEventListener("error", (e) => emit("error", parse(e.data), e));
-
-      // Workflow payloads (underscore event names)
-      es.addEventListener("diagnostics", (e) => emit("diagnostics", parse(e.data), e));
-      es.addEventListener("additional_exams", (e) => emit("additional_exams", parse(e.data), e));
-      es.addEventListener("prescription", (e) => emit("prescription", parse(e.data), e));
-      es.addEventListener("complementary_treatments", (e) =>
-        emit("complementary_treatments", parse(e.data), e)
-      );
-
-      es.onerror = () => {
-        setStatus("reconnecting");
-        try {
-          es.close();
-        } catch {}
-        attemptRef.current += 1;
-        const delay = Math.min(1000 * Math.pow(2, attemptRef.current), 15000);
-        clearTimeout(retryTimerRef.current);
-        retryTimerRef.current = setTimeout(start, delay);
-      };
-    };
+  const replay = useStreamReplay({ channel: "vet-stream", targetId: sessionId });
+  const { isReplaying } = replay;
+
+  const { status, retry } = useEventStream({
+    url: sessionId
+      ? `${relayBase}/vet-stream/${encodeURIComponent(sessionId)}${isReplaying ? "?replay=1" : ""}`
+      : null,
+    events: WORKFLOW_EVENTS,
+    onEvent: (name, payload, raw) => {
+      replay.capture(name, raw);
+      emit(name, payload, raw);
+    },
+    ...replay.streamOptions,
+    onOpen: async () => {
+      // Replays start from blank panels instead of the persisted state
+      if (isReplaying) emit("reset", {});
+      else await rehydrateFromState(sessionId); // persisted state fetch
+      if (openPromiseRef.current?.resolve) {
+        openPromiseRef.current.resolve();
+        openPromiseRef.current = null;
+      }
+    },
+  });
 
-    start();
-    return promise;
-  }, [emit, sessionId, rehydrateFromState]);
+  // New session → forget waiters from the previous one
+  useEffect(() => {
+    openPromiseRef.current?.resolve();
+    openPromiseRef.current = null;
+  }, [sessionId]);
 
+  // A stream that gave up (or was closed) will not open: fail the waiter instead of leaving it hanging
   useEffect(() => {
-    if (!sessionId) return;
-    tearDown();
-    attemptRef.current = 0;
+    if (status !== STREAM_STATUS.FAILED && status !== STREAM_STATUS.IDLE) return;
+    openPromiseRef.current?.reject(
+      new Error(status === STREAM_STATUS.FAILED ? "stream connection failed" : "stream closed")
+    );
     openPromiseRef.current = null;
-    ensureConnected();
-  }, [sessionId, ensureConnected, tearDown]);
+  }, [status]);
 
-  useEffect(() => () => tearDown(), [tearDown]);
+  // Resolves once the stream is open and state has been rehydrated
+  const ensureConnected = useCallback(() => {
+    if (!sessionId || status === STREAM_STATUS.CONNECTED) return Promise.resolve();
+    if (status === STREAM_STATUS.FAILED) retry();
+    if (openPromiseRef.current?.promise) return openPromiseRef.current.promise;
+    let resolveOuter, rejectOuter;
+    const promise = new Promise((res, rej) => {
+      resolveOuter = res;
+      rejectOuter = rej;
+    });
+    openPromiseRef.current = { promise, resolve: resolveOuter, reject: rejectOuter };
+    return promise;
+  }, [sessionId, status, retry]);
 
-  const value = { status, ensureConnected, addListener, rehydrateFromState };
+  const value = { status, ensureConnected, addListener, rehydrateFromState, retry, replay };
   return <SSEContext.Provider value={value}>{children}</SSEContext.Provider>;
 }
 
@@ -194,7 +166,7 @@ function useSSE() {
 function WorkflowPanel({ kindKey, sessionId }) {
   const meta = KINDS[kindKey];
   const { apiBase, authFetch } = useAuth();
-  const { status: connStatus, ensureConnected, addListener } = useSSE();
+  const { status: connStatus, ensureConnected, addListener, replay } = useSSE();
 
   const [logs, setLogs] = useState([]);
   const [lastPayload, setLastPayload] = useState(null);
@@ -203,6 +175,11 @@ function WorkflowPanel({ kindKey, sessionId }) {
   const log = (text) => setLogs((prev) => [...prev, { ts: now(), text }]);
 
   useEffect(() => {
+    const offReset = addListener("reset", () => {
+      setLogs([{ ts: now(), text: "replay ▸ started" }]);
+      setLastPayload(null);
+      setRunState({ status: "idle", phase: null, error_message: null });
+    });
     const offRehydrate = addListener("rehydrate", (full) => {
       try {
         const s = (full?.runs && full.runs[kindKey]) || { status: "idle" };
@@ -252,6 +229,7 @@ function WorkflowPanel({ kindKey, sessionId }) {
     });
 
     return () => {
+      offReset();
       offRehydrate();
       offRehydrateErr();
       offStatus();
@@ -266,6 +244,10 @@ function WorkflowPanel({ kindKey, sessionId }) {
       log("⚠️ Enter a session id first");
       return;
     }
+    if (replay.isReplaying) {
+      log("⚠️ Replay mode — go back to live to queue runs");
+      return;
+    }
     try {
       setLastPayload(null);
       setRunState({ status: "queued", phase: `${meta.path}_queued`, error_message: null });
@@ -292,6 +274,10 @@ function WorkflowPanel({ kindKey, sessionId }) {
       log("⚠️ Enter a session id first");
       return;
     }
+    if (replay.isReplaying) {
+      log("⚠️ Replay mode — go back to live to cancel runs");
+      return;
+    }
     try {
       setRunState((r) => ({
         ...r,
@@ -323,6 +309,7 @@ function WorkflowPanel({ kindKey, sessionId }) {
   const connectionLabel = useMemo(() => {
     if (connStatus === "connecting") return "Connecting…";
     if (connStatus === "reconnecting") return "Reconnecting…";
+    if (connStatus === "failed") return "Disconnected";
     if (busy) return "Streaming…";
     if (connStatus === "connected") return "Connected";
     return "Idle";
@@ -696,8 +683,19 @@ const preJSON = {
 
 /* ─────────────────────────── Root with Tabs ───────────────────────────── */
 export default function VetWorkflowApp() {
-  const [sessionId, setSessionId] = useState("1");
-  const [tab, setTab] = useState("explorer"); // default to Explorer so you verify persistence
+  // #/workflow/{sessionId}/{workflow|explorer}; typing an id rewrites the entry, switching view pushes one
+  const route = useHashRoute();
+  const sessionId = route.id || "";
+  const tab = route.view || "explorer"; // default to Explorer so you verify persistence
+  const setSessionId = (id) => navigate({ tab: "workflow", id, view: tab }, { replace: true });
+  const setTab = (view) => navigate({ tab: "workflow", id: sessionId, view });
+  // Only a bare #/workflow on arrival gets the default; a cleared input stays empty
+  const arrivedRef = useRef(false);
+  useEffect(() => {
+    if (arrivedRef.current) return;
+    arrivedRef.current = true;
+    if (!route.id) navigate({ tab: "workflow", id: "1", view: tab }, { replace: true });
+  }, [route.id, tab]);
 
   return (
     <SSEProvider sessionId={sessionId}>
@@ -722,6 +720,7 @@ export default function VetWorkflowApp() {
             <div className="session-title" style={{ display: "flex", alignItems: "center", gap: 12 }}>
               <h2 style={{ margin: 0 }}>Vet Workflow</h2>
               <GlobalStatusPill />
+              <WorkflowReplayBar />
             </div>
 
             <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
@@ -799,7 +798,7 @@ export default function VetWorkflowApp() {
 }
 
 function GlobalStatusPill() {
-  const { status } = useSSE();
+  const { status, retry } = useSSE();
   const label =
     status === "connecting"
       ? "Connecting…"
@@ -807,19 +806,33 @@ function GlobalStatusPill() {
       ? "Reconnecting…"
       : status === "connected"
       ? "Connected"
+      : status === "failed"
+      ? "Disconnected"
       : "Idle";
   return (
-    <span
-      className="pill"
-      style={{
-        fontSize: 12,
-        padding: "4px 8px",
-        background: "var(--surface)",
-        border: "1px solid var(--border)",
-        borderRadius: 999,
-      }}
-    >
-      {label}
-    </span>
+    <>
+      <span
+        className="pill"
+        style={{
+          fontSize: 12,
+          padding: "4px 8px",
+          background: "var(--surface)",
+          border: "1px solid var(--border)",
+          borderRadius: 999,
+        }}
+      >
+        {label}
+      </span>
+      {status === "failed" && (
+        <button className="button" onClick={retry} title="Reconnect to the relay">
+          Retry
+        </button>
+      )}
+    </>
   );
 }
+
+function WorkflowReplayBar() {
+  const { replay } = useSSE();
+  return <StreamReplayBar replay={replay} />;
+}
@@ -0,0 +1,16 @@
+// src/utils/download.js
+// Save a string as a file via a temporary object URL.
+export function downloadText(filename, text, mimeType = "application/json") {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// "2025-09-08T14-48-03" — safe for file names
+export const fileStamp = (d = new Date()) => d.toISOString().slice(0, 19).replace(/:/g, "-");
@@ -0,0 +1,16 @@
+// src/utils/useNow.js
+// Current time, re-read every `intervalMs` while `enabled` (countdowns).
+import { useEffect, useState } from "react";
+
+export function useNow(enabled = true, intervalMs = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!enabled) return;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [enabled, intervalMs]);
+
+  return now;
+}
@@ -0,0 +1,165 @@
+// src/utils/useVirtualList.js
+// Windowed rendering for a scroll container with variable-height rows. Rows
+// are measured with a ResizeObserver (unmeasured ones use `estimateSize`), and
+// the first visible row is kept in place when rows above it change, so
+// prepending older pages and late measurements don't make the view jump.
+// While the user sits at the bottom the list follows new content instead.
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+
+const STICK_THRESHOLD_PX = 80;
+
+// Index of the row containing `y` (offsets has one entry past the last row)
+function rowAt(offsets, y) {
+  let lo = 0;
+  let hi = offsets.length - 2;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return Math.max(0, lo);
+}
+
+export function useVirtualList({ keys, estimateSize = 96, overscanPx = 600, onNearTop, nearTopPx = 200 }) {
+  const scrollRef = useRef(null); // the overflow container
+  const innerRef = useRef(null); // wraps the rows; may sit below other content
+  const sizesRef = useRef(new Map()); // key → measured height
+  const [, setMeasureTick] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+  const stickRef = useRef(true);
+  const anchorRef = useRef(null); // { key, delta } of the first visible row
+  const onNearTopRef = useRef(onNearTop);
+  useEffect(() => {
+    onNearTopRef.current = onNearTop;
+  });
+
+  // Row offsets relative to innerRef
+  const offsets = new Array(keys.length + 1);
+  offsets[0] = 0;
+  for (let i = 0; i < keys.length; i++) {
+    offsets[i + 1] = offsets[i] + (sizesRef.current.get(keys[i]) ?? estimateSize);
+  }
+  const totalSize = offsets[keys.length];
+  const layoutRef = useRef({ keys, offsets });
+  useLayoutEffect(() => {
+    layoutRef.current = { keys, offsets };
+  });
+
+  const innerTop = () => innerRef.current?.offsetTop ?? 0;
+
+  // Follow the bottom, or put the anchored row back where the user left it
+  const restore = useCallback(() => {
+    const el = scrollRef.current;
+    if (!el || !el.clientHeight) return;
+    if (stickRef.current) {
+      if (el.scrollHeight - el.scrollTop - el.clientHeight > 1) el.scrollTop = el.scrollHeight;
+      return;
+    }
+    const anchor = anchorRef.current;
+    const { keys: rowKeys, offsets: rowOffsets } = layoutRef.current;
+    const index = anchor ? rowKeys.indexOf(anchor.key) : -1;
+    if (index < 0) return;
+    const want = (innerRef.current?.offsetTop ?? 0) + rowOffsets[index] + anchor.delta;
+    if (Math.abs(el.scrollTop - want) > 1) el.scrollTop = want;
+  }, []);
+
+  const syncFromScroll = useCallback(() => {
+    const el = scrollRef.current;
+    if (!el || !el.clientHeight) return; // hidden pane: keep the last position
+    const top = el.scrollTop;
+    stickRef.current = el.scrollHeight - top - el.clientHeight < STICK_THRESHOLD_PX;
+    const y = top - (innerRef.current?.offsetTop ?? 0);
+    const { keys: rowKeys, offsets: rowOffsets } = layoutRef.current;
+    if (rowKeys.length) {
+      const index = rowAt(rowOffsets, Math.max(0, y));
+      anchorRef.current = { key: rowKeys[index], delta: y - rowOffsets[index] };
+    } else {
+      anchorRef.current = null;
+    }
+    setViewport((prev) =>
+      prev.top === top && prev.height === el.clientHeight ? prev : { top, height: el.clientHeight }
+    );
+    if (y < nearTopPx) onNearTopRef.current?.();
+  }, [nearTopPx]);
+
+  // Container resizes (incl. a hidden pane becoming visible) change the window
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(() => {
+      restore();
+      syncFromScroll();
+    });
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [restore, syncFromScroll]);
+
+  // Created on first use: row refs attach before effects run
+  const rowObserverRef = useRef(null);
+  const measureRef = useCallback((el) => {
+    if (!el || typeof ResizeObserver === "undefined") return;
+    if (!rowObserverRef.current) {
+      const sizes = sizesRef.current;
+      rowObserverRef.current = new ResizeObserver((entries) => {
+        let changed = false;
+        for (const entry of entries) {
+          const key = entry.target.dataset.vkey;
+          const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+          if (!key || !height || sizes.get(key) === height) continue;
+          sizes.set(key, height);
+          changed = true;
+        }
+        if (changed) setMeasureTick((t) => t + 1);
+      });
+    }
+    const ro = rowObserverRef.current;
+    ro.observe(el);
+    return () => ro.unobserve(el);
+  }, []);
+
+  useEffect(
+    () => () => {
+      rowObserverRef.current?.disconnect();
+      rowObserverRef.current = null;
+    },
+    []
+  );
+
+  useLayoutEffect(() => {
+    restore();
+  });
+
+  // Forget sizes of rows that are gone
+  useEffect(() => {
+    const live = new Set(keys);
+    for (const key of sizesRef.current.keys()) if (!live.has(key)) sizesRef.current.delete(key);
+  }, [keys]);
+
+  const scrollToBottom = useCallback(() => {
+    stickRef.current = true;
+    const el = scrollRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, []);
+
+  // Visible window (+ overscan) in row indexes
+  const from = Math.max(0, viewport.top - innerTop() - overscanPx);
+  const to = viewport.top - innerTop() + viewport.height + overscanPx;
+  let start = 0;
+  let end = keys.length;
+  if (keys.length) {
+    start = rowAt(offsets, from);
+    end = Math.min(keys.length, rowAt(offsets, Math.max(from, to)) + 1);
+  }
+
+  return {
+    scrollRef,
+    innerRef,
+    onScroll: syncFromScroll,
+    measureRef,
+    scrollToBottom,
+    start,
+    end,
+    padTop: offsets[start],
+    padBottom: totalSize - offsets[end],
+  };
+}